@@ -0,0 +1,294 @@
+'use strict';
+
+// API keys, session tokens and per-key quotas.
+// Keys come from API_KEYS ("name:key,name:key"), API_KEYS_FILE (JSON list of { name, key, admin, limits })
+// and ADMIN_API_KEY; send one as "Authorization: Bearer <key>" or "X-API-Key: <key>". With no keys
+// configured the API stays open and every caller is "anonymous".
+// GET /session hands out a client id inside a signed session token. The token is the only way to name a
+// client id (SSE stream, resumable uploads, job events), so knowing someone's id is not enough to follow
+// their progress. Where headers cannot be set (EventSource, download links) it goes in ?token=.
+// Viewer sessions (GET /session?scope=viewer) need no key: they exist for the streaming page's watch progress
+// and are refused everywhere but viewerPaths. Every viewer shares the one name, so their limits are counted in
+// memory per session client id (VIEWER_RATE_LIMIT_PER_MINUTE) and per caller IP for new sessions
+// (VIEWER_SESSIONS_PER_HOUR); resuming an earlier viewer session is not a new one.
+// Limits per key (0 = unlimited): filesPerWindow / bytesPerWindow over a fixed QUOTA_WINDOW_HOURS window,
+// concurrentJobs and requestsPerMinute. Admin keys are not limited and can read every key's usage; anonymous
+// callers of an open API share one set of counters.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'tfs1';
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const LIMITS = ['filesPerWindow', 'bytesPerWindow', 'concurrentJobs', 'requestsPerMinute'];
+const ANONYMOUS = 'anonymous';
+const VIEWER = 'viewer';
+
+function statusError(status, message, extra = {}) {
+  return Object.assign(new Error(message), { status }, extra);
+}
+
+const hash = value => crypto.createHash('sha256').update(String(value)).digest('hex');
+const base64url = buf => Buffer.from(buf).toString('base64url');
+
+// auth settings from the environment (see createAuth for the fields)
+function authConfigFromEnv(env = process.env) {
+  const keys = [];
+  for (const pair of (env.API_KEYS || '').split(',').map(p => p.trim()).filter(Boolean)) {
+    const at = pair.indexOf(':');
+    keys.push(at > 0 ? { name: pair.slice(0, at), key: pair.slice(at + 1) } : { name: `key-${keys.length + 1}`, key: pair });
+  }
+  if (env.API_KEYS_FILE) keys.push(...JSON.parse(fs.readFileSync(env.API_KEYS_FILE, 'utf8')));
+  if (env.ADMIN_API_KEY) keys.push({ name: 'admin', key: env.ADMIN_API_KEY, admin: true });
+  return {
+    keys,
+    secret: env.SESSION_SECRET || '',
+    sessionTtlMs: Math.max(1, Number(env.SESSION_TTL_HOURS || 24)) * 3600 * 1000,
+    windowMs: Math.max(1, Number(env.QUOTA_WINDOW_HOURS || 24)) * 3600 * 1000,
+    limits: {
+      filesPerWindow: Number(env.QUOTA_FILES || 0),
+      bytesPerWindow: Number(env.QUOTA_MB || 0) * 1024 * 1024,
+      concurrentJobs: Number(env.QUOTA_CONCURRENT_JOBS || 0),
+      requestsPerMinute: Number(env.RATE_LIMIT_PER_MINUTE || 0)
+    },
+    viewerLimits: {
+      requestsPerMinute: Number(env.VIEWER_RATE_LIMIT_PER_MINUTE || 60),
+      sessionsPerHour: Number(env.VIEWER_SESSIONS_PER_HOUR || 20)
+    }
+  };
+}
+
+// config: authConfigFromEnv() fields plus { dir } (session secret and usage counters are kept there) and
+// activeJobs(name) -> number of unfinished jobs owned by that key; viewerPaths are the URL paths (and everything
+// below them) a viewer session may call, viewerLimits { requestsPerMinute, sessionsPerHour } apply to them
+function createAuth({ keys = [], secret, sessionTtlMs, windowMs, limits = {}, viewerLimits = {}, dir, activeJobs = () => 0, viewerPaths = [] }) {
+  const open = keys.length === 0;
+  const byHash = new Map();
+  for (const entry of keys) {
+    if (!entry || !entry.name || !entry.key) throw new Error('Every API key needs a name and a key');
+    if (entry.name === ANONYMOUS || entry.name === VIEWER) throw new Error(`"${entry.name}" cannot be used as an API key name`);
+    byHash.set(hash(entry.key), { name: entry.name, admin: !!entry.admin, limits: { ...limits, ...entry.limits } });
+  }
+  const byName = new Map([...byHash.values()].map(p => [p.name, p]));
+  const anonymous = { name: ANONYMOUS, admin: false, limits: { ...limits } };
+  const viewer = { name: VIEWER, admin: false, viewer: true, limits: {} };
+  const { requestsPerMinute: viewerPerMinute = 0, sessionsPerHour: viewerSessionsPerHour = 0 } = viewerLimits;
+
+  // without SESSION_SECRET a random one is kept in dir, so tokens survive restarts
+  fs.mkdirSync(dir, { recursive: true });
+  const secretFile = path.join(dir, '.session-secret');
+  if (!secret) {
+    try {
+      secret = fs.readFileSync(secretFile, 'utf8').trim();
+    } catch (e) {
+      secret = crypto.randomBytes(32).toString('hex');
+      fs.writeFileSync(secretFile, secret, { mode: 0o600 });
+    }
+  }
+  const sign = payload => base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+
+  // usage per key name: current quota window, current rate-limit minute and all-time totals
+  const usageFile = path.join(dir, 'usage.json');
+  const usage = new Map();
+  try {
+    for (const [name, record] of Object.entries(JSON.parse(fs.readFileSync(usageFile, 'utf8')))) usage.set(name, record);
+  } catch (e) { /* no counters yet */ }
+  let saveTimer = null;
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      fs.promises.writeFile(usageFile, JSON.stringify(Object.fromEntries(usage), null, 2))
+        .catch(err => console.error('Could not save usage counters', err));
+    }, 1000);
+    saveTimer.unref();
+  }
+  function record(name) {
+    const now = Date.now();
+    let r = usage.get(name);
+    if (!r) {
+      r = { window: { start: now, files: 0, bytes: 0 }, minute: { start: now, requests: 0 }, totals: { files: 0, bytes: 0, jobs: 0, requests: 0, limited: 0 } };
+      usage.set(name, r);
+    }
+    if (now - r.window.start >= windowMs) r.window = { start: now - ((now - r.window.start) % windowMs), files: 0, bytes: 0 };
+    if (now - r.minute.start >= MINUTE_MS) r.minute = { start: now, requests: 0 };
+    return r;
+  }
+  function limited(principal, message, retryAt) {
+    record(principal.name).totals.limited++;
+    scheduleSave();
+    return statusError(429, message, { retryAfter: retryAt ? Math.max(1, Math.ceil((retryAt - Date.now()) / 1000)) : undefined });
+  }
+
+  // viewer counters, in memory only: requests per client id this minute, new sessions per IP this hour.
+  // Periods that are over are swept every minute, so they stay as small as the current traffic.
+  const viewerRequests = new Map(); // clientId -> { start, count }
+  const viewerSessions = new Map(); // ip -> { start, count }
+  function tally(counters, id, periodMs) {
+    const now = Date.now();
+    let t = counters.get(id);
+    if (!t || now - t.start >= periodMs) counters.set(id, t = { start: now, count: 0 });
+    return t;
+  }
+  setInterval(() => {
+    const now = Date.now();
+    for (const [counters, periodMs] of [[viewerRequests, MINUTE_MS], [viewerSessions, HOUR_MS]]) {
+      for (const [id, t] of counters) if (now - t.start >= periodMs) counters.delete(id);
+    }
+  }, MINUTE_MS).unref();
+
+  function verifyToken(token, { allowExpired = false } = {}) {
+    const [prefix, payload, signature] = String(token).split('.');
+    if (prefix !== TOKEN_PREFIX || !payload || !signature) return null;
+    const expected = sign(`${prefix}.${payload}`);
+    if (expected.length !== signature.length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) return null;
+    let claims;
+    try { claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')); } catch (e) { return null; }
+    if (!allowExpired && !(claims.exp > Date.now())) return null;
+    const principal = claims.key === ANONYMOUS ? (open ? anonymous : null) : claims.key === VIEWER ? viewer : byName.get(claims.key);
+    return principal ? { ...principal, clientId: claims.cid } : null;
+  }
+
+  // the caller: { name, admin, limits, clientId } — clientId only when a session token was used.
+  // Throws 401 for a wrong key or token (even when the API is open) and when a key is required.
+  function authenticate(req) {
+    const header = String(req.headers.authorization || '');
+    const credential = (/^Bearer\s+(.+)$/i.exec(header) || [])[1] || req.headers['x-api-key'] || (req.query && req.query.token);
+    if (!credential) {
+      if (open) return { ...anonymous, clientId: null };
+      throw statusError(401, 'API key or session token required');
+    }
+    if (String(credential).startsWith(`${TOKEN_PREFIX}.`)) {
+      const session = verifyToken(credential);
+      if (!session) throw statusError(401, 'Session token is invalid or expired');
+      return session;
+    }
+    const principal = byHash.get(hash(credential));
+    if (!principal) throw statusError(401, 'Unknown API key');
+    return { ...principal, clientId: null };
+  }
+
+  return {
+    open,
+    authenticate,
+
+    // a session for the caller; `resume` (an earlier token of the same key, even expired) keeps its client id.
+    // A viewer session also takes over an anonymous one, so an open API's watch progress carries over.
+    issueSession(principal, resume) {
+      const previous = resume ? verifyToken(resume, { allowExpired: true }) : null;
+      const sameClient = previous && (previous.name === principal.name || (principal.viewer && previous.name === ANONYMOUS));
+      const clientId = principal.clientId || (sameClient ? previous.clientId : crypto.randomUUID());
+      const exp = Date.now() + sessionTtlMs;
+      const payload = `${TOKEN_PREFIX}.${base64url(JSON.stringify({ cid: clientId, key: principal.name, exp }))}`;
+      return { clientId, token: `${payload}.${sign(payload)}`, expiresAt: new Date(exp).toISOString(), key: principal.name };
+    },
+
+    // a viewer session for the caller at `ip`; 429 once that address opened viewerSessionsPerHour new ones
+    issueViewerSession(resume, ip = '') {
+      const previous = resume ? verifyToken(resume, { allowExpired: true }) : null;
+      const resumed = previous && (previous.name === VIEWER || previous.name === ANONYMOUS);
+      if (!resumed && viewerSessionsPerHour > 0) {
+        const t = tally(viewerSessions, ip, HOUR_MS);
+        if (t.count >= viewerSessionsPerHour) {
+          throw limited(viewer, `Viewer session limit of ${viewerSessionsPerHour} per hour reached for this address`, t.start + HOUR_MS);
+        }
+        t.count++;
+      }
+      return this.issueSession(viewer, resume);
+    },
+
+    // express middleware: sets req.auth, keeps viewer sessions to viewerPaths and applies the per-minute request limit
+    middleware() {
+      return (req, res, next) => {
+        try {
+          req.auth = authenticate(req);
+          const urlPath = req.originalUrl.split('?')[0];
+          if (req.auth.viewer && !viewerPaths.some(p => urlPath === p || urlPath.startsWith(`${p}/`))) {
+            throw statusError(403, `Viewer sessions can only use ${viewerPaths.join(', ') || 'no API route'}`);
+          }
+          const r = record(req.auth.name);
+          const viewerMinute = req.auth.viewer ? tally(viewerRequests, req.auth.clientId, MINUTE_MS) : null; // viewers share one name
+          const perMinute = viewerMinute ? viewerPerMinute : req.auth.limits.requestsPerMinute;
+          const used = viewerMinute ? viewerMinute.count : r.minute.requests;
+          if (!req.auth.admin && perMinute > 0 && used >= perMinute) {
+            throw limited(req.auth, `Rate limit of ${perMinute} requests per minute reached`, (viewerMinute || r.minute).start + MINUTE_MS);
+          }
+          if (viewerMinute) viewerMinute.count++;
+          r.minute.requests++;
+          r.totals.requests++;
+          scheduleSave();
+          next();
+        } catch (err) {
+          sendError(res, err);
+        }
+      };
+    },
+
+    requireAdmin(req, res, next) {
+      if (req.auth && req.auth.admin) return next();
+      sendError(res, statusError(403, 'Admin API key required'));
+    },
+
+    // throws 429 when the caller may not start another job, or when `expectedBytes` would not fit
+    checkJobSlot(principal, expectedBytes = 0) {
+      if (principal.admin) return;
+      const { concurrentJobs, bytesPerWindow } = principal.limits;
+      if (concurrentJobs > 0 && activeJobs(principal.name) >= concurrentJobs) {
+        throw limited(principal, `Concurrent job limit of ${concurrentJobs} reached; wait for a job to finish`);
+      }
+      const r = record(principal.name);
+      if (bytesPerWindow > 0 && r.window.bytes + expectedBytes > bytesPerWindow) {
+        throw limited(principal, `Upload quota of ${bytesPerWindow} bytes per window would be exceeded`, r.window.start + windowMs);
+      }
+    },
+
+    // count a new job's files and bytes against the caller's quota (429 without counting when it does not fit)
+    charge(principal, { files = 0, bytes = 0 }) {
+      this.checkJobSlot(principal, bytes);
+      const r = record(principal.name);
+      const { filesPerWindow } = principal.limits;
+      if (!principal.admin && filesPerWindow > 0 && r.window.files + files > filesPerWindow) {
+        throw limited(principal, `File quota of ${filesPerWindow} files per window would be exceeded (${filesPerWindow - r.window.files} left)`, r.window.start + windowMs);
+      }
+      r.window.files += files;
+      r.window.bytes += bytes;
+      r.totals.files += files;
+      r.totals.bytes += bytes;
+      r.totals.jobs++;
+      scheduleSave();
+    },
+
+    // counters and limits of one key (or every key that has been used or configured)
+    usage(name) {
+      const names = name ? [name] : [...new Set([...byName.keys(), ...(open ? [ANONYMOUS] : []), ...usage.keys()])];
+      return names.map(n => {
+        const principal = n === ANONYMOUS ? anonymous : n === VIEWER ? viewer : byName.get(n);
+        const r = record(n);
+        return {
+          key: n,
+          admin: !!(principal && principal.admin),
+          limits: principal ? Object.fromEntries(LIMITS.map(l => [l, principal.limits[l] || 0])) : null,
+          activeJobs: activeJobs(n),
+          window: { start: new Date(r.window.start).toISOString(), end: new Date(r.window.start + windowMs).toISOString(), files: r.window.files, bytes: r.window.bytes },
+          requestsThisMinute: r.minute.requests,
+          totals: r.totals
+        };
+      });
+    },
+
+    hasKey(name) {
+      return byName.has(name) || usage.has(name) || (open && name === ANONYMOUS);
+    }
+  };
+}
+
+// JSON error response with Retry-After / WWW-Authenticate where they apply
+function sendError(res, err) {
+  if (err.status === 401) res.setHeader('WWW-Authenticate', 'Bearer');
+  if (err.retryAfter) res.setHeader('Retry-After', String(err.retryAfter));
+  res.status(err.status || 500).json({ error: err.message });
+}
+
+module.exports = { createAuth, authConfigFromEnv, sendError, ANONYMOUS };
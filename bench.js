@@ -0,0 +1,93 @@
+'use strict';
+
+// Image encoding benchmark: throughput and event-loop latency with encoding on the main thread vs in the
+// worker pool. A 5 ms timer stands in for SSE heartbeats and other requests; its lag is what clients feel.
+//   node bench.js [--images 8] [--size 1280x720] [--quality 75] [--concurrency 2] [--workers 2] [--file photo.jpg]
+
+const path = require('path');
+const fs = require('fs');
+const { monitorEventLoopDelay, performance } = require('perf_hooks');
+const imaging = require('./imaging');
+const { createWorkerPool } = require('./pool');
+
+function option(name, fallback) {
+  const at = process.argv.indexOf(`--${name}`);
+  return at > 0 && process.argv[at + 1] !== undefined ? process.argv[at + 1] : fallback;
+}
+
+const IMAGES = Math.max(1, Number(option('images', 8)));
+const [WIDTH, HEIGHT] = option('size', '1280x720').split('x').map(Number);
+const QUALITY = Number(option('quality', 75));
+const CONCURRENCY = Math.max(1, Number(option('concurrency', process.env.CONCURRENCY || 2)));
+const WORKERS = Math.max(1, Number(option('workers', process.env.WORKER_POOL_SIZE || CONCURRENCY)));
+const TICK_MS = 5;
+
+// a noisy gradient PNG (compresses like a photo, unlike a flat test card)
+async function sampleImage() {
+  const { Jimp } = await import('jimp');
+  const image = new Jimp({ width: WIDTH, height: HEIGHT, color: 0xffffffff });
+  const { data } = image.bitmap;
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    const x = p % WIDTH;
+    const y = Math.floor(p / WIDTH);
+    const noise = (Math.sin(p * 12.9898) * 43758.5453) % 1 * 40;
+    data[i] = (x * 255 / WIDTH + noise) & 255;
+    data[i + 1] = (y * 255 / HEIGHT + noise) & 255;
+    data[i + 2] = ((x + y) * 128 / (WIDTH + HEIGHT) + noise) & 255;
+  }
+  return image.getBuffer('image/png');
+}
+
+// encode IMAGES copies, CONCURRENCY at a time, while timing a TICK_MS interval
+async function run(label, encode) {
+  const histogram = monitorEventLoopDelay({ resolution: 1 });
+  let worstTick = 0;
+  let last = performance.now();
+  const ticker = setInterval(() => {
+    const now = performance.now();
+    worstTick = Math.max(worstTick, now - last - TICK_MS);
+    last = now;
+  }, TICK_MS);
+  histogram.enable();
+  const start = performance.now();
+  let next = 0;
+  await Promise.all(Array.from({ length: CONCURRENCY }, async () => {
+    while (next < IMAGES) {
+      next++;
+      await encode();
+    }
+  }));
+  const seconds = (performance.now() - start) / 1000;
+  await new Promise(resolve => setTimeout(resolve, TICK_MS * 2)); // let the timers see a block that ran until the end
+  histogram.disable();
+  clearInterval(ticker);
+  const ms = ns => (ns / 1e6).toFixed(1);
+  return {
+    mode: label,
+    'images/s': (IMAGES / seconds).toFixed(2),
+    'total s': seconds.toFixed(2),
+    'loop p50 ms': ms(histogram.percentile(50)),
+    'loop p99 ms': ms(histogram.percentile(99)),
+    'loop max ms': ms(histogram.max),
+    'worst tick lag ms': worstTick.toFixed(1)
+  };
+}
+
+async function main() {
+  const file = option('file', null);
+  const input = file ? fs.readFileSync(path.resolve(file)) : await sampleImage();
+  console.log(`${IMAGES} images, ${file || `${WIDTH}x${HEIGHT} generated PNG`} (${Math.round(input.length / 1024)} KB), q=${QUALITY}, ` +
+    `concurrency ${CONCURRENCY}, ${WORKERS} worker(s), ${imaging.useSharp ? 'sharp' : 'Jimp + jpeg-js'}`);
+
+  const results = [await run('main thread', () => imaging.encodeImage(input, QUALITY, null, 'jpeg'))];
+  const pool = createWorkerPool({ file: path.join(__dirname, 'image-worker.js'), size: WORKERS });
+  await Promise.all(Array.from({ length: WORKERS }, () => pool.run('probeImage', [input]))); // start the workers
+  results.push(await run('worker pool', () => pool.run('encodeImage', [input, QUALITY, null, 'jpeg'])));
+  await pool.close();
+  console.table(results);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,175 @@
+'use strict';
+
+// Compressed results cached by content: the key is a hash of the uploaded bytes plus the settings that
+// shape the output, so re-uploading the same image with the same settings reuses the encoded renditions
+// instead of recompressing. Entries live in dir/<key>/ (meta.json + one file per rendition), are evicted
+// least-recently-used once the total passes maxBytes, and keep their recency across restarts (mtime).
+// Also: 64-bit difference hashes (dHash) to spot near-duplicate images.
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const CACHE_VERSION = 1; // bump when encoder changes make old entries stale
+const KEY_RE = /^[0-9a-f]{64}$/;
+const FINGERPRINT_SIZE = { width: 9, height: 8 }; // 8 comparisons per row -> 64 bits
+
+// stable JSON (sorted object keys) so equal settings always hash the same
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function createResultCache({ dir, maxBytes }) {
+  const enabled = maxBytes > 0;
+  const entries = new Map(); // key -> size, least recently used first
+  const inflight = new Map(); // key -> { promise, resolve } while the first upload of that content encodes
+  let totalBytes = 0;
+  let hits = 0;
+  let misses = 0;
+
+  if (enabled) {
+    fs.mkdirSync(dir, { recursive: true });
+    const found = [];
+    for (const key of fs.readdirSync(dir).filter(k => KEY_RE.test(k))) {
+      try {
+        const meta = fs.statSync(path.join(dir, key, 'meta.json'));
+        const size = fs.readdirSync(path.join(dir, key)).reduce((n, f) => n + fs.statSync(path.join(dir, key, f)).size, 0);
+        found.push({ key, size, used: meta.mtimeMs });
+      } catch (e) {
+        fs.rmSync(path.join(dir, key), { recursive: true, force: true }); // half-written entry
+      }
+    }
+    found.sort((a, b) => a.used - b.used).forEach(({ key, size }) => { entries.set(key, size); totalBytes += size; });
+  }
+
+  async function evict() {
+    for (const [key, size] of entries) {
+      if (totalBytes <= maxBytes) break;
+      entries.delete(key);
+      totalBytes -= size;
+      await fs.promises.rm(path.join(dir, key), { recursive: true, force: true });
+    }
+  }
+
+  function settle(key, value) {
+    const pending = inflight.get(key);
+    if (!pending) return;
+    inflight.delete(key);
+    pending.resolve(value);
+  }
+
+  return {
+    enabled,
+
+    // cache key for an input (buffer or file path) and the settings that decide the output
+    async keyFor(input, settings) {
+      const hash = crypto.createHash('sha256').update(`v${CACHE_VERSION}\n${canonical(settings)}\n`);
+      if (Buffer.isBuffer(input)) {
+        hash.update(input);
+      } else {
+        for await (const chunk of fs.createReadStream(input)) hash.update(chunk);
+      }
+      return hash.digest('hex');
+    },
+
+    // { fingerprint, renditions: [{ ...fields, buffer }] } or null. A miss claims the key: later lookups of
+    // the same key wait for set() / abort() instead of encoding the same content again.
+    async get(key) {
+      if (!enabled) return null;
+      if (inflight.has(key)) await inflight.get(key).promise;
+      if (entries.has(key)) {
+        try {
+          const meta = JSON.parse(await fs.promises.readFile(path.join(dir, key, 'meta.json'), 'utf8'));
+          const renditions = await Promise.all(meta.renditions.map(async (r, i) => ({ ...r, buffer: await fs.promises.readFile(path.join(dir, key, `${i}.bin`)) })));
+          const size = entries.get(key);
+          entries.delete(key); // most recently used goes last
+          entries.set(key, size);
+          const now = new Date();
+          await fs.promises.utimes(path.join(dir, key, 'meta.json'), now, now).catch(() => {});
+          hits++;
+          return { fingerprint: meta.fingerprint, renditions };
+        } catch (err) {
+          console.warn('Dropping unreadable cache entry', key, err.message);
+          await this.remove(key);
+        }
+      }
+      misses++;
+      let resolve;
+      const promise = new Promise(r => { resolve = r; });
+      inflight.set(key, { promise, resolve });
+      return null;
+    },
+
+    async sizeOf(key) {
+      const names = await fs.promises.readdir(path.join(dir, key));
+      const sizes = await Promise.all(names.map(f => fs.promises.stat(path.join(dir, key, f)).then(s => s.size)));
+      return sizes.reduce((n, s) => n + s, 0);
+    },
+
+    // store the renditions of a miss (entries larger than the whole cache are skipped)
+    async set(key, { fingerprint, renditions }) {
+      if (!enabled) return;
+      try {
+        const meta = { fingerprint, createdAt: new Date().toISOString(), renditions: renditions.map(({ buffer, ...fields }) => fields) };
+        const size = renditions.reduce((n, r) => n + r.buffer.length, 0);
+        if (size > maxBytes) return;
+        const entryDir = path.join(dir, key);
+        await fs.promises.rm(entryDir, { recursive: true, force: true });
+        await fs.promises.mkdir(entryDir, { recursive: true });
+        await Promise.all(renditions.map((r, i) => fs.promises.writeFile(path.join(entryDir, `${i}.bin`), r.buffer)));
+        await fs.promises.writeFile(path.join(entryDir, 'meta.json'), JSON.stringify(meta)); // written last: marks the entry complete
+        if (entries.has(key)) totalBytes -= entries.get(key);
+        entries.delete(key);
+        entries.set(key, await this.sizeOf(key));
+        totalBytes += entries.get(key);
+        await evict();
+      } catch (err) {
+        console.error('Could not cache result', key, err);
+      } finally {
+        settle(key);
+      }
+    },
+
+    // the claimed key produced nothing (failed or cancelled encode): let waiting lookups encode themselves
+    abort(key) {
+      settle(key);
+    },
+
+    async remove(key) {
+      if (entries.has(key)) totalBytes -= entries.get(key);
+      entries.delete(key);
+      await fs.promises.rm(path.join(dir, key), { recursive: true, force: true });
+    },
+
+    stats() {
+      return { enabled, entries: entries.size, bytes: totalBytes, maxBytes, hits, misses };
+    }
+  };
+}
+
+// 64-bit difference hash (16 hex chars) of RGBA pixels already scaled to FINGERPRINT_SIZE
+function differenceHash({ data, width, height }) {
+  let bits = '';
+  const luma = (x, y) => {
+    const i = (y * width + x) * 4;
+    return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+  };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width - 1; x++) bits += luma(x, y) > luma(x + 1, y) ? '1' : '0';
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+}
+
+// number of differing bits between two fingerprints
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  for (; diff; diff >>= 1n) count += Number(diff & 1n);
+  return count;
+}
+
+module.exports = { createResultCache, differenceHash, hammingDistance, FINGERPRINT_SIZE };
@@ -0,0 +1,210 @@
+'use strict';
+
+// TF-Stream catalog schema: index.json lists the catalog files; each catalog is an array of series
+// ("Texte", "Catégorie", "Saisons" → "episodes"); episodes may carry subtitle and audio tracks. Used by the
+// server's catalog API and runnable as a validation command:  node catalog.js [--strict] [catalog.json ...]
+
+const path = require('path');
+const fs = require('fs');
+
+// fields allowed at each level (all strings), the ones that must be present, the ones a new entry
+// starts with, the nested list and the track lists (arrays of TRACK_FIELDS objects)
+const CATALOG_LEVELS = {
+  series: {
+    fields: ['Texte', 'Url Thumb', 'Catégorie', 'Bio', 'Info'],
+    required: ['Texte'],
+    blank: ['Texte', 'Url Thumb', 'Catégorie', 'Bio', 'Info'],
+    children: { key: 'Saisons', level: 'season' }
+  },
+  season: {
+    fields: ['description', 'bio', 'info'],
+    required: [],
+    blank: ['description', 'bio', 'info'],
+    children: { key: 'episodes', level: 'episode' }
+  },
+  // mp4 / source / previews are written by the packaging and thumbnail jobs, subtitles / audio by the track routes
+  episode: {
+    fields: ['description', 'video', 'Url Thumb', 'mp4', 'source', 'previews'],
+    required: ['video'],
+    blank: ['description', 'video'],
+    children: null,
+    tracks: ['subtitles', 'audio']
+  }
+};
+
+// one subtitle (src: a WebVTT file) or audio (src: an M4A file) track; lang is a language code (fr, en, pt-BR,
+// or ffmpeg's fra / eng), kind is subtitles or captions, origin says where the track came from (upload, embedded)
+const TRACK_FIELDS = ['lang', 'label', 'src', 'kind', 'origin'];
+const TRACK_REQUIRED = ['lang', 'src'];
+const SUBTITLE_KINDS = ['subtitles', 'captions'];
+
+// fields reported by the validation command when left empty (placeholder rows)
+const REQUIRED_CONTENT = ['video', 'Url Thumb'];
+
+// files next to the catalogs that are never catalogs themselves
+const RESERVED_FILES = ['index.json', 'package.json', 'package-lock.json', 'manifest.json'];
+
+function isLanguageCode(value) {
+  return typeof value === 'string' && /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(value);
+}
+
+function isCatalogName(name) {
+  return typeof name === 'string' && /^[a-zA-Z0-9_\-]+\.json$/.test(name) && !RESERVED_FILES.includes(name);
+}
+
+// an empty entry with every field of the level, as in the hand-written files
+function blankEntry(level) {
+  const spec = CATALOG_LEVELS[level];
+  const entry = {};
+  for (const field of spec.blank) entry[field] = '';
+  if (spec.children) entry[spec.children.key] = [];
+  return entry;
+}
+
+// JSON-path style key: .video, ["Url Thumb"]
+function prop(where, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${where}.${key}` : `${where}[${JSON.stringify(key)}]`;
+}
+
+// schema errors for a track list: [{ path, message }]
+function validateTracks(key, tracks, where) {
+  if (!Array.isArray(tracks)) return [{ path: where, message: 'must be an array' }];
+  const errors = [];
+  tracks.forEach((track, i) => {
+    const at = `${where}[${i}]`;
+    if (!track || typeof track !== 'object' || Array.isArray(track)) return errors.push({ path: at, message: 'track must be an object' });
+    for (const field of TRACK_REQUIRED) {
+      if (!(field in track)) errors.push({ path: prop(at, field), message: 'is required' });
+    }
+    for (const [field, value] of Object.entries(track)) {
+      if (!TRACK_FIELDS.includes(field)) errors.push({ path: prop(at, field), message: 'unknown track field' });
+      else if (typeof value !== 'string') errors.push({ path: prop(at, field), message: 'must be a string' });
+    }
+    if (typeof track.lang === 'string' && !isLanguageCode(track.lang)) errors.push({ path: prop(at, 'lang'), message: 'must be a language code (fr, en, pt-BR)' });
+    if ('kind' in track && (key !== 'subtitles' || !SUBTITLE_KINDS.includes(track.kind))) {
+      errors.push({ path: prop(at, 'kind'), message: key === 'subtitles' ? `must be one of ${SUBTITLE_KINDS.join(', ')}` : 'is only used on subtitles' });
+    }
+  });
+  return errors;
+}
+
+// schema errors for one entry and everything below it: [{ path, message }]
+function validateEntry(level, entry, where = '') {
+  const spec = CATALOG_LEVELS[level];
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return [{ path: where, message: `${level} must be an object` }];
+  const errors = [];
+  for (const field of spec.required) {
+    if (!(field in entry)) errors.push({ path: prop(where, field), message: 'is required' });
+  }
+  for (const [key, value] of Object.entries(entry)) {
+    if (spec.children && key === spec.children.key) {
+      if (!Array.isArray(value)) errors.push({ path: prop(where, key), message: 'must be an array' });
+      else value.forEach((child, i) => errors.push(...validateEntry(spec.children.level, child, `${prop(where, key)}[${i}]`)));
+    } else if (spec.tracks && spec.tracks.includes(key)) {
+      errors.push(...validateTracks(key, value, prop(where, key)));
+    } else if (!spec.fields.includes(key)) {
+      errors.push({ path: prop(where, key), message: `unknown ${level} field` });
+    } else if (typeof value !== 'string') {
+      errors.push({ path: prop(where, key), message: 'must be a string' });
+    }
+  }
+  return errors;
+}
+
+function validateCatalog(series) {
+  if (!Array.isArray(series)) return [{ path: '', message: 'catalog must be an array of series' }];
+  return series.flatMap((s, i) => validateEntry('series', s, `[${i}]`));
+}
+
+// entries whose video / "Url Thumb" is present but empty: [{ path, label, field }]
+function catalogWarnings(series) {
+  const warnings = [];
+  const check = (entry, where, label) => {
+    for (const field of REQUIRED_CONTENT) {
+      if (typeof entry[field] === 'string' && !entry[field].trim()) warnings.push({ path: prop(where, field), label, field });
+    }
+  };
+  (Array.isArray(series) ? series : []).forEach((s, si) => {
+    if (!s || typeof s !== 'object') return;
+    const title = s.Texte || `series ${si}`;
+    check(s, `[${si}]`, title);
+    (Array.isArray(s.Saisons) ? s.Saisons : []).forEach((saison, season) => {
+      (saison && Array.isArray(saison.episodes) ? saison.episodes : []).forEach((ep, episode) => {
+        if (ep && typeof ep === 'object') check(ep, `[${si}].Saisons[${season}].episodes[${episode}]`, `${title} S${season + 1}E${episode + 1}`);
+      });
+    });
+  });
+  return warnings;
+}
+
+// the episode after series.Saisons[season].episodes[episode], moving on to the next season that has episodes:
+// { season, episode } or null after the last one
+function nextEpisode(series, season, episode) {
+  const saisons = series && Array.isArray(series.Saisons) ? series.Saisons : [];
+  for (let s = season, e = episode + 1; s < saisons.length; s++, e = 0) {
+    const episodes = saisons[s] && Array.isArray(saisons[s].episodes) ? saisons[s].episodes : [];
+    if (e < episodes.length) return { season: s, episode: e };
+  }
+  return null;
+}
+
+// catalog files in dir for index.json: listed files that still exist keep their order, then any valid
+// catalog file that is not listed yet
+function scanCatalogFiles(dir) {
+  let listed = [];
+  try {
+    listed = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8'));
+  } catch (e) { /* no index yet */ }
+  const order = (Array.isArray(listed) ? listed : []).filter(name => isCatalogName(name) && fs.existsSync(path.join(dir, name)));
+  const found = fs.readdirSync(dir).filter(name => {
+    if (!isCatalogName(name) || order.includes(name)) return false;
+    try {
+      return validateCatalog(JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'))).length === 0;
+    } catch (e) {
+      return false;
+    }
+  });
+  return [...order, ...found.sort()];
+}
+
+module.exports = { CATALOG_LEVELS, SUBTITLE_KINDS, isCatalogName, isLanguageCode, blankEntry, validateEntry, validateCatalog, catalogWarnings, nextEpisode, scanCatalogFiles };
+
+// ---- validation command ----
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const strict = args.includes('--strict');
+  const dir = __dirname;
+  let names = args.filter(a => !a.startsWith('--'));
+  if (!names.length) {
+    try {
+      names = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8'));
+    } catch (e) {
+      console.error(`Cannot read index.json: ${e.message}`);
+      process.exit(2);
+    }
+  }
+
+  let errorCount = 0;
+  let warningCount = 0;
+  for (const name of names) {
+    let series;
+    try {
+      series = JSON.parse(fs.readFileSync(path.resolve(dir, name), 'utf8'));
+    } catch (e) {
+      console.log(`✖ ${name}: ${e.message}`);
+      errorCount++;
+      continue;
+    }
+    const errors = validateCatalog(series);
+    const warnings = catalogWarnings(series);
+    errorCount += errors.length;
+    warningCount += warnings.length;
+    console.log(`${errors.length ? '✖' : '✔'} ${name}: ${Array.isArray(series) ? series.length : 0} series, ${errors.length} error(s), ${warnings.length} empty field(s)`);
+    errors.forEach(e => console.log(`  error   ${e.path} ${e.message}`));
+    warnings.forEach(w => console.log(`  empty   ${w.label} — "${w.field}" (${w.path})`));
+  }
+
+  const unlisted = scanCatalogFiles(dir).filter(name => !names.includes(name));
+  if (unlisted.length) console.log(`Catalog files not listed in index.json: ${unlisted.join(', ')}`);
+  process.exit(errorCount || (strict && warningCount) ? 1 : 0);
+}
@@ -0,0 +1,281 @@
+'use strict';
+
+// Headless batch compression: walks a directory tree, runs every image through the same pipeline as
+// /api/compress-multi (compress.js) and mirrors the folder structure in the output directory.
+//   node cli.js <input dir> <output dir> [--config settings.json] [--quality 80] [--format webp] [--max-bytes N]
+//     [--min-ssim 0.98] [--max-width N] [--max-height N] [--fit inside] [--presets thumb-16x9,poster-2x3]
+//     [--overlay tf] [--overlay-text ..] [--metadata strip-all] [--keep-gps] [--concurrency 2] [--cache-dir dir] [--force]
+// The config file holds the same fields as the API (quality, format, maxBytes, presets, overlay, ...), plus
+// input, output and concurrency; flags win over it. Images are recognised by their first bytes, not their
+// extension. A file is skipped when the output manifest (.tf-compress.json) shows it was compressed from the
+// same size + mtime with the same settings and its outputs are still there (--force redoes everything).
+// Prints the server's per-file and overall progress lines, then a JSON summary; exits 1 when any file failed.
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { createStorage } = require('./storage');
+const { createResultCache } = require('./cache');
+const { sniffMime, IMAGE_TYPES } = require('./uploads');
+const imaging = require('./imaging');
+const { createWorkerPool, workerPoolConfigFromEnv } = require('./pool');
+const { createCompressor, parseImageOptions, overallProgressLine, resultSummaryLines } = require('./compress');
+
+const MANIFEST_FILE = '.tf-compress.json';
+const MANIFEST_VERSION = 1;
+const SNIFF_BYTES = 16;
+const CACHE_MAX_BYTES = Math.max(0, Number(process.env.CACHE_MAX_MB ?? 512)) * 1024 * 1024;
+
+// image settings flags, named like the API fields in kebab-case
+const SETTING_FLAGS = {
+  quality: 'string',
+  format: 'string',
+  'max-bytes': 'string',
+  'min-ssim': 'string',
+  'max-width': 'string',
+  'max-height': 'string',
+  fit: 'string',
+  presets: 'string',
+  overlay: 'string',
+  'overlay-text': 'string',
+  'overlay-image': 'string',
+  'overlay-position': 'string',
+  'overlay-opacity': 'string',
+  'overlay-scale': 'string',
+  'overlay-margin': 'string',
+  'overlay-color': 'string',
+  metadata: 'string',
+  'keep-gps': 'boolean'
+};
+const camelCase = flag => flag.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+function usage(message) {
+  if (message) console.error(message);
+  console.error('Usage: node cli.js <input dir> <output dir> [--config file.json] [--quality N] [--format jpeg|webp|avif|png|auto] [options]');
+  process.exit(2);
+}
+
+// { input, output, concurrency, cacheDir, force, body } from the config file and the command line
+function readSettings(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        ...Object.fromEntries(Object.entries(SETTING_FLAGS).map(([flag, type]) => [flag, { type }])),
+        config: { type: 'string' },
+        concurrency: { type: 'string' },
+        'cache-dir': { type: 'string' },
+        force: { type: 'boolean' },
+        help: { type: 'boolean' }
+      }
+    });
+  } catch (err) {
+    usage(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) usage();
+
+  let config = {};
+  let configDir = process.cwd();
+  if (values.config) {
+    try {
+      config = JSON.parse(fs.readFileSync(values.config, 'utf8'));
+    } catch (err) {
+      usage(`Cannot read ${values.config}: ${err.message}`);
+    }
+    configDir = path.dirname(path.resolve(values.config));
+  }
+
+  const { input, output, concurrency, ...body } = config;
+  for (const flag of Object.keys(SETTING_FLAGS)) {
+    if (values[flag] !== undefined) body[camelCase(flag)] = values[flag];
+  }
+  const inputDir = positionals[0] ? path.resolve(positionals[0]) : input && path.resolve(configDir, input);
+  const outputDir = positionals[1] ? path.resolve(positionals[1]) : output && path.resolve(configDir, output);
+  if (!inputDir || !outputDir) usage('An input and an output directory are required');
+  return {
+    inputDir,
+    outputDir,
+    concurrency: Math.max(1, Number(values.concurrency || concurrency || process.env.CONCURRENCY || 2)),
+    cacheDir: values['cache-dir'] ? path.resolve(values['cache-dir']) : null,
+    force: !!values.force,
+    body
+  };
+}
+
+// image files under dir (relative paths, sorted), leaving out the output directory when it is inside
+async function findImages(dir, outputDir) {
+  const found = [];
+  async function walk(current) {
+    for (const entry of await fs.promises.readdir(current, { withFileTypes: true })) {
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (full !== outputDir) await walk(full);
+      } else if (entry.isFile()) {
+        const handle = await fs.promises.open(full, 'r');
+        const head = Buffer.alloc(SNIFF_BYTES);
+        try {
+          await handle.read(head, 0, SNIFF_BYTES, 0);
+        } finally {
+          await handle.close();
+        }
+        if (IMAGE_TYPES.includes(sniffMime(head))) found.push(path.relative(dir, full));
+      }
+    }
+  }
+  await walk(dir);
+  return found.sort();
+}
+
+// output name (relative, without extension) per input: same folder and base name. Two inputs that differ only
+// by extension (logo.png, logo.jpg) keep it in the name instead (logo_png, logo_jpg).
+function outputNames(files) {
+  const stem = file => path.join(path.dirname(file), path.basename(file, path.extname(file)));
+  const counts = new Map();
+  files.forEach(file => counts.set(stem(file), (counts.get(stem(file)) || 0) + 1));
+  return new Map(files.map(file => [file, counts.get(stem(file)) > 1 ? `${stem(file)}_${path.extname(file).slice(1)}` : stem(file)]));
+}
+
+function readManifest(outputDir) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, MANIFEST_FILE), 'utf8'));
+    if (manifest.version === MANIFEST_VERSION) return manifest;
+  } catch (e) { /* first run */ }
+  return { version: MANIFEST_VERSION, files: {} };
+}
+
+async function writeManifest(outputDir, manifest) {
+  const file = path.join(outputDir, MANIFEST_FILE);
+  await fs.promises.mkdir(outputDir, { recursive: true });
+  await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(manifest, null, 2));
+  await fs.promises.rename(`${file}.tmp`, file);
+}
+
+function upToDate(entry, source, settingsHash, outputDir) {
+  return !!entry
+    && entry.size === source.size
+    && entry.mtimeMs === source.mtimeMs
+    && entry.settings === settingsHash
+    && entry.outputs.every(key => fs.existsSync(path.join(outputDir, key)));
+}
+
+async function main() {
+  const settings = readSettings(process.argv.slice(2));
+  const { inputDir, outputDir } = settings;
+  let image;
+  try {
+    image = parseImageOptions(settings.body);
+  } catch (err) {
+    usage(err.message);
+  }
+  if (!fs.existsSync(inputDir) || !fs.statSync(inputDir).isDirectory()) usage(`${inputDir} is not a directory`);
+
+  const settingsHash = crypto.createHash('sha256').update(JSON.stringify(image)).digest('hex');
+  const manifest = readManifest(outputDir);
+  const files = await findImages(inputDir, outputDir);
+  const names = outputNames(files);
+  const sources = new Map(await Promise.all(files.map(async file => [file, await fs.promises.stat(path.join(inputDir, file))])));
+  const todo = settings.force ? files : files.filter(file => !upToDate(manifest.files[file], sources.get(file), settingsHash, outputDir));
+  const skipped = files.length - todo.length;
+  console.log(`${files.length} image(s) in ${inputDir}: ${todo.length} to compress, ${skipped} up to date -> ${outputDir}`);
+  console.log(imaging.useSharp ? '✅ sharp available — using sharp for image processing.' : '⚠️ sharp not available, will fallback to Jimp + jpeg-js.');
+
+  const poolConfig = workerPoolConfigFromEnv(process.env, settings.concurrency);
+  const pool = poolConfig.size > 0 && todo.length ? createWorkerPool({ ...poolConfig, file: path.join(__dirname, 'image-worker.js') }) : null;
+  const { processFile } = createCompressor({
+    storage: createStorage({ driver: 'local', dir: outputDir }),
+    resultCache: createResultCache({ dir: settings.cacheDir, maxBytes: settings.cacheDir ? CACHE_MAX_BYTES : 0 }),
+    runImageTask: (task, ...args) => (pool ? pool.run(task, args) : imaging[task](...args))
+  });
+
+  // Ctrl-C stops the running files; what finished is recorded, so the next run picks up from there
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    console.log('Interrupted, stopping…');
+    controller.abort();
+  });
+
+  // overall progress, as the server reports it for a job
+  const totalBytes = todo.reduce((n, file) => n + sources.get(file).size, 0);
+  const live = new Map();
+  const startedAt = Date.now();
+  let doneBytes = 0;
+  let lastPct = -1;
+  function reportOverall(force) {
+    const processed = doneBytes + [...live.values()].reduce((n, b) => n + b, 0);
+    const pct = totalBytes > 0 ? Math.min(100, Math.round(processed / totalBytes * 100)) : 100;
+    if (!force && pct === lastPct) return;
+    lastPct = pct;
+    const elapsed = (Date.now() - startedAt) / 1000;
+    const bytesPerSecond = elapsed >= 1 && processed > 0 ? Math.round(processed / elapsed) : null;
+    console.log(overallProgressLine(processed, totalBytes, pct, bytesPerSecond, bytesPerSecond ? Math.round((totalBytes - processed) / bytesPerSecond) : null));
+  }
+
+  const fingerprints = [];
+  const results = [];
+  let next = 0;
+  async function compressNext() {
+    while (next < todo.length && !controller.signal.aborted) {
+      const index = next++;
+      const file = todo[index];
+      const source = sources.get(file);
+      const previous = manifest.files[file];
+      const outputName = names.get(file).split(path.sep).join('/');
+      const result = await processFile({ originalname: file, size: source.size, path: path.join(inputDir, file) }, index, null, image.quality, {
+        ...image.options,
+        keyPrefix: outputName.includes('/') ? outputName.slice(0, outputName.lastIndexOf('/') + 1) : '',
+        outputName: outputName.slice(outputName.lastIndexOf('/') + 1),
+        fingerprints,
+        signal: controller.signal,
+        onProgress: state => {
+          live.set(index, state.processedBytes);
+          reportOverall(false);
+        }
+      });
+      live.delete(index);
+      doneBytes += source.size;
+      const { state, ...saved } = result;
+      if (!result.error) {
+        saved.renditions.forEach(r => { r.outPath = path.join(outputDir, r.key); });
+        const outputs = saved.renditions.map(r => r.key);
+        // outputs of earlier settings that this run did not overwrite (other presets or format)
+        if (previous) await Promise.all(previous.outputs.filter(key => !outputs.includes(key)).map(key => fs.promises.unlink(path.join(outputDir, key)).catch(() => {})));
+        manifest.files[file] = { size: source.size, mtimeMs: source.mtimeMs, settings: settingsHash, outputs, compressedAt: new Date().toISOString() };
+      }
+      results.push({ ...saved, name: file });
+      reportOverall(false);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(settings.concurrency, todo.length) }, compressNext));
+  if (pool) await pool.close();
+  await writeManifest(outputDir, manifest);
+
+  results.sort((a, b) => a.index - b.index);
+  console.log('Summary:');
+  results.forEach(r => resultSummaryLines(r).forEach(line => console.log(line)));
+  const failed = results.filter(r => r.error);
+  const summary = {
+    input: inputDir,
+    output: outputDir,
+    settings: { quality: image.quality, format: image.options.format, renditions: image.options.renditions.map(r => r.name) },
+    images: files.length,
+    compressed: results.length - failed.length,
+    skipped,
+    failed: failed.length,
+    notStarted: todo.length - results.length,
+    originalBytes: results.filter(r => !r.error).reduce((n, r) => n + r.originalSize, 0),
+    compressedBytes: results.filter(r => !r.error).reduce((n, r) => n + r.renditions.reduce((s, rd) => s + rd.compressedSize, 0), 0),
+    nearDuplicates: results.filter(r => r.nearDuplicateOf).map(r => ({ file: r.name, of: r.nearDuplicateOf.name, distance: r.nearDuplicateOf.distance })),
+    errors: failed.map(r => ({ file: r.name, error: r.error }))
+  };
+  console.log(JSON.stringify(summary, null, 2));
+  process.exitCode = failed.length || controller.signal.aborted ? 1 : 0;
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
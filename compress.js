@@ -0,0 +1,501 @@
+'use strict';
+
+// Image compression pipeline, shared by the server's compress jobs and the command line (cli.js):
+// parseImageOptions turns request fields (or CLI flags) into settings, and processFile decodes a file, encodes
+// each rendition (resize, overlay, metadata policy, optional quality search for maxBytes / minSsim) and writes
+// the results through a storage driver. Pixel work goes through runImageTask: the worker pool, or imaging.js
+// on the calling thread.
+
+const path = require('path');
+const fs = require('fs');
+const { METADATA_POLICIES, readMetadata } = require('./metadata');
+const { differenceHash, hammingDistance, FINGERPRINT_SIZE } = require('./cache');
+const { OVERLAY_DIR, useSharp } = require('./imaging');
+
+const MIN_REPORT_BYTES = 64 * 1024; // only report if changed by >64KB
+// where each stage starts on a file's 0-100 progress scale (encode fills the gap up to write)
+const STAGE_PCT = { received: 0, decode: 2, encode: 10, write: 92, done: 100 };
+const SEARCH_MIN_QUALITY = 10; // lowest quality the target search will try
+const SEARCH_MAX_STEPS = 8; // binary search steps over the quality range
+// files of one batch whose fingerprints differ in at most this many of 64 bits are reported as near-duplicates
+const NEAR_DUPLICATE_DISTANCE = Math.max(0, Number(process.env.NEAR_DUPLICATE_DISTANCE ?? 6));
+
+
+// named resize presets (catalog artwork for TF-Stream); "full" is the request's own maxWidth/maxHeight/fit
+const RESIZE_PRESETS = {
+  'thumb-16x9': { width: 480, height: 270, fit: 'cover' },
+  'thumb-16x9-hd': { width: 1280, height: 720, fit: 'cover' },
+  'poster-2x3': { width: 400, height: 600, fit: 'cover' },
+  'square-1x1': { width: 512, height: 512, fit: 'cover' }
+};
+const FIT_MODES = ['cover', 'contain', 'inside'];
+
+// watermark / text overlays drawn on every rendition; scale is the overlay width as a share of the output width,
+// margin a share of the output's shorter side. Image overlays name a PNG file in OVERLAY_DIR (see imaging.js).
+const OVERLAY_POSITIONS = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right'];
+const OVERLAY_COLORS = ['white', 'black'];
+const OVERLAY_DEFAULTS = { position: 'bottom-right', opacity: 0.7, scale: 0.12, margin: 0.03, color: 'white' };
+// built-in presets, plus any defined in OVERLAY_DIR/presets.json ({ "name": { type, text | image, position, ... } })
+const OVERLAY_PRESETS = {
+  tf: { type: 'text', text: 'TF', position: 'bottom-right', opacity: 0.7, scale: 0.12 },
+  'tf-center': { type: 'text', text: 'TF', position: 'center', opacity: 0.25, scale: 0.4 },
+  ...loadOverlayPresets()
+};
+
+// output formats; "auto" picks the smallest of the formats available for the image
+const FORMAT_EXTENSIONS = { jpeg: 'jpg', webp: 'webp', avif: 'avif', png: 'png' };
+const OUTPUT_FORMATS = [...Object.keys(FORMAT_EXTENSIONS), 'auto'];
+// metadata kept in outputs when the request does not choose (strip-all, keep-color-profile or keep-all)
+const DEFAULT_METADATA_POLICY = METADATA_POLICIES.includes(process.env.IMAGE_METADATA) ? process.env.IMAGE_METADATA : 'keep-color-profile';
+
+// error carrying the HTTP status a route should answer with
+function statusError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function formatBytes(n) {
+  if (!n && n !== 0) return '0 B';
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(2)} MB`;
+}
+
+// the progress / summary lines logged for a batch (the server's jobs and the CLI print the same ones)
+function overallProgressLine(processedBytes, totalBytes, pct, bytesPerSecond, etaSeconds) {
+  return `OVERALL — ${formatBytes(processedBytes)} / ${formatBytes(totalBytes)} — ${pct}%${etaSeconds !== null ? ` — ${formatBytes(bytesPerSecond)}/s, ETA ${etaSeconds}s` : ''}`;
+}
+
+// bytes done and percentage over a batch's files ({ size, status }): running files count liveBytes(file), finished
+// ones their full size, so each file weighs by its size
+function overallProgress(files, liveBytes = () => 0) {
+  const totalBytes = files.reduce((s, f) => s + (f.size || 0), 0);
+  const processedBytes = files.reduce((s, f) => {
+    if (f.status === 'queued') return s;
+    if (f.status === 'running') return s + (liveBytes(f) || 0);
+    return s + (f.size || 0);
+  }, 0);
+  const pct = totalBytes > 0 ? Math.min(100, Math.round((processedBytes / totalBytes) * 100)) : 0;
+  return { processedBytes, totalBytes, pct };
+}
+
+function resultSummaryLines(r) {
+  if (r.error) return [`- ${r.name} : ERROR -> ${r.error}`];
+  return r.renditions.map(rd => `- ${r.name} [${rd.preset} ${rd.width}x${rd.height}] : ${formatBytes(r.originalSize)} -> ${formatBytes(rd.compressedSize)} -> ${rd.outPath} (${rd.format}${rd.quality !== null ? ` q=${rd.quality}` : ''}${rd.ssim !== null ? `, ssim=${rd.ssim}` : ''})${rd.warning ? ` — ${rd.warning}` : ''}`);
+}
+
+
+function loadOverlayPresets() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(OVERLAY_DIR, 'presets.json'), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`Ignoring ${path.join(OVERLAY_DIR, 'presets.json')}: ${err.message}`);
+    return {};
+  }
+}
+
+// formats "auto" chooses between: jpeg only when there is no alpha to lose, webp/avif only with sharp
+function autoFormats(hasAlpha) {
+  const formats = useSharp ? ['webp', 'avif', 'png'] : ['png'];
+  return hasAlpha ? formats : ['jpeg', ...formats];
+}
+
+// the settings that decide a compress output, hashed into the cache key with the input bytes
+function cacheSettings(quality, options) {
+  const overlayFile = options.overlay && options.overlay.type === 'image' ? path.join(OVERLAY_DIR, options.overlay.image) : null;
+  return {
+    backend: useSharp ? 'sharp' : 'jimp',
+    quality,
+    format: options.format,
+    maxBytes: options.maxBytes,
+    minSsim: options.minSsim,
+    renditions: options.renditions,
+    overlay: options.overlay,
+    overlayModified: overlayFile ? fs.statSync(overlayFile).mtimeMs : undefined,
+    metadata: options.metadata || DEFAULT_METADATA_POLICY,
+    keepGps: !!options.keepGps
+  };
+}
+
+// overlay settings: a preset (overlay=tf, or none) and/or overlayText / overlayImage, adjusted by overlayPosition,
+// overlayOpacity, overlayScale, overlayMargin and overlayColor. Returns null for no overlay; throws a 400 statusError.
+function parseOverlay(body = {}) {
+  const name = body.overlay ? String(body.overlay) : '';
+  if (name === 'none') return null;
+  if (name && !OVERLAY_PRESETS[name]) throw statusError(400, `Unknown overlay "${name}" (available: ${[...Object.keys(OVERLAY_PRESETS), 'none'].join(', ')})`);
+  const custom = body.overlayText ? { type: 'text', text: String(body.overlayText) }
+    : body.overlayImage ? { type: 'image', image: String(body.overlayImage) } : {};
+  if (!name && !custom.type) return null;
+
+  const spec = { ...OVERLAY_DEFAULTS, ...OVERLAY_PRESETS[name], ...custom };
+  if (body.overlayPosition) spec.position = String(body.overlayPosition).toLowerCase();
+  if (body.overlayColor) spec.color = String(body.overlayColor).toLowerCase();
+  for (const key of ['opacity', 'scale', 'margin']) {
+    const field = `overlay${key[0].toUpperCase()}${key.slice(1)}`;
+    if (body[field] !== undefined && body[field] !== '') spec[key] = Number(body[field]);
+  }
+
+  const overlay = { type: spec.type, position: spec.position, opacity: spec.opacity, scale: spec.scale, margin: spec.margin };
+  if (spec.type === 'text') {
+    overlay.text = String(spec.text || '').trim();
+    overlay.color = spec.color;
+    if (!overlay.text || overlay.text.length > 64) throw statusError(400, 'overlay text must be 1-64 characters');
+    if (!OVERLAY_COLORS.includes(overlay.color)) throw statusError(400, `overlayColor must be one of ${OVERLAY_COLORS.join(', ')}`);
+  } else if (spec.type === 'image') {
+    overlay.image = String(spec.image || '');
+    if (!/^[\w.\-]+\.png$/i.test(overlay.image) || !fs.existsSync(path.join(OVERLAY_DIR, overlay.image))) {
+      throw statusError(400, `overlay image "${overlay.image}" not found (PNG files in ${path.basename(OVERLAY_DIR)}/)`);
+    }
+  } else {
+    throw statusError(400, `overlay "${name}" has no text or image`);
+  }
+  if (!OVERLAY_POSITIONS.includes(overlay.position)) throw statusError(400, `overlayPosition must be one of ${OVERLAY_POSITIONS.join(', ')}`);
+  if (!(overlay.opacity > 0 && overlay.opacity <= 1)) throw statusError(400, 'overlayOpacity must be between 0 and 1');
+  if (!(overlay.scale > 0 && overlay.scale <= 1)) throw statusError(400, 'overlayScale must be between 0 and 1 (share of the output width)');
+  if (!(overlay.margin >= 0 && overlay.margin < 0.5)) throw statusError(400, 'overlayMargin must be between 0 and 0.5');
+  return overlay;
+}
+
+// parse image settings shared by compress and thumbnail jobs; throws a 400 statusError on bad input.
+// defaults: { presets, format } apply when the body leaves them out.
+function parseImageOptions(body = {}, defaults = {}) {
+  // optional options: search quality until output fits maxBytes and/or reaches minSsim
+  const options = {};
+  if (body.maxBytes !== undefined && body.maxBytes !== '') {
+    options.maxBytes = Math.floor(Number(body.maxBytes));
+    if (!Number.isFinite(options.maxBytes) || options.maxBytes <= 0) throw statusError(400, 'maxBytes must be a positive number of bytes');
+  }
+  if (body.minSsim !== undefined && body.minSsim !== '') {
+    options.minSsim = Number(body.minSsim);
+    if (!Number.isFinite(options.minSsim) || options.minSsim <= 0 || options.minSsim > 1) throw statusError(400, 'minSsim must be between 0 and 1');
+  }
+
+  // renditions: "full" (maxWidth/maxHeight/fit, 0 = keep) plus any named presets
+  const maxWidth = Math.max(0, Math.floor(Number(body.maxWidth || 0)));
+  const maxHeight = Math.max(0, Math.floor(Number(body.maxHeight || 0)));
+  const fit = body.fit || 'inside';
+  if (!FIT_MODES.includes(fit)) throw statusError(400, `fit must be one of ${FIT_MODES.join(', ')}`);
+  const presetNames = [].concat(body.presets || defaults.presets || []).join(',').split(',').map(p => p.trim()).filter(Boolean);
+  const unknownPreset = presetNames.find(p => p !== 'full' && !RESIZE_PRESETS[p]);
+  if (unknownPreset) throw statusError(400, `Unknown preset "${unknownPreset}" (available: full, ${Object.keys(RESIZE_PRESETS).join(', ')})`);
+  options.format = String(body.format || defaults.format || 'jpeg').toLowerCase().replace(/^jpg$/, 'jpeg');
+  if (!OUTPUT_FORMATS.includes(options.format)) throw statusError(400, `format must be one of ${OUTPUT_FORMATS.join(', ')}`);
+  const overlay = parseOverlay(body);
+  if (overlay) options.overlay = overlay;
+
+  // metadata policy; GPS is only written back with keep-all and keepGps=true
+  options.metadata = String(body.metadata || DEFAULT_METADATA_POLICY).toLowerCase();
+  if (!METADATA_POLICIES.includes(options.metadata)) throw statusError(400, `metadata must be one of ${METADATA_POLICIES.join(', ')}`);
+  options.keepGps = body.keepGps === true || body.keepGps === 'true';
+  options.renditions = (presetNames.length ? [...new Set(presetNames)] : ['full'])
+    .map(name => name === 'full' ? { name, width: maxWidth, height: maxHeight, fit } : { name, ...RESIZE_PRESETS[name] });
+
+  // quality caps the target search; an SSIM-only target may climb all the way to 100
+  const quality = Math.max(1, Math.min(100, Number(body.quality || (options.minSsim && !options.maxBytes ? 100 : 80))));
+  return { quality, options };
+}
+
+// storage: a storage.js driver; resultCache: cache.js (or one with enabled: false); runImageTask(name, ...args)
+// runs an imaging.js function; sendSse(clientId, event, data) reports to a connected client
+function createCompressor({ storage, resultCache, runImageTask, sendSse = () => {} }) {
+  const encodeImage = (...args) => runImageTask('encodeImage', ...args);
+  const probeImage = input => runImageTask('probeImage', input);
+  const decodeRgba = (input, resize) => runImageTask('decodeRgba', input, resize);
+  const compareSsim = (reference, candidate) => runImageTask('compareSsim', reference, candidate);
+
+  // encode one rendition: fixed quality, or a quality search when maxBytes / minSsim is set.
+  // With format "auto" every candidate format is tried and the smallest output that meets the target wins.
+  // onStep(fraction) reports how much of this rendition's encoding work is done.
+  async function encodeRendition(input, quality, options, spec, { hasAlpha = false, onStep = () => {} } = {}) {
+    const formats = options.format === 'auto' ? autoFormats(hasAlpha) : [options.format || 'jpeg'];
+    let best = null;
+    for (const [i, format] of formats.entries()) {
+      const candidate = (options.maxBytes || options.minSsim)
+        ? await searchQuality(input, quality, options, spec, format, step => onStep((i + step) / formats.length))
+        : { ...(await encodeImage(input, quality, spec, format, options.imageMetadata)), quality, ssim: null, targetMet: null };
+      onStep((i + 1) / formats.length);
+      const better = !best
+        || (candidate.targetMet !== false && best.targetMet === false)
+        || (candidate.targetMet === best.targetMet && candidate.buffer.length < best.buffer.length);
+      if (better) best = candidate;
+    }
+    return best;
+  }
+
+  // binary-search encoder quality for a size budget (maxBytes) and/or a perceptual floor (minSsim).
+  // maxBytes keeps the highest quality that fits; minSsim alone keeps the lowest quality that still scores high enough.
+  // quality is the upper bound of the search. Returns the encodeImage result plus { quality, ssim, targetMet }.
+  async function searchQuality(input, quality, { maxBytes, minSsim, imageMetadata }, resize, format, onStep = () => {}) {
+    const encoded = new Map();
+    const scored = new Map();
+    let reference = null;
+    // upper bound on encodes, so progress can be reported as encodes done / expected
+    const expectedEncodes = 1 + (maxBytes ? SEARCH_MAX_STEPS + 1 : 0) + (minSsim ? SEARCH_MAX_STEPS : 0);
+
+    async function encodeAt(q) {
+      if (!encoded.has(q)) {
+        encoded.set(q, await encodeImage(input, q, resize, format, imageMetadata));
+        onStep(Math.min(0.95, encoded.size / expectedEncodes));
+      }
+      return encoded.get(q);
+    }
+    async function ssimAt(q) {
+      if (!scored.has(q)) {
+        if (!reference) reference = await decodeRgba(input, resize);
+        scored.set(q, await compareSsim(reference, (await encodeAt(q)).buffer));
+      }
+      return scored.get(q);
+    }
+    async function fitsSize(q) { return !maxBytes || (await encodeAt(q)).buffer.length <= maxBytes; }
+    async function meetsSsim(q) { return !minSsim || (await ssimAt(q)) >= minSsim; }
+
+    const hi = Math.max(SEARCH_MIN_QUALITY, Math.min(100, quality));
+
+    // highest quality within the byte budget
+    let sizeQ = hi;
+    if (maxBytes && !(await fitsSize(hi))) {
+      let lo = SEARCH_MIN_QUALITY, top = hi - 1, best = SEARCH_MIN_QUALITY;
+      for (let step = 0; step < SEARCH_MAX_STEPS && lo <= top; step++) {
+        const mid = Math.floor((lo + top) / 2);
+        if (await fitsSize(mid)) { best = mid; lo = mid + 1; } else { top = mid - 1; }
+      }
+      sizeQ = best;
+    }
+
+    // lowest quality that still reaches the SSIM floor
+    let ssimQ = hi;
+    if (minSsim) {
+      let lo = SEARCH_MIN_QUALITY, top = hi, best = hi;
+      for (let step = 0; step < SEARCH_MAX_STEPS && lo <= top; step++) {
+        const mid = Math.floor((lo + top) / 2);
+        if (await meetsSsim(mid)) { best = mid; top = mid - 1; } else { lo = mid + 1; }
+      }
+      ssimQ = best;
+    }
+
+    // with a byte budget the best quality that fits wins; otherwise the smallest output meeting the SSIM floor
+    const chosen = maxBytes ? sizeQ : ssimQ;
+    const result = await encodeAt(chosen);
+    const score = await ssimAt(chosen);
+    const targetMet = (await fitsSize(chosen)) && (!minSsim || score >= minSsim);
+    return { ...result, quality: chosen, ssim: Math.round(score * 10000) / 10000, targetMet };
+  }
+
+  // dHash of the upright image (centre crop), for near-duplicate checks
+  async function imageFingerprint(input) {
+    return differenceHash(await decodeRgba(input, { ...FINGERPRINT_SIZE, fit: 'cover' }));
+  }
+
+  // closest other file of the batch within NEAR_DUPLICATE_DISTANCE, or null
+  function nearDuplicate(fingerprints, index, fingerprint) {
+    let best = null;
+    for (const other of fingerprints) {
+      if (other.index === index) continue;
+      const distance = hammingDistance(other.fingerprint, fingerprint);
+      if (distance <= NEAR_DUPLICATE_DISTANCE && (!best || distance < best.distance)) best = { index: other.index, name: other.name, distance };
+    }
+    return best;
+  }
+
+  // process single file (compress) - returns result object.
+  // Outputs are stored as <options.keyPrefix><options.outputName | time_index_name>[_<preset>].<ext>.
+  // Progress is reported per stage (decode, encode, write) through 'file-progress' events and
+  // options.onProgress(state); processedBytes is the share of the original handled so far.
+  // Identical input + settings are served from the result cache (cached: true); options.fingerprints (shared by
+  // the files of a batch) turns on near-duplicate detection (nearDuplicateOf: { index, name, distance }).
+  async function processFile(f, idx, clientId, quality, options = {}) {
+    const state = {
+      index: idx,
+      originalName: f.originalname || f.name || `file_${idx}`,
+      originalSize: f.size || (f.file && f.file.size) || 0,
+      processedBytes: 0,
+      progress: 0,
+      stage: 'received',
+      etaSeconds: null,
+      compressedSize: null,
+      outPath: null,
+      format: null,
+      quality,
+      ssim: null, // only measured when searching for a maxBytes / minSsim target
+      targetMet: null,
+      metadata: null, // what the metadata policy kept / removed
+      cached: false,
+      fingerprint: null,
+      nearDuplicateOf: null,
+      renditions: [],
+      error: null,
+      _lastReportedPct: -1,
+      _lastReportedBytes: -1,
+      _startedAt: Date.now(),
+      isCompressing: false
+    };
+
+    // helper reporting with throttling
+    function reportIfNeeded() {
+      const pct = Math.round(state.progress || 0);
+      const bytes = state.processedBytes || 0;
+      const pctChanged = pct !== state._lastReportedPct;
+      const bytesChanged = (bytes - state._lastReportedBytes) > MIN_REPORT_BYTES;
+      if (!pctChanged && !bytesChanged) return;
+      state._lastReportedPct = pct;
+      state._lastReportedBytes = bytes;
+      // terminal log
+      console.log(`${state.originalName} — ${state.stage} — ${formatBytes(bytes)} / ${formatBytes(state.originalSize)} — ${pct}%${state.etaSeconds !== null ? ` — ETA ${state.etaSeconds}s` : ''}`);
+      if (clientId) {
+        sendSse(clientId, 'file-progress', {
+          index: state.index,
+          name: state.originalName,
+          stage: state.stage,
+          processedBytes: state.processedBytes,
+          originalSize: state.originalSize,
+          progress: state.progress,
+          etaSeconds: state.etaSeconds
+        });
+      }
+      if (options.onProgress) options.onProgress(state);
+    }
+
+    // move to a stage / position on the 0-100 scale; ETA comes from the throughput measured so far
+    function setProgress(stage, pct) {
+      state.stage = stage;
+      state.progress = Math.max(state.progress, Math.min(100, Math.round(pct)));
+      state.processedBytes = Math.round(state.originalSize * state.progress / 100);
+      const elapsed = (Date.now() - state._startedAt) / 1000;
+      state.etaSeconds = state.progress > STAGE_PCT.decode && state.progress < 100 ? Math.round(elapsed * (100 - state.progress) / state.progress) : null;
+      reportIfNeeded();
+    }
+
+    let cacheKey = null;
+    try {
+      state.isCompressing = true;
+      const input = f.buffer || f.path || f.file;
+      const throwIfCancelled = () => { if (options.signal && options.signal.aborted) throw new Error('Cancelled'); };
+
+      // decode (an identical earlier upload skips straight to writing its cached renditions)
+      setProgress('decode', STAGE_PCT.decode);
+      cacheKey = resultCache.enabled ? await resultCache.keyFor(input, cacheSettings(quality, options)) : null;
+      const cached = cacheKey ? await resultCache.get(cacheKey) : null;
+      state.cached = !!cached;
+      state.fingerprint = cached ? cached.fingerprint : await imageFingerprint(input);
+      if (options.fingerprints) {
+        state.nearDuplicateOf = nearDuplicate(options.fingerprints, state.index, state.fingerprint);
+        options.fingerprints.push({ index: state.index, name: state.originalName, fingerprint: state.fingerprint });
+      }
+
+      const encodedRenditions = cached ? cached.renditions.map(encoded => ({ spec: { name: encoded.preset }, encoded })) : [];
+      if (!cached) {
+        const probe = await probeImage(input);
+        // EXIF / ICC / XMP of the source, written back into each output as the metadata policy allows
+        const imageMetadata = {
+          source: readMetadata(Buffer.isBuffer(input) ? input : await fs.promises.readFile(input)),
+          policy: options.metadata || DEFAULT_METADATA_POLICY,
+          keepGps: !!options.keepGps
+        };
+        const encodeOptions = { ...options, imageMetadata };
+
+        // resize/encode, once per rendition (optionally searching quality for a size / SSIM target)
+        const specs = (options.renditions && options.renditions.length ? options.renditions : [{ name: 'full' }])
+          .map(spec => options.overlay ? { ...spec, overlay: options.overlay } : spec);
+        const encodeSpan = STAGE_PCT.write - STAGE_PCT.encode;
+        for (const [i, spec] of specs.entries()) {
+          throwIfCancelled();
+          setProgress('encode', STAGE_PCT.encode + encodeSpan * i / specs.length);
+          const onStep = fraction => setProgress('encode', STAGE_PCT.encode + encodeSpan * (i + fraction) / specs.length);
+          encodedRenditions.push({ spec, encoded: await encodeRendition(input, quality, encodeOptions, spec, { hasAlpha: probe.hasAlpha, onStep }) });
+        }
+        if (cacheKey) await resultCache.set(cacheKey, { fingerprint: state.fingerprint, renditions: encodedRenditions.map(({ spec, encoded }) => ({ ...encoded, preset: spec.name })) });
+      }
+
+      // write (the default rendition keeps the plain name, presets get a suffix)
+      const safeName = (f.originalname || f.name || `file_${idx}`).replace(/[^a-zA-Z0-9.\-_]/g, '_');
+      const baseName = options.outputName || `${Date.now()}_${idx}_${safeName.replace(/\.[^/.]+$/, '')}`;
+      for (const [i, { spec, encoded }] of encodedRenditions.entries()) {
+        throwIfCancelled();
+        setProgress('write', STAGE_PCT.write + (STAGE_PCT.done - STAGE_PCT.write) * i / encodedRenditions.length);
+        const outName = `${options.keyPrefix || ''}${baseName}${spec.name === 'full' ? '' : `_${spec.name}`}.${FORMAT_EXTENSIONS[encoded.format]}`;
+        const stored = await storage.put(outName, encoded.buffer);
+        state.renditions.push({
+          preset: spec.name,
+          width: encoded.width,
+          height: encoded.height,
+          compressedSize: encoded.buffer.length,
+          outPath: stored.url,
+          key: stored.key,
+          format: encoded.format,
+          warning: encoded.warning,
+          quality: encoded.quality,
+          ssim: encoded.ssim,
+          targetMet: encoded.targetMet,
+          metadata: encoded.metadata
+        });
+      }
+
+      // finalize: top-level fields describe the first rendition
+      const primary = state.renditions[0];
+      state.compressedSize = primary.compressedSize;
+      state.outPath = primary.outPath;
+      state.format = primary.format;
+      state.quality = primary.quality;
+      state.ssim = primary.ssim;
+      state.targetMet = primary.targetMet;
+      state.metadata = primary.metadata;
+      state.isCompressing = false;
+
+      // final report
+      setProgress('done', STAGE_PCT.done);
+      if (clientId) sendSse(clientId, 'file-done', {
+        index: state.index,
+        name: state.originalName,
+        originalSize: state.originalSize,
+        compressedSize: state.compressedSize,
+        outPath: state.outPath,
+        format: state.format,
+        quality: state.quality,
+        ssim: state.ssim,
+        targetMet: state.targetMet,
+        metadata: state.metadata,
+        cached: state.cached,
+        nearDuplicateOf: state.nearDuplicateOf,
+        renditions: state.renditions
+      });
+
+      return {
+        index: state.index,
+        name: state.originalName,
+        originalSize: state.originalSize,
+        compressedSize: state.compressedSize,
+        outPath: state.outPath,
+        format: state.format,
+        quality: state.quality,
+        ssim: state.ssim,
+        targetMet: state.targetMet,
+        metadata: state.metadata,
+        cached: state.cached,
+        fingerprint: state.fingerprint,
+        nearDuplicateOf: state.nearDuplicateOf,
+        renditions: state.renditions,
+        error: null,
+        state // return state for overall aggregation
+      };
+    } catch (err) {
+      if (cacheKey) resultCache.abort(cacheKey);
+      state.error = String(err && err.message ? err.message : err);
+      state.isCompressing = false;
+      state.stage = 'error';
+      state.progress = 0;
+      state.processedBytes = 0;
+      state.etaSeconds = null;
+      // a cancelled file leaves no partial renditions behind
+      if (options.signal && options.signal.aborted) {
+        await Promise.all(state.renditions.map(r => storage.remove(r.key).catch(() => {})));
+      }
+      console.error('Compression error for', state.originalName, err);
+      reportIfNeeded();
+      if (clientId) sendSse(clientId, 'file-done', { index: state.index, name: state.originalName, error: state.error });
+      return { index: state.index, name: state.originalName, error: state.error, state };
+    }
+  }
+
+  return { processFile };
+}
+
+module.exports = { createCompressor, parseImageOptions, formatBytes, overallProgress, overallProgressLine, resultSummaryLines };
@@ -0,0 +1,8 @@
+'use strict';
+
+// Worker thread of the image pool (see pool.js): runs imaging.js functions off the main event loop.
+
+const { serveTasks } = require('./pool');
+const { encodeImage, probeImage, decodeRgba, compareSsim, composeSprite } = require('./imaging');
+
+serveTasks({ encodeImage, probeImage, decodeRgba, compareSsim, composeSprite });
@@ -0,0 +1,396 @@
+'use strict';
+
+// Image decoding, resizing, overlays and encoding (sharp first, Jimp + jpeg-js fallback). Everything here is
+// CPU-bound on the Jimp path, so index.js runs these functions in the image worker pool (see image-worker.js);
+// they only take and return plain data (buffers, file paths, option objects).
+
+const path = require('path');
+const fs = require('fs');
+const { applyMetadataPolicy } = require('./metadata');
+
+let sharp = null;
+let useSharp = false;
+try {
+  sharp = require('sharp');
+  useSharp = true;
+} catch (e) {
+  // Jimp + jpeg-js fallback
+}
+
+// image overlays name a PNG file in this directory
+const OVERLAY_DIR = path.resolve(__dirname, process.env.OVERLAY_DIR || 'overlays');
+
+// robust helper: convert a Jimp image instance to JPEG buffer using available APIs, fallback to jpeg-js
+async function jimpToJpegBuffer(jimg, preferQuality = 80, fallbackQuality = 75) {
+  // try getBufferAsync
+  try {
+    if (jimg && typeof jimg.getBufferAsync === 'function') {
+      if (typeof jimg.quality === 'function') await jimg.quality(preferQuality);
+      const mime = (jimg.constructor && jimg.constructor.MIME_JPEG) ? jimg.constructor.MIME_JPEG : 'image/jpeg';
+      return await jimg.getBufferAsync(mime);
+    }
+    // jimp >= 1: getBuffer(mime, options) returns a promise and there is no quality()
+    if (jimg && typeof jimg.getBuffer === 'function' && typeof jimg.quality !== 'function') {
+      return await jimg.getBuffer('image/jpeg', { quality: preferQuality });
+    }
+    // try callback-style getBuffer
+    if (jimg && typeof jimg.getBuffer === 'function') {
+      if (typeof jimg.quality === 'function') await jimg.quality(preferQuality);
+      return await new Promise((resolve, reject) => {
+        jimg.getBuffer('image/jpeg', (err, buf) => err ? reject(err) : resolve(buf));
+      });
+    }
+    // fallback: encode raw bitmap via jpeg-js
+    if (jimg && jimg.bitmap && jimg.bitmap.data && jimg.bitmap.width && jimg.bitmap.height) {
+      const { data, width, height } = jimg.bitmap;
+      // convert RGBA -> RGB
+      const rgb = Buffer.alloc(width * height * 3);
+      let dst = 0;
+      for (let i = 0; i < data.length; i += 4) {
+        rgb[dst++] = data[i];
+        rgb[dst++] = data[i + 1];
+        rgb[dst++] = data[i + 2];
+      }
+      let jpeg;
+      try {
+        jpeg = require('jpeg-js');
+      } catch (e) {
+        // try dynamic import
+        const mod = await import('jpeg-js');
+        jpeg = mod && mod.default ? mod.default : mod;
+      }
+      const encoded = jpeg.encode({ data: rgb, width, height }, fallbackQuality);
+      return encoded.data;
+    }
+    throw new Error('No supported buffer method on Jimp instance');
+  } catch (err) {
+    throw err;
+  }
+}
+
+// convert a Jimp image instance to a PNG buffer (keeps alpha); there is no pure-JS fallback encoder for PNG
+async function jimpToPngBuffer(jimg) {
+  if (typeof jimg.getBufferAsync === 'function') return jimg.getBufferAsync('image/png');
+  if (typeof jimg.getBuffer === 'function' && typeof jimg.quality !== 'function') return jimg.getBuffer('image/png');
+  if (typeof jimg.getBuffer === 'function') {
+    return new Promise((resolve, reject) => {
+      jimg.getBuffer('image/png', (err, buf) => err ? reject(err) : resolve(buf));
+    });
+  }
+  throw new Error('PNG output not supported by this Jimp build');
+}
+
+// load the Jimp class from whichever export shape this jimp build uses
+async function loadJimp() {
+  let JimpModule;
+  try {
+    JimpModule = await import('jimp');
+  } catch (impErr) {
+    throw new Error('Failed to import jimp: ' + (impErr && impErr.message ? impErr.message : impErr));
+  }
+  const Jimp = JimpModule && (JimpModule.default || JimpModule.Jimp) ? (JimpModule.default || JimpModule.Jimp) : JimpModule;
+  return { Jimp, JimpModule };
+}
+
+// sharp and Jimp both read a buffer or a file path
+function isImageInput(input) {
+  return Buffer.isBuffer(input) || typeof input === 'string';
+}
+
+async function readJimp(input) {
+  const { Jimp, JimpModule } = await loadJimp();
+  try {
+    if (Jimp && typeof Jimp.read === 'function') {
+      return await Jimp.read(input);
+    } else if (typeof Jimp === 'function') {
+      // some builds export constructor/class directly
+      return await new Jimp(input);
+    } else if (typeof JimpModule.read === 'function') {
+      return await JimpModule.read(input);
+    }
+    throw new Error('Jimp.read not available in this build');
+  } catch (readErr) {
+    throw new Error('Jimp.read failed: ' + (readErr && readErr.message ? readErr.message : readErr));
+  }
+}
+
+// normalize a resize spec: { width, height, fit } where 0/undefined means "keep".
+// cover and contain need both sides; with a single side every fit behaves like inside.
+function resolveResize(resize) {
+  if (!resize) return null;
+  const width = resize.width > 0 ? Math.round(resize.width) : null;
+  const height = resize.height > 0 ? Math.round(resize.height) : null;
+  if (!width && !height) return null;
+  const fit = (width && height && resize.fit) ? resize.fit : 'inside';
+  return { width, height, fit };
+}
+
+// apply a resize spec to a Jimp image (jimp >= 1 takes option objects, older builds positional args)
+function jimpResize(jimg, resize) {
+  const r = resolveResize(resize);
+  if (!r) return jimg;
+  const v1 = typeof jimg.quality !== 'function';
+  const { width: w, height: h } = r;
+  if (r.fit === 'cover') {
+    v1 ? jimg.cover({ w, h }) : jimg.cover(w, h);
+  } else if (r.fit === 'contain') {
+    v1 ? jimg.contain({ w, h }) : jimg.contain(w, h);
+  } else {
+    // inside: shrink to fit the box, never enlarge
+    const scale = Math.min(w ? w / jimg.bitmap.width : Infinity, h ? h / jimg.bitmap.height : Infinity);
+    if (scale < 1) {
+      const nw = Math.max(1, Math.round(jimg.bitmap.width * scale));
+      const nh = Math.max(1, Math.round(jimg.bitmap.height * scale));
+      v1 ? jimg.resize({ w: nw, h: nh }) : jimg.resize(nw, nh);
+    }
+  }
+  return jimg;
+}
+
+// apply a resize spec to a sharp pipeline (contain pads with white, or transparent when alpha is kept)
+function sharpResize(pipeline, resize, keepAlpha = false) {
+  const r = resolveResize(resize);
+  if (!r) return pipeline;
+  return pipeline.resize({
+    width: r.width || undefined,
+    height: r.height || undefined,
+    fit: r.fit,
+    position: 'centre',
+    background: { r: 255, g: 255, b: 255, alpha: keepAlpha ? 0 : 1 },
+    withoutEnlargement: r.fit === 'inside'
+  });
+}
+
+// ---- overlays (watermark / text) ----
+
+// top-left corner of a w x h overlay on a baseW x baseH image
+function overlayOrigin(overlay, baseW, baseH, w, h) {
+  const margin = Math.round(Math.min(baseW, baseH) * overlay.margin);
+  const [row, col] = overlay.position === 'center' ? ['center', 'center']
+    : overlay.position.includes('-') ? overlay.position.split('-')
+    : ['top', 'bottom'].includes(overlay.position) ? [overlay.position, 'center'] : ['center', overlay.position];
+  const place = (side, base, size) => side === 'center' ? Math.round((base - size) / 2) : ['left', 'top'].includes(side) ? margin : base - size - margin;
+  return { left: Math.max(0, place(col, baseW, w)), top: Math.max(0, place(row, baseH, h)) };
+}
+
+// render the overlay at its share of the output width, narrower if it would come out taller than the output
+async function fitOverlay(overlay, baseW, baseH, render, sizeOf) {
+  const mark = await render(Math.max(1, Math.min(baseW, Math.round(baseW * overlay.scale))));
+  const { width, height } = sizeOf(mark);
+  return height <= baseH ? mark : render(Math.max(1, Math.floor(width * baseH / height)));
+}
+
+// rendered overlays by spec and width, reused across a quality search's encodes
+const overlayCache = new Map();
+const OVERLAY_CACHE_SIZE = 32;
+async function cachedOverlay(backend, overlay, width, render) {
+  const key = `${backend}:${width}:${JSON.stringify(overlay)}`;
+  if (!overlayCache.has(key)) {
+    if (overlayCache.size >= OVERLAY_CACHE_SIZE) overlayCache.delete(overlayCache.keys().next().value);
+    overlayCache.set(key, render().catch(err => { overlayCache.delete(key); throw err; }));
+  }
+  return overlayCache.get(key);
+}
+
+// overlay as a PNG buffer `width` pixels wide with its opacity applied (sharp path; text is drawn from SVG)
+function sharpOverlayImage(overlay, width) {
+  return cachedOverlay('sharp', overlay, width, async () => {
+    let image;
+    if (overlay.type === 'image') {
+      image = sharp(path.join(OVERLAY_DIR, overlay.image));
+    } else {
+      const text = overlay.text.replace(/[<>&"]/g, c => `&#${c.charCodeAt(0)};`);
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${overlay.text.length * 90 + 40}" height="160">`
+        + `<text x="20" y="125" font-family="sans-serif" font-weight="bold" font-size="128" fill="${overlay.color}">${text}</text></svg>`;
+      image = sharp(Buffer.from(svg)).trim();
+    }
+    const resized = await image.ensureAlpha().resize({ width }).png().toBuffer();
+    // scale the alpha channel by the opacity
+    return sharp(resized)
+      .composite([{ input: Buffer.from([0, 0, 0, Math.round(255 * overlay.opacity)]), raw: { width: 1, height: 1, channels: 4 }, tile: true, blend: 'dest-in' }])
+      .png()
+      .toBuffer({ resolveWithObject: true });
+  });
+}
+
+// overlay as a Jimp image `width` pixels wide with its opacity applied (text uses Jimp's bitmap fonts)
+function jimpOverlayImage(overlay, width) {
+  return cachedOverlay('jimp', overlay, width, async () => {
+    const { Jimp, JimpModule } = await loadJimp();
+    let image;
+    if (overlay.type === 'image') {
+      image = await readJimp(path.join(OVERLAY_DIR, overlay.image));
+    } else {
+      const fonts = await import('jimp/fonts');
+      const font = await JimpModule.loadFont(overlay.color === 'black' ? fonts.SANS_128_BLACK : fonts.SANS_128_WHITE);
+      const textW = JimpModule.measureText(font, overlay.text);
+      const textH = JimpModule.measureTextHeight(font, overlay.text, textW + 1);
+      image = new Jimp({ width: textW, height: textH, color: 0x00000000 });
+      image.print({ font, x: 0, y: 0, text: overlay.text });
+    }
+    image.resize({ w: width, h: Math.max(1, Math.round(image.bitmap.height * width / image.bitmap.width)) });
+    return image.opacity(overlay.opacity);
+  });
+}
+
+// draw the overlay onto a (resized) Jimp image in place
+async function jimpOverlay(jimg, overlay) {
+  const { width, height } = jimg.bitmap;
+  const mark = await fitOverlay(overlay, width, height, w => jimpOverlayImage(overlay, w), m => m.bitmap);
+  const { left, top } = overlayOrigin(overlay, width, height, mark.bitmap.width, mark.bitmap.height);
+  jimg.composite(mark, left, top);
+  return jimg;
+}
+
+// resized sharp pipeline with the overlay drawn on it (the output size must be known to place the overlay)
+async function sharpOverlay(pipeline, overlay) {
+  const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+  const mark = await fitOverlay(overlay, info.width, info.height, w => sharpOverlayImage(overlay, w), m => m.info);
+  const { left, top } = overlayOrigin(overlay, info.width, info.height, mark.info.width, mark.info.height);
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+    .composite([{ input: mark.data, left, top }]);
+}
+
+// decoded, upright, resized image for one rendition spec ({ width, height, fit, overlay? })
+async function prepareSharp(input, spec, keepAlpha) {
+  const pipeline = sharpResize(sharp(input).rotate(), spec, keepAlpha);
+  return spec && spec.overlay ? sharpOverlay(pipeline, spec.overlay) : pipeline;
+}
+async function prepareJimp(input, spec) {
+  const jimg = jimpResize(await readJimp(input), spec);
+  return spec && spec.overlay ? jimpOverlay(jimg, spec.overlay) : jimg;
+}
+
+// encode an uploaded image (buffer or file path) at the given quality (sharp first, Jimp + jpeg-js fallback).
+// resize is optional ({ width, height, fit, overlay }); format is jpeg, webp, avif or png. Alpha is kept for
+// webp/avif/png and flattened onto white for jpeg. Without sharp only jpeg and png can be written:
+// webp/avif fall back to jpeg and say so in `warning`. Pixels are turned upright from the EXIF orientation
+// in both paths; `metadata` ({ source, policy, keepGps }) says which source blocks are written back.
+// Returns { buffer, width, height, format, warning, metadata }.
+async function encodeImage(input, quality, resize, format = 'jpeg', metadata = null) {
+  const encoded = await encodePixels(input, quality, resize, format);
+  if (!metadata) return { ...encoded, metadata: null };
+  const { buffer, metadata: report } = applyMetadataPolicy(encoded.buffer, metadata.source, metadata);
+  return { ...encoded, buffer, metadata: report };
+}
+
+async function encodePixels(input, quality, resize, format) {
+  const q = Math.max(1, Math.min(100, quality));
+  if (useSharp && isImageInput(input)) {
+    let pipeline = await prepareSharp(input, resize, format !== 'jpeg');
+    if (format === 'webp') pipeline = pipeline.webp({ quality: q });
+    else if (format === 'avif') pipeline = pipeline.avif({ quality: q });
+    else if (format === 'png') pipeline = pipeline.png({ quality: q, palette: q < 100, compressionLevel: 9 });
+    else pipeline = pipeline.flatten({ background: { r: 255, g: 255, b: 255 } }).jpeg({ quality: q, mozjpeg: true });
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+    return { buffer: data, width: info.width, height: info.height, format, warning: null };
+  }
+
+  const { Jimp, JimpModule } = await loadJimp();
+  const jimg = await prepareJimp(input, resize);
+  const { width, height } = jimg.bitmap;
+
+  if (format === 'png') {
+    return { buffer: await jimpToPngBuffer(jimg), width, height, format, warning: null };
+  }
+  const warning = format === 'jpeg' ? null : `${format} output needs sharp; wrote jpeg instead`;
+
+  let outBuffer;
+  // composite over white for alpha images if possible
+  try {
+    const hasAlpha = (typeof jimg.hasAlpha === 'function') ? jimg.hasAlpha() : true;
+    if (hasAlpha) {
+      // create white bg and composite (jimp >= 1 constructors take an options object)
+      const JimpClass = Jimp || JimpModule;
+      let bg;
+      if (typeof JimpClass === 'function') {
+        bg = typeof jimg.quality !== 'function'
+          ? new JimpClass({ width, height, color: 0xffffffff })
+          : new JimpClass(width, height, 0xffffffff);
+      } else {
+        // fallback: clone jimg (rare)
+        bg = jimg.clone ? jimg.clone() : jimg;
+      }
+      if (typeof bg.composite === 'function') {
+        bg.composite ? bg.composite(jimg, 0, 0) : bg.blit(jimg, 0, 0);
+      } else if (typeof bg.blit === 'function') {
+        bg.blit(jimg, 0, 0);
+      }
+      if (typeof bg.quality === 'function') await bg.quality(q);
+      outBuffer = await jimpToJpegBuffer(bg, q, Math.max(60, quality));
+    } else {
+      if (typeof jimg.quality === 'function') await jimg.quality(q);
+      outBuffer = await jimpToJpegBuffer(jimg, q, Math.max(60, quality));
+    }
+  } catch (e) {
+    // fallback: try directly
+    outBuffer = await jimpToJpegBuffer(jimg, q, Math.max(60, quality));
+  }
+  return { buffer: outBuffer, width, height, format: 'jpeg', warning };
+}
+
+// decode stage: read dimensions and whether the image has any transparency
+async function probeImage(input) {
+  if (useSharp && isImageInput(input)) {
+    const meta = await sharp(input).metadata();
+    const turned = meta.orientation >= 5; // EXIF orientations 5-8 swap the sides
+    return { width: turned ? meta.height : meta.width, height: turned ? meta.width : meta.height, hasAlpha: !!meta.hasAlpha };
+  }
+  const jimg = await readJimp(input);
+  return { width: jimg.bitmap.width, height: jimg.bitmap.height, hasAlpha: typeof jimg.hasAlpha === 'function' ? jimg.hasAlpha() : false };
+}
+
+// decode an image buffer to RGBA pixels (flattened onto white, like the JPEG output) for SSIM scoring
+async function decodeRgba(input, resize) {
+  if (useSharp && isImageInput(input)) {
+    const { data, info } = await (await prepareSharp(input, resize))
+      .flatten({ background: { r: 255, g: 255, b: 255 } })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return { data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), width: info.width, height: info.height };
+  }
+  const jimg = await prepareJimp(input, resize);
+  const { data, width, height } = jimg.bitmap;
+  const out = new Uint8ClampedArray(data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    const a = data[i + 3] / 255;
+    out[i] = data[i] * a + 255 * (1 - a);
+    out[i + 1] = data[i + 1] * a + 255 * (1 - a);
+    out[i + 2] = data[i + 2] * a + 255 * (1 - a);
+    out[i + 3] = 255;
+  }
+  return { data: out, width, height };
+}
+
+// SSIM of an encoded candidate against reference pixels from decodeRgba (same size)
+async function compareSsim(reference, candidate) {
+  const { ssim } = require('ssim.js');
+  return ssim(reference, await decodeRgba(candidate)).mssim;
+}
+
+// tile sprite frames into one JPEG (sharp when available, Jimp otherwise)
+async function composeSprite(frames, tileW, tileH, maxColumns) {
+  const columns = Math.min(maxColumns, frames.length);
+  const rows = Math.ceil(frames.length / columns);
+  const width = columns * tileW;
+  const height = rows * tileH;
+  if (useSharp) {
+    const composite = await Promise.all(frames.map(async (file, i) => ({
+      input: await sharp(file).resize(tileW, tileH, { fit: 'cover' }).toBuffer(),
+      left: (i % columns) * tileW,
+      top: Math.floor(i / columns) * tileH
+    })));
+    return sharp({ create: { width, height, channels: 3, background: { r: 0, g: 0, b: 0 } } })
+      .composite(composite).jpeg({ quality: 70, mozjpeg: true }).toBuffer();
+  }
+  const { Jimp } = await loadJimp();
+  const sheet = new Jimp({ width, height, color: 0x000000ff });
+  for (const [i, file] of frames.entries()) {
+    const tile = jimpResize(await readJimp(await fs.promises.readFile(file)), { width: tileW, height: tileH, fit: 'cover' });
+    sheet.composite(tile, (i % columns) * tileW, Math.floor(i / columns) * tileH);
+  }
+  return jimpToJpegBuffer(sheet, 70, 70);
+}
+
+module.exports = { useSharp, OVERLAY_DIR, encodeImage, probeImage, decodeRgba, compareSsim, composeSprite };
@@ -1,41 +1,143 @@
 'use strict';
 
+require('dotenv').config({ quiet: true });
+
 const express = require('express');
-const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { promisify } = require('util');
 const crypto = require('crypto');
+const { createStorage, storageConfigFromEnv } = require('./storage');
+const { createUploads, createResumableUploads, typeRejection, IMAGE_TYPES, VIDEO_TYPES, SUBTITLE_TYPES } = require('./uploads');
+const { CATALOG_LEVELS, SUBTITLE_KINDS, isCatalogName, isLanguageCode, blankEntry, validateCatalog, catalogWarnings, nextEpisode, scanCatalogFiles } = require('./catalog');
+const { createAuth, authConfigFromEnv, sendError } = require('./auth');
+const { createResultCache } = require('./cache');
+const imaging = require('./imaging');
+const { createWorkerPool, workerPoolConfigFromEnv } = require('./pool');
+const { createCompressor, parseImageOptions, overallProgress, overallProgressLine, resultSummaryLines } = require('./compress');
+const { createCallbacks, callbackConfigFromEnv } = require('./webhooks');
+const { createWatchProgress } = require('./watch');
+const { convertSubtitles, vttTime } = require('./subtitles');
+const { checkOutboundUrl, hostList, contentLength } = require('./outbound');
 
 const writeFile = promisify(fs.writeFile);
 const mkdir = promisify(fs.mkdir);
 const stat = promisify(fs.stat);
+const readFile = promisify(fs.readFile);
+const readdir = promisify(fs.readdir);
+const rename = promisify(fs.rename);
+const unlink = promisify(fs.unlink);
 
 const CONCURRENCY = Math.max(1, Number(process.env.CONCURRENCY || 2));
-const TICK_MS = Number(process.env.PROGRESS_TICK_MS || 450); // progress tick
-const MIN_REPORT_BYTES = 64 * 1024; // only report if changed by >64KB
-const MAX_SIMULATED_PCT = 90;
+// finished batches (compress / transcode jobs) and their outputs are deleted after OUTPUT_TTL_HOURS (0 keeps them)
+const OUTPUT_TTL_MS = Math.max(0, Number(process.env.OUTPUT_TTL_HOURS ?? 24)) * 3600 * 1000;
+// upload limits (per file, per request) and accepted types, detected from the file's first bytes
+const UPLOAD_MAX_FILE_BYTES = Number(process.env.UPLOAD_MAX_FILE_MB || 500) * 1024 * 1024;
+const UPLOAD_MAX_REQUEST_BYTES = Number(process.env.UPLOAD_MAX_REQUEST_MB || 2048) * 1024 * 1024;
+const UPLOAD_MAX_FILES = Math.max(1, Number(process.env.UPLOAD_MAX_FILES || 50));
+const envList = (value, fallback) => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : fallback);
+const IMAGE_UPLOAD_TYPES = envList(process.env.UPLOAD_IMAGE_TYPES, IMAGE_TYPES);
+const VIDEO_UPLOAD_TYPES = envList(process.env.UPLOAD_VIDEO_TYPES, VIDEO_TYPES);
+const RESUMABLE_TTL_MS = Math.max(1, Number(process.env.RESUMABLE_TTL_HOURS || 24)) * 3600 * 1000;
+const SWEEP_INTERVAL_MS = Math.max(1, Number(process.env.SWEEP_INTERVAL_MINUTES || 15)) * 60 * 1000;
+// compressed results are reused for identical uploads + settings, up to CACHE_MAX_MB (0 disables the cache)
+const CACHE_MAX_BYTES = Math.max(0, Number(process.env.CACHE_MAX_MB ?? 512)) * 1024 * 1024;
+// image decode/encode runs in WORKER_POOL_SIZE worker threads (default CONCURRENCY; 0 runs it on the main thread)
+const WORKER_POOL = workerPoolConfigFromEnv(process.env, CONCURRENCY);
 
-let sharp = null;
-let useSharp = false;
-try {
-  sharp = require('sharp');
-  useSharp = true;
-  console.log('✅ sharp available — using sharp for image processing.');
-} catch (e) {
-  console.log('⚠️ sharp not available, will fallback to Jimp + jpeg-js.');
-}
+console.log(imaging.useSharp ? '✅ sharp available — using sharp for image processing.' : '⚠️ sharp not available, will fallback to Jimp + jpeg-js.');
+
+// imaging.js functions run in the worker pool, so pure-JS pixel loops do not block SSE and other requests
+const imagePool = WORKER_POOL.size > 0 ? createWorkerPool({ ...WORKER_POOL, file: path.join(__dirname, 'image-worker.js') }) : null;
+const runImageTask = (task, ...args) => (imagePool ? imagePool.run(task, args) : imaging[task](...args));
+// same, handing the arguments' buffers over to the worker (for inputs that are not used again)
+const handOffImageTask = (task, ...args) => (imagePool ? imagePool.run(task, args, { transfer: true }) : imaging[task](...args));
+const decodeRgba = (input, resize) => runImageTask('decodeRgba', input, resize);
+const composeSprite = (frames, tileW, tileH) => runImageTask('composeSprite', frames, tileW, tileH, SPRITE_COLUMNS);
 
 const app = express();
 const port = process.env.PORT || 3000;
-app.use(express.static(path.join(__dirname)));
+app.use(express.json({ limit: '1mb' }));
+// behind a reverse proxy, TRUST_PROXY (e.g. "loopback" or a hop count) lets req.ip name the real caller, which
+// the per-address viewer session limit counts
+if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+
+// API keys, session tokens and per-key quotas (see auth.js); every /api route needs a key or a session token
+const auth = createAuth({
+  ...authConfigFromEnv(),
+  dir: path.join(__dirname, 'jobs'),
+  activeJobs: name => [...jobs.values()].filter(job => job.owner === name && !job.finishedAt).length,
+  viewerPaths: ['/api/progress'] // the streaming page's keyless sessions only record watch progress
+});
+app.use('/api', auth.middleware());
+
+// callbackUrl notifications when compress / transcode batches finish (see webhooks.js)
+const callbacks = createCallbacks(callbackConfigFromEnv());
 
-// multer memory storage
-const storage = multer.memoryStorage();
-const upload = multer({ storage, limits: { fileSize: 500 * 1024 * 1024 } }); // 500MB per file
+// uploads stream to jobs/.incoming and are moved into the job folder once accepted
+const uploads = createUploads({
+  dir: path.join(__dirname, 'jobs', '.incoming'),
+  maxFileBytes: UPLOAD_MAX_FILE_BYTES,
+  maxFiles: UPLOAD_MAX_FILES,
+  maxRequestBytes: UPLOAD_MAX_REQUEST_BYTES
+});
+// resumable (chunked) uploads live in jobs/.resumable until they are finalized into a job
+const resumable = createResumableUploads({
+  dir: path.join(__dirname, 'jobs', '.resumable'),
+  maxFileBytes: UPLOAD_MAX_FILE_BYTES,
+  ttlMs: RESUMABLE_TTL_MS
+});
 
 // ensure outputs dir
 const outputsDir = path.join(__dirname, 'outputs');
+
+// compressed images go through the storage driver (STORAGE_DRIVER=local|s3, see storage.js)
+const storage = createStorage({ ...storageConfigFromEnv(), dir: outputsDir });
+// encoded renditions by content + settings hash (see cache.js)
+const resultCache = createResultCache({ dir: path.join(__dirname, 'jobs', '.cache'), maxBytes: CACHE_MAX_BYTES });
+
+// delete one output rendition: stored ones by key, ffmpeg outputs (local only) by their /outputs path
+async function removeOutput(rendition) {
+  if (rendition.key) return storage.remove(rendition.key);
+  const local = resolveMediaSource(rendition.outPath);
+  if (local && !/^https?:/i.test(local)) await unlink(local);
+}
+
+// outputs: byte ranges for MP4 seeking, HLS and track types spelled out, segments cacheable but playlists and
+// WebVTT tracks (replaced in place when re-uploaded) always revalidated
+app.use('/outputs', express.static(outputsDir, {
+  acceptRanges: true,
+  setHeaders(res, filePath) {
+    if (filePath.endsWith('.m3u8')) {
+      res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+      res.setHeader('Cache-Control', 'no-cache');
+    } else if (filePath.endsWith('.vtt')) {
+      res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache');
+    } else if (filePath.endsWith('.m4a')) {
+      res.setHeader('Content-Type', 'audio/mp4');
+    } else if (filePath.endsWith('.ts')) {
+      res.setHeader('Content-Type', 'video/mp2t');
+      res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    }
+  }
+}));
+
+// front-end files served from the project root; everything else there (sources, package.json, jobs/) stays private.
+// Catalog files are served when index.json lists them.
+const PUBLIC_FILES = ['index.html', 'index.html1', 'sw.js', 'manifest.json', 'index.json'];
+app.get(/^\/[^/]+$/, async (req, res, next) => {
+  let name;
+  try { name = decodeURIComponent(req.path.slice(1)); } catch (e) { return next(); }
+  if (PUBLIC_FILES.includes(name) || (isCatalogName(name) && (await listCatalogFiles().catch(() => [])).includes(name))) {
+    return res.sendFile(path.join(__dirname, name));
+  }
+  next();
+});
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+// the streaming page's HLS player, from the exact hls.js version in package.json (no third-party CDN)
+app.get('/vendor/hls.min.js', (req, res) => res.sendFile(require.resolve('hls.js/dist/hls.min.js')));
+app.use(express.static(path.join(__dirname, 'public')));
 (async () => {
   try {
     await stat(outputsDir);
@@ -64,21 +166,31 @@ setInterval(() => {
   }
 }, 20000);
 
-// helpers
-function formatBytes(n) {
-  if (!n && n !== 0) return '0 B';
-  if (n < 1024) return `${n} B`;
-  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
-  return `${(n / 1024 / 1024).toFixed(2)} MB`;
-}
-
-app.get('/session', (req, res) => {
-  res.json({ clientId: crypto.randomUUID() });
+// GET /session[?resume=<previous token>] (with an API key, a session token, or nothing when the API is open)
+// -> { clientId, token, expiresAt }. Resuming an earlier token of the same key keeps its client id, so
+// resumable uploads and job events follow the client across reconnects.
+// GET /session?scope=viewer[&resume=] needs no key: a viewer session for /api/progress only (see auth.js).
+app.get('/session', (req, res, next) => {
+  if (req.query.scope !== 'viewer') return next();
+  try {
+    res.json(auth.issueViewerSession(req.query.resume, req.ip));
+  } catch (err) {
+    sendError(res, err);
+  }
+}, auth.middleware(), (req, res) => {
+  res.json(auth.issueSession(req.auth, req.query.resume));
 });
 
+// GET /sse?token=<session token> — progress events for the token's client id
 app.get('/sse', (req, res) => {
-  const clientId = req.query.id;
-  if (!clientId) return res.status(400).send('Missing id');
+  let session;
+  try {
+    session = auth.authenticate(req);
+  } catch (err) {
+    return sendError(res, err);
+  }
+  const clientId = session.clientId;
+  if (!clientId) return res.status(401).json({ error: 'Connect with ?token=<session token> from GET /session' });
   res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
   res.setHeader('Cache-Control', 'no-cache, no-transform');
   res.setHeader('Connection', 'keep-alive');
@@ -94,299 +206,1725 @@ app.get('/sse', (req, res) => {
   });
 });
 
-// robust helper: convert a Jimp image instance to JPEG buffer using available APIs, fallback to jpeg-js
-async function jimpToJpegBuffer(jimg, preferQuality = 80, fallbackQuality = 75) {
-  // try getBufferAsync
-  try {
-    if (jimg && typeof jimg.getBufferAsync === 'function') {
-      if (typeof jimg.quality === 'function') await jimg.quality(preferQuality);
-      const mime = (jimg.constructor && jimg.constructor.MIME_JPEG) ? jimg.constructor.MIME_JPEG : 'image/jpeg';
-      return await jimg.getBufferAsync(mime);
-    }
-    // try callback-style getBuffer
-    if (jimg && typeof jimg.getBuffer === 'function') {
-      if (typeof jimg.quality === 'function') await jimg.quality(preferQuality);
-      return await new Promise((resolve, reject) => {
-        jimg.getBuffer('image/jpeg', (err, buf) => err ? reject(err) : resolve(buf));
-      });
-    }
-    // fallback: encode raw bitmap via jpeg-js
-    if (jimg && jimg.bitmap && jimg.bitmap.data && jimg.bitmap.width && jimg.bitmap.height) {
-      const { data, width, height } = jimg.bitmap;
-      // convert RGBA -> RGB
-      const rgb = Buffer.alloc(width * height * 3);
-      let dst = 0;
-      for (let i = 0; i < data.length; i += 4) {
-        rgb[dst++] = data[i];
-        rgb[dst++] = data[i + 1];
-        rgb[dst++] = data[i + 2];
-      }
-      let jpeg;
-      try {
-        jpeg = require('jpeg-js');
-      } catch (e) {
-        // try dynamic import
-        const mod = await import('jpeg-js');
-        jpeg = mod && mod.default ? mod.default : mod;
-      }
-      const encoded = jpeg.encode({ data: rgb, width, height }, fallbackQuality);
-      return encoded.data;
-    }
-    throw new Error('No supported buffer method on Jimp instance');
-  } catch (err) {
-    throw err;
+// ---- image compression (see compress.js) ----
+
+const { processFile } = createCompressor({ storage, resultCache, runImageTask, sendSse });
+
+// ---- video transcoding (fluent-ffmpeg) ----
+// H.264/AAC MP4 presets; height is a ceiling (smaller sources are not upscaled).
+const VIDEO_PRESETS = {
+  '360p': { height: 360, videoBitrate: 800, audioBitrate: 96 },
+  '480p': { height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  '720p': { height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  '1080p': { height: 1080, videoBitrate: 5000, audioBitrate: 192 }
+};
+
+let ffmpeg = null;
+function loadFfmpeg() {
+  if (!ffmpeg) {
+    ffmpeg = require('fluent-ffmpeg');
+    // fluent-ffmpeg also honours FFMPEG_PATH / FFPROBE_PATH from the environment on its own
+    if (process.env.FFMPEG_BIN) ffmpeg.setFfmpegPath(process.env.FFMPEG_BIN);
+    if (process.env.FFPROBE_BIN) ffmpeg.setFfprobePath(process.env.FFPROBE_BIN);
   }
+  return ffmpeg;
+}
+
+function ffprobe(input) {
+  return new Promise((resolve, reject) => loadFfmpeg().ffprobe(input, (err, data) => err ? reject(err) : resolve(data)));
 }
 
-// process single file (compress) - returns result object
-async function processFile(f, idx, clientId, quality) {
+// transcode a single video (local path or http(s) URL) - returns result object shaped like processFile's.
+// ffmpeg's own progress drives 'file-progress'; options: { preset, videoBitrate, audioBitrate, signal, onProgress }
+async function transcodeFile(f, idx, clientId, options = {}) {
+  const presetName = options.preset || '720p';
+  const preset = { ...VIDEO_PRESETS[presetName] };
+  if (options.videoBitrate) preset.videoBitrate = options.videoBitrate;
+  if (options.audioBitrate) preset.audioBitrate = options.audioBitrate;
+
   const state = {
     index: idx,
     originalName: f.originalname || f.name || `file_${idx}`,
-    originalSize: f.size || (f.file && f.file.size) || 0,
+    originalSize: f.size || 0,
     processedBytes: 0,
     progress: 0,
-    compressedSize: null,
-    outPath: null,
-    error: null,
+    stage: 'received',
+    etaSeconds: null,
     _lastReportedPct: -1,
-    _lastReportedBytes: -1,
-    isCompressing: false
+    _startedAt: Date.now()
   };
 
-  // helper reporting with throttling
-  function reportIfNeeded() {
-    const pct = Math.round(state.progress || 0);
-    const bytes = state.processedBytes || 0;
-    const pctChanged = pct !== state._lastReportedPct;
-    const bytesChanged = (bytes - state._lastReportedBytes) > MIN_REPORT_BYTES;
-    if (!pctChanged && !bytesChanged) return;
-    state._lastReportedPct = pct;
-    state._lastReportedBytes = bytes;
-    // terminal log
-    console.log(`${state.originalName} — ${formatBytes(bytes)} / ${formatBytes(state.originalSize)} — ${pct}%`);
-    if (clientId) {
-      sendSse(clientId, 'file-progress', {
-        index: state.index,
-        name: state.originalName,
-        processedBytes: state.processedBytes,
-        originalSize: state.originalSize,
-        progress: state.progress
-      });
-    }
+  function report(stage, pct) {
+    state.stage = stage;
+    state.progress = Math.max(state.progress, Math.min(100, Math.round(pct || 0)));
+    state.processedBytes = Math.round(state.originalSize * state.progress / 100);
+    const elapsed = (Date.now() - state._startedAt) / 1000;
+    state.etaSeconds = state.progress > 0 && state.progress < 100 ? Math.round(elapsed * (100 - state.progress) / state.progress) : null;
+    if (state.progress === state._lastReportedPct && stage === 'encode') return;
+    state._lastReportedPct = state.progress;
+    console.log(`${state.originalName} — ${stage} — ${state.progress}%${state.etaSeconds !== null ? ` — ETA ${state.etaSeconds}s` : ''}`);
+    if (clientId) sendSse(clientId, 'file-progress', { index: idx, name: state.originalName, stage, processedBytes: state.processedBytes, originalSize: state.originalSize, progress: state.progress, etaSeconds: state.etaSeconds });
+    if (options.onProgress) options.onProgress(state);
   }
 
-  // simulated progress interval (to show movement while compressing)
-  let interval = null;
+  const safeName = state.originalName.replace(/[^a-zA-Z0-9.\-_]/g, '_').replace(/\.[^/.]+$/, '');
+  // batch jobs keep their outputs together under outputs/<batchId>/
+  const outName = `${options.batchId ? `${options.batchId}/` : ''}${Date.now()}_${idx}_${safeName}_${presetName}.mp4`;
+  const outFile = path.join(outputsDir, outName);
   try {
-    state.isCompressing = true;
-    interval = setInterval(() => {
-      if (!state.isCompressing) return;
-      const maxBeforeFinish = Math.floor(state.originalSize * 0.9);
-      const inc = Math.max(8 * 1024, Math.round(state.originalSize * (Math.random() * 0.04 + 0.01)));
-      state.processedBytes = Math.min(maxBeforeFinish, (state.processedBytes || 0) + inc);
-      const newPct = Math.round((state.processedBytes / Math.max(1, state.originalSize)) * 100);
-      state.progress = Math.min(MAX_SIMULATED_PCT, newPct);
-      reportIfNeeded();
-      // overall progress (pushed by caller via states array)
-    }, TICK_MS);
-
-    // actual compression
-    let outBuffer;
-    if (useSharp && f.buffer) {
-      outBuffer = await sharp(f.buffer)
-        .flatten({ background: { r: 255, g: 255, b: 255 } })
-        .jpeg({ quality: Math.max(1, Math.min(100, quality)), mozjpeg: true })
-        .toBuffer();
-    } else {
-      // dynamic import jimp
-      let JimpModule;
-      try {
-        JimpModule = await import('jimp');
-      } catch (impErr) {
-        throw new Error('Failed to import jimp: ' + (impErr && impErr.message ? impErr.message : impErr));
-      }
-
-      // normalize Jimp export
-      const Jimp = JimpModule && (JimpModule.default || JimpModule.Jimp) ? (JimpModule.default || JimpModule.Jimp) : JimpModule;
-
-      let jimg;
-      try {
-        if (Jimp && typeof Jimp.read === 'function') {
-          jimg = await Jimp.read(f.buffer || f.file);
-        } else if (typeof Jimp === 'function') {
-          // some builds export constructor/class directly
-          jimg = await new Jimp(f.buffer || f.file);
-        } else if (typeof JimpModule.read === 'function') {
-          jimg = await JimpModule.read(f.buffer || f.file);
-        } else {
-          throw new Error('Jimp.read not available in this build');
-        }
-      } catch (readErr) {
-        throw new Error('Jimp.read failed: ' + (readErr && readErr.message ? readErr.message : readErr));
+    report('decode', 0);
+    await mkdir(path.dirname(outFile), { recursive: true });
+    await new Promise((resolve, reject) => {
+      const command = loadFfmpeg()(f.path)
+        .videoCodec('libx264')
+        .audioCodec('aac')
+        .videoBitrate(preset.videoBitrate)
+        .audioBitrate(preset.audioBitrate)
+        // even width for yuv420p, never upscale
+        .videoFilters(`scale=-2:'min(${preset.height},ih)'`)
+        .outputOptions(['-preset veryfast', '-pix_fmt yuv420p', '-movflags +faststart', `-maxrate ${preset.videoBitrate}k`, `-bufsize ${preset.videoBitrate * 2}k`])
+        .format('mp4')
+        .on('progress', p => report('encode', Math.min(99, p.percent || 0)))
+        .on('error', reject)
+        .on('end', resolve);
+      if (options.signal) {
+        if (options.signal.aborted) return reject(new Error('Cancelled'));
+        options.signal.addEventListener('abort', () => { command.kill('SIGKILL'); reject(new Error('Cancelled')); }, { once: true });
       }
+      command.save(outFile);
+    });
 
-      // composite over white for alpha images if possible
-      try {
-        const hasAlpha = (typeof jimg.hasAlpha === 'function') ? jimg.hasAlpha() : true;
-        if (hasAlpha) {
-          // create white bg and composite
-          const JimpClass = Jimp || JimpModule;
-          let bg;
-          if (typeof JimpClass === 'function') {
-            bg = new JimpClass(jimg.bitmap.width, jimg.bitmap.height, 0xffffffff);
-          } else {
-            // fallback: clone jimg (rare)
-            bg = jimg.clone ? jimg.clone() : jimg;
-          }
-          if (typeof bg.composite === 'function') {
-            bg.composite ? bg.composite(jimg, 0, 0) : bg.blit(jimg, 0, 0);
-          } else if (typeof bg.blit === 'function') {
-            bg.blit(jimg, 0, 0);
-          }
-          if (typeof bg.quality === 'function') await bg.quality(Math.max(1, Math.min(100, quality)));
-          outBuffer = await jimpToJpegBuffer(bg, Math.max(1, Math.min(100, quality)), Math.max(60, quality));
-        } else {
-          if (typeof jimg.quality === 'function') await jimg.quality(Math.max(1, Math.min(100, quality)));
-          outBuffer = await jimpToJpegBuffer(jimg, Math.max(1, Math.min(100, quality)), Math.max(60, quality));
-        }
-      } catch (e) {
-        // fallback: try directly
-        outBuffer = await jimpToJpegBuffer(jimg, Math.max(1, Math.min(100, quality)), Math.max(60, quality));
-      }
+    report('write', 99);
+    const { size } = await stat(outFile);
+    let width = null;
+    let height = null;
+    try {
+      const video = (await ffprobe(outFile)).streams.find(s => s.codec_type === 'video');
+      if (video) ({ width, height } = video);
+    } catch (e) {
+      // dimensions are informational only
     }
+    const rendition = { preset: presetName, width, height, compressedSize: size, outPath: `/outputs/${outName}`, format: 'mp4', warning: null, quality: null, ssim: null, targetMet: null, videoBitrate: preset.videoBitrate, audioBitrate: preset.audioBitrate };
+    report('done', 100);
 
-    // finalize
-    clearInterval(interval);
-    state.compressedSize = outBuffer.length;
-    state.processedBytes = state.compressedSize;
-    state.progress = 100;
-    state.isCompressing = false;
-
-    // save file
-    const safeName = (f.originalname || f.name || `file_${idx}`).replace(/[^a-zA-Z0-9.\-_]/g, '_');
-    const outName = `${Date.now()}_${idx}_${safeName.replace(/\.[^/.]+$/, '')}.jpg`;
-    const outPath = path.join(outputsDir, outName);
-    await writeFile(outPath, outBuffer);
-    state.outPath = `/outputs/${outName}`;
-
-    // final report
-    reportIfNeeded();
-    if (clientId) sendSse(clientId, 'file-done', {
-      index: state.index,
+    const result = {
+      index: idx,
       name: state.originalName,
       originalSize: state.originalSize,
-      compressedSize: state.compressedSize,
-      outPath: state.outPath
+      compressedSize: size,
+      outPath: rendition.outPath,
+      format: 'mp4',
+      quality: null,
+      ssim: null,
+      targetMet: null,
+      renditions: [rendition],
+      error: null
+    };
+    if (clientId) sendSse(clientId, 'file-done', result);
+    return result;
+  } catch (err) {
+    const error = String(err && err.message ? err.message : err);
+    await unlink(outFile).catch(() => {});
+    console.error('Transcode error for', state.originalName, err);
+    if (clientId) sendSse(clientId, 'file-done', { index: idx, name: state.originalName, error });
+    return { index: idx, name: state.originalName, error };
+  }
+}
+
+// error carrying the HTTP status a route should answer with
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// ---- catalog files (index.json lists the catalog JSON files the streaming front end loads) ----
+const catalogIndexFile = path.join(__dirname, 'index.json');
+
+// write through a temp file + rename so readers never see a half-written file
+async function writeFileAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await writeFile(tmp, data);
+  await rename(tmp, file);
+}
+
+async function listCatalogFiles() {
+  const list = JSON.parse(await readFile(catalogIndexFile, 'utf8'));
+  return Array.isArray(list) ? list.filter(f => typeof f === 'string') : [];
+}
+
+// only catalog files named in index.json can be read or written
+async function catalogPath(name) {
+  const files = await listCatalogFiles();
+  if (!files.includes(name)) throw httpError(404, `Unknown catalog "${name}" (available: ${files.join(', ')})`);
+  return path.join(__dirname, path.basename(name));
+}
+
+async function readCatalog(name) {
+  return JSON.parse(await readFile(await catalogPath(name), 'utf8'));
+}
+
+// read-modify-write a catalog, serialized per file; mutate(series) may return a value for the caller.
+// The result must pass the catalog schema (catalog.js) or nothing is written (422 with .errors).
+const catalogWrites = new Map();
+function updateCatalog(name, mutate) {
+  const next = (catalogWrites.get(name) || Promise.resolve()).catch(() => {}).then(async () => {
+    const file = await catalogPath(name);
+    const series = JSON.parse(await readFile(file, 'utf8'));
+    const value = await mutate(series);
+    const errors = validateCatalog(series);
+    if (errors.length) {
+      const err = httpError(422, `Catalog "${name}" would not match the schema`);
+      err.errors = errors;
+      throw err;
+    }
+    await writeFileAtomic(file, JSON.stringify(series, null, 2) + '\n');
+    return value;
+  });
+  catalogWrites.set(name, next);
+  return next;
+}
+
+// rewrite index.json from the catalog files on disk (see scanCatalogFiles); serialized like catalog writes
+let catalogIndexWrite = Promise.resolve();
+function rebuildCatalogIndex() {
+  catalogIndexWrite = catalogIndexWrite.catch(() => {}).then(async () => {
+    const files = scanCatalogFiles(__dirname);
+    await writeFileAtomic(catalogIndexFile, JSON.stringify(files, null, 2) + '\n');
+    return files;
+  });
+  return catalogIndexWrite;
+}
+
+// look up series / season / episode by index in a catalog array; returns null when any level is missing
+function findEpisode(series, { series: si, season, episode }) {
+  const s = series[si];
+  const saison = s && (s.Saisons || [])[season];
+  const ep = saison && (saison.episodes || [])[episode];
+  return ep ? { series: s, season: saison, episode: ep } : null;
+}
+
+// folder name for an episode's generated files (HLS, sprites, tracks)
+function episodeKey(target) {
+  return `${path.basename(target.catalog, '.json')}_${target.series}_${target.season}_${target.episode}`.replace(/[^a-zA-Z0-9_\-]/g, '_');
+}
+
+// ---- HLS packaging ----
+// An episode becomes outputs/hls/<key>/: one folder per rendition (index.m3u8 + seg_NNN.ts), a
+// master.m3u8 over the ladder, and fallback.mp4 for players without HLS. The catalog entry's `video`
+// then points at the master playlist; the old link is kept in `source`, the fallback in `mp4`.
+const hlsDir = path.join(outputsDir, 'hls');
+const HLS_SEGMENT_SECONDS = Number(process.env.HLS_SEGMENT_SECONDS || 6);
+const HLS_FALLBACK_PRESET = '720p';
+
+// RFC 6381 codec strings for a master playlist's CODECS, from what ffprobe reports of an encoded rendition
+// (H.264 profile and level, AAC profile); null when it cannot tell, and the attribute is then left out
+const AVC_PROFILES = { 'Constrained Baseline': '42e0', Baseline: '4200', Main: '4d40', High: '6400' };
+const AAC_PROFILES = { LC: 'mp4a.40.2', 'HE-AAC': 'mp4a.40.5', 'HE-AACv2': 'mp4a.40.29' };
+function renditionCodecs(streams) {
+  const video = streams.find(s => s.codec_type === 'video');
+  const audio = streams.find(s => s.codec_type === 'audio');
+  const level = video && Number(video.level);
+  if (!video || video.codec_name !== 'h264' || !AVC_PROFILES[video.profile] || !(level > 0)) return null;
+  const codecs = [`avc1.${AVC_PROFILES[video.profile]}${level.toString(16).padStart(2, '0')}`];
+  if (audio) {
+    if (audio.codec_name !== 'aac' || !AAC_PROFILES[audio.profile]) return null;
+    codecs.push(AAC_PROFILES[audio.profile]);
+  }
+  return codecs.join(',');
+}
+
+function runFfmpeg(command, signal, onPercent) {
+  return new Promise((resolve, reject) => {
+    command
+      .on('progress', p => onPercent(Math.min(100, p.percent || 0)))
+      .on('error', reject)
+      .on('end', resolve);
+    if (signal) {
+      if (signal.aborted) return reject(new Error('Cancelled'));
+      signal.addEventListener('abort', () => { command.kill('SIGKILL'); reject(new Error('Cancelled')); }, { once: true });
+    }
+    command.run();
+  });
+}
+
+// package one episode; f = { originalname, size, path, target: { catalog, series, season, episode } }
+async function packageEpisode(f, idx, clientId, options = {}) {
+  const { target } = f;
+  const key = episodeKey(target);
+  const dir = path.join(hlsDir, key);
+  const publicDir = `/outputs/hls/${key}`;
+  const state = { name: f.originalname || key, size: f.size || 0, progress: 0, lastPct: -1, startedAt: Date.now() };
+
+  function report(stage, pct) {
+    state.progress = Math.max(state.progress, Math.min(100, Math.round(pct)));
+    if (state.progress === state.lastPct && stage === 'encode') return;
+    state.lastPct = state.progress;
+    const elapsed = (Date.now() - state.startedAt) / 1000;
+    const etaSeconds = state.progress > 0 && state.progress < 100 ? Math.round(elapsed * (100 - state.progress) / state.progress) : null;
+    const processedBytes = Math.round(state.size * state.progress / 100);
+    console.log(`${state.name} — ${stage} — ${state.progress}%${etaSeconds !== null ? ` — ETA ${etaSeconds}s` : ''}`);
+    if (clientId) sendSse(clientId, 'file-progress', { index: idx, name: state.name, stage, processedBytes, originalSize: state.size, progress: state.progress, etaSeconds });
+    if (options.onProgress) options.onProgress({ processedBytes });
+  }
+
+  try {
+    report('decode', 0);
+    const probe = await ffprobe(f.path);
+    const source = probe.streams.find(s => s.codec_type === 'video');
+    if (!source) throw new Error('No video stream in source');
+    const hasAudio = probe.streams.some(s => s.codec_type === 'audio');
+
+    // ladder: every preset up to the source height (at least the smallest one)
+    let ladder = Object.entries(VIDEO_PRESETS).filter(([, p]) => p.height <= source.height);
+    if (!ladder.length) ladder = [Object.entries(VIDEO_PRESETS)[0]];
+    const fallback = ladder.find(([name]) => name === HLS_FALLBACK_PRESET) || ladder[ladder.length - 1];
+    const steps = ladder.length + 1;
+
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    await mkdir(dir, { recursive: true });
+
+    const renditions = [];
+    for (const [i, [name, preset]] of ladder.entries()) {
+      await mkdir(path.join(dir, name), { recursive: true });
+      const command = loadFfmpeg()(f.path)
+        .videoCodec('libx264')
+        .videoBitrate(preset.videoBitrate)
+        .videoFilters(`scale=-2:'min(${preset.height},ih)'`)
+        .outputOptions([
+          '-preset veryfast', '-pix_fmt yuv420p', '-profile:v main',
+          `-maxrate ${preset.videoBitrate}k`, `-bufsize ${preset.videoBitrate * 2}k`,
+          // fixed GOP aligned with segment boundaries so renditions can switch cleanly
+          `-force_key_frames expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`, '-sc_threshold 0',
+          `-hls_time ${HLS_SEGMENT_SECONDS}`, '-hls_playlist_type vod',
+          `-hls_segment_filename ${path.join(dir, name, 'seg_%03d.ts')}`
+        ])
+        .format('hls')
+        .output(path.join(dir, name, 'index.m3u8'));
+      if (hasAudio) command.audioCodec('aac').audioBitrate(preset.audioBitrate);
+      else command.noAudio();
+      await runFfmpeg(command, options.signal, pct => report('encode', 100 * (i + pct / 100) / steps));
+
+      const { streams } = await ffprobe(path.join(dir, name, 'seg_000.ts'));
+      const out = streams.find(s => s.codec_type === 'video') || {};
+      renditions.push({
+        preset: name,
+        width: out.width || null,
+        height: out.height || null,
+        bandwidth: (preset.videoBitrate + (hasAudio ? preset.audioBitrate : 0)) * 1000,
+        codecs: renditionCodecs(streams),
+        outPath: `${publicDir}/${name}/index.m3u8`,
+        format: 'hls'
+      });
+    }
+
+    // progressive MP4 for players without HLS (served with Range support from /outputs)
+    const fallbackCommand = loadFfmpeg()(f.path)
+      .videoCodec('libx264')
+      .videoBitrate(fallback[1].videoBitrate)
+      .videoFilters(`scale=-2:'min(${fallback[1].height},ih)'`)
+      .outputOptions(['-preset veryfast', '-pix_fmt yuv420p', '-movflags +faststart'])
+      .format('mp4')
+      .output(path.join(dir, 'fallback.mp4'));
+    if (hasAudio) fallbackCommand.audioCodec('aac').audioBitrate(fallback[1].audioBitrate);
+    else fallbackCommand.noAudio();
+    await runFfmpeg(fallbackCommand, options.signal, pct => report('encode', 100 * (ladder.length + pct / 100) / steps));
+
+    report('write', 99);
+    const master = ['#EXTM3U', '#EXT-X-VERSION:3'];
+    for (const r of renditions) {
+      const attributes = [`BANDWIDTH=${r.bandwidth}`];
+      if (r.width && r.height) attributes.push(`RESOLUTION=${r.width}x${r.height}`);
+      if (r.codecs) attributes.push(`CODECS="${r.codecs}"`);
+      master.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`);
+      master.push(`${r.preset}/index.m3u8`);
+    }
+    await writeFileAtomic(path.join(dir, 'master.m3u8'), master.join('\n') + '\n');
+
+    const manifest = `${publicDir}/master.m3u8`;
+    const mp4 = `${publicDir}/fallback.mp4`;
+    await updateCatalog(target.catalog, series => {
+      const found = findEpisode(series, target);
+      if (!found) throw new Error('Episode no longer exists in the catalog');
+      if (!found.episode.source && found.episode.video && found.episode.video !== manifest) found.episode.source = found.episode.video;
+      found.episode.video = manifest;
+      found.episode.mp4 = mp4;
     });
+    const { size } = await stat(path.join(dir, 'fallback.mp4'));
+    report('done', 100);
 
-    return {
-      index: state.index,
-      name: state.originalName,
-      originalSize: state.originalSize,
-      compressedSize: state.compressedSize,
-      outPath: state.outPath,
-      error: null,
-      state // return state for overall aggregation
+    const result = {
+      index: idx,
+      name: state.name,
+      originalSize: state.size,
+      compressedSize: size,
+      outPath: manifest,
+      format: 'hls',
+      quality: null,
+      ssim: null,
+      targetMet: null,
+      manifest,
+      mp4,
+      target,
+      renditions: renditions.map(r => ({ ...r, compressedSize: null, warning: null, quality: null, ssim: null, targetMet: null })),
+      error: null
+    };
+    if (clientId) sendSse(clientId, 'file-done', result);
+    return result;
+  } catch (err) {
+    const error = String(err && err.message ? err.message : err);
+    await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+    console.error('Packaging error for', state.name, err);
+    if (clientId) sendSse(clientId, 'file-done', { index: idx, name: state.name, error });
+    return { index: idx, name: state.name, error };
+  }
+}
+
+// ---- poster / thumbnail extraction ----
+// Candidate frames are grabbed across the episode; black or flat frames and near-duplicates (SSIM) are
+// dropped and the most detailed remaining frame goes through processFile. Optionally a sprite sheet +
+// WebVTT track is built for scrubbing previews.
+const POSTER_CANDIDATES = 12;
+const POSTER_SAMPLE_WIDTH = 160; // frames are scored at this width
+const POSTER_MIN_LUMA = 24; // mean luma below this is a black frame
+const POSTER_MIN_CONTRAST = 10; // luma std-dev below this is a flat / fade frame
+const POSTER_DUPLICATE_SSIM = 0.9;
+const SPRITE_TILE_WIDTH = 160;
+const SPRITE_COLUMNS = 10;
+const SPRITE_MAX_TILES = 100;
+const spritesDir = path.join(outputsDir, 'sprites');
+
+// mean and standard deviation of luma over RGBA pixels
+function lumaStats({ data }) {
+  let sum = 0;
+  let sumSq = 0;
+  const n = data.length / 4;
+  for (let i = 0; i < data.length; i += 4) {
+    const y = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    sum += y;
+    sumSq += y * y;
+  }
+  const mean = sum / n;
+  return { mean, stddev: Math.sqrt(Math.max(0, sumSq / n - mean * mean)) };
+}
+
+// grab frames at the given timestamps (seconds) as PNG files in dir; resolves to the file paths in order
+function grabFrames(input, timestamps, dir, width, signal) {
+  return new Promise((resolve, reject) => {
+    const files = [];
+    const command = loadFfmpeg()(input)
+      .on('filenames', names => files.push(...names.map(n => path.join(dir, n))))
+      .on('error', reject)
+      .on('end', () => resolve(files));
+    if (signal) {
+      if (signal.aborted) return reject(new Error('Cancelled'));
+      signal.addEventListener('abort', () => { command.kill('SIGKILL'); reject(new Error('Cancelled')); }, { once: true });
+    }
+    command.screenshots({ timestamps, folder: dir, filename: 'frame_%0i.png', size: width ? `${width}x?` : undefined });
+  });
+}
+
+// pick the poster frame: skip black/flat and near-duplicate candidates, keep the most detailed one
+async function pickPosterFrame(frames) {
+  const { ssim } = require('ssim.js');
+  const kept = [];
+  const rejected = { black: 0, duplicate: 0 };
+  for (const file of frames) {
+    const buffer = await readFile(file).catch(() => null);
+    if (!buffer) continue;
+    const pixels = await decodeRgba(buffer, { width: POSTER_SAMPLE_WIDTH });
+    const { mean, stddev } = lumaStats(pixels);
+    if (mean < POSTER_MIN_LUMA || stddev < POSTER_MIN_CONTRAST) { rejected.black++; continue; }
+    if (kept.some(k => k.pixels.width === pixels.width && k.pixels.height === pixels.height && ssim(k.pixels, pixels).mssim > POSTER_DUPLICATE_SSIM)) { rejected.duplicate++; continue; }
+    kept.push({ file, buffer, pixels, stddev });
+  }
+  if (!kept.length) return { frame: null, rejected };
+  kept.sort((a, b) => b.stddev - a.stddev);
+  return { frame: kept[0], rejected, candidates: kept.length };
+}
+
+// catalog entries keep their links for good, so the poster cannot be a presigned link that expires (see storage.js)
+const CATALOG_LINKS_ERROR = 'Catalog artwork needs storage links that do not expire: set S3_PUBLIC_URL (bucket or CDN base URL) for the s3 storage driver';
+
+// extract a poster (and optionally a sprite + WebVTT) for one episode and record it in the catalog.
+// f = { originalname, size, path, target }; options = { quality, image: processFile options, sprite, spriteInterval }
+async function extractThumbnails(f, idx, clientId, options = {}) {
+  const { target } = f;
+  const key = episodeKey(target);
+  const name = f.originalname || key;
+  const tmpDir = path.join(jobsDir, `frames_${crypto.randomUUID()}`);
+  const throwIfCancelled = () => { if (options.signal && options.signal.aborted) throw new Error('Cancelled'); };
+  let lastPct = -1;
+  function report(stage, pct) {
+    pct = Math.round(pct);
+    if (pct === lastPct) return;
+    lastPct = pct;
+    const processedBytes = Math.round((f.size || 0) * pct / 100);
+    console.log(`${name} — ${stage} — ${pct}%`);
+    if (clientId) sendSse(clientId, 'file-progress', { index: idx, name, stage, processedBytes, originalSize: f.size || 0, progress: pct, etaSeconds: null });
+    if (options.onProgress) options.onProgress({ processedBytes });
+  }
+
+  try {
+    if (storage.expiringUrls) throw new Error(CATALOG_LINKS_ERROR);
+    report('decode', 0);
+    await mkdir(tmpDir, { recursive: true });
+    const duration = Number((await ffprobe(f.path)).format.duration) || 0;
+    if (!duration) throw new Error('Could not read the video duration');
+
+    // poster candidates spread over 10%-90% of the runtime (skips intros and credits)
+    const timestamps = Array.from({ length: POSTER_CANDIDATES }, (_, i) => +(duration * (0.1 + 0.8 * i / (POSTER_CANDIDATES - 1))).toFixed(2));
+    const frames = await grabFrames(f.path, timestamps, tmpDir, null, options.signal);
+    report('decode', 30);
+    throwIfCancelled();
+    const { frame, rejected, candidates } = await pickPosterFrame(frames);
+    if (!frame) throw new Error(`No usable frame (${rejected.black} black, ${rejected.duplicate} duplicate)`);
+
+    // encode through the regular image pipeline (resize presets, format, quality search)
+    report('encode', 45);
+    const poster = await processFile({ originalname: `${key}.png`, size: frame.buffer.length, buffer: frame.buffer }, idx, null, options.quality || 80, { ...(options.image || {}), keyPrefix: 'posters/', signal: options.signal });
+    if (poster.error) throw new Error(poster.error);
+    report('encode', 60);
+
+    let previews = null;
+    if (options.sprite) {
+      // one tile every spriteInterval seconds, spaced further apart for long videos to cap the sheet size
+      const interval = Math.max(options.spriteInterval || 10, duration / SPRITE_MAX_TILES);
+      const spriteTimes = [];
+      for (let t = 0; t < duration; t += interval) spriteTimes.push(+t.toFixed(2));
+      const spriteTmp = path.join(tmpDir, 'sprite');
+      await mkdir(spriteTmp, { recursive: true });
+      const tiles = await grabFrames(f.path, spriteTimes, spriteTmp, SPRITE_TILE_WIDTH, options.signal);
+      throwIfCancelled();
+      report('encode', 85);
+      const first = await handOffImageTask('decodeRgba', await readFile(tiles[0]));
+      const tileH = Math.max(2, Math.round(SPRITE_TILE_WIDTH * first.height / first.width));
+      const sheet = await composeSprite(tiles, SPRITE_TILE_WIDTH, tileH);
+
+      report('write', 95);
+      const dir = path.join(spritesDir, key);
+      await mkdir(dir, { recursive: true });
+      await writeFileAtomic(path.join(dir, 'sprite.jpg'), sheet);
+      const columns = Math.min(SPRITE_COLUMNS, tiles.length);
+      const cues = tiles.map((_, i) => {
+        const start = spriteTimes[i];
+        const end = Math.min(duration, spriteTimes[i + 1] !== undefined ? spriteTimes[i + 1] : duration);
+        const x = (i % columns) * SPRITE_TILE_WIDTH;
+        const y = Math.floor(i / columns) * tileH;
+        return `${vttTime(start)} --> ${vttTime(end)}\nsprite.jpg#xywh=${x},${y},${SPRITE_TILE_WIDTH},${tileH}`;
+      });
+      await writeFileAtomic(path.join(dir, 'thumbs.vtt'), `WEBVTT\n\n${cues.join('\n\n')}\n`);
+      previews = `/outputs/sprites/${key}/thumbs.vtt`;
+    }
+
+    // record in the catalog; the series artwork is only filled in when it is still empty
+    await updateCatalog(target.catalog, series => {
+      const found = findEpisode(series, target);
+      if (!found) throw new Error('Episode no longer exists in the catalog');
+      found.episode['Url Thumb'] = poster.outPath;
+      if (previews) found.episode.previews = previews;
+      if (!found.series['Url Thumb']) found.series['Url Thumb'] = poster.outPath;
+    });
+    report('done', 100);
+
+    const result = { ...poster, index: idx, name, originalSize: f.size || 0, target, previews, frame: { candidates, rejected } };
+    delete result.state;
+    if (clientId) sendSse(clientId, 'file-done', result);
+    return result;
+  } catch (err) {
+    const error = String(err && err.message ? err.message : err);
+    console.error('Thumbnail error for', name, err);
+    if (clientId) sendSse(clientId, 'file-done', { index: idx, name, error });
+    return { index: idx, name, error };
+  } finally {
+    await fs.promises.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// ---- subtitle and audio tracks ----
+// Episode tracks live in outputs/tracks/<key>/ and are listed on the catalog episode (see catalog.js):
+// subtitles as WebVTT ({ lang, label, kind, src, origin }), audio as M4A ({ lang, label, src, origin }).
+// Uploaded SRT / ASS / WebVTT files are converted by subtitles.js; embedded tracks are extracted from the
+// episode's video by a "tracks" job. Image-based subtitles (PGS, VobSub) cannot become WebVTT and are skipped.
+const tracksDir = path.join(outputsDir, 'tracks');
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+const TRACK_AUDIO_BITRATE = 192; // kbit/s when an audio track has to be re-encoded to AAC
+
+// language code of an ffprobe stream ("und" when untagged or unusable)
+function streamLanguage(stream) {
+  const lang = String((stream.tags && stream.tags.language) || '').toLowerCase();
+  return isLanguageCode(lang) ? lang : 'und';
+}
+
+// put tracks on an episode's list, replacing the ones matching replace(track); returns the replaced tracks
+function setEpisodeTracks(target, list, tracks, replace) {
+  return updateCatalog(target.catalog, series => {
+    const found = findEpisode(series, target);
+    if (!found) throw httpError(404, 'Episode no longer exists in the catalog');
+    const current = Array.isArray(found.episode[list]) ? found.episode[list] : [];
+    const replaced = current.filter(replace);
+    found.episode[list] = [...current.filter(t => !replace(t)), ...tracks];
+    if (!found.episode[list].length) delete found.episode[list];
+    return replaced;
+  });
+}
+
+// delete the files of tracks that were replaced or removed (only files this server wrote)
+async function removeTrackFiles(tracks, keep = []) {
+  const keepSrc = keep.map(t => t.src);
+  await Promise.all(tracks.filter(t => t.src && t.src.startsWith('/outputs/tracks/') && !keepSrc.includes(t.src)).map(t => {
+    const local = resolveMediaSource(t.src);
+    return local ? unlink(local).catch(() => {}) : null;
+  }));
+}
+
+// extract embedded tracks of one episode; f = { originalname, size, path, target }.
+// options = { subtitles, audio (booleans), offset (seconds, applied to the subtitles) }
+async function extractTracks(f, idx, clientId, options = {}) {
+  const { target } = f;
+  const key = episodeKey(target);
+  const name = f.originalname || key;
+  const dir = path.join(tracksDir, key);
+  const publicDir = `/outputs/tracks/${key}`;
+  const tmpDir = path.join(jobsDir, `tracks_${crypto.randomUUID()}`);
+  let lastPct = -1;
+  function report(stage, pct) {
+    pct = Math.round(pct);
+    if (pct === lastPct) return;
+    lastPct = pct;
+    const processedBytes = Math.round((f.size || 0) * pct / 100);
+    console.log(`${name} — ${stage} — ${pct}%`);
+    if (clientId) sendSse(clientId, 'file-progress', { index: idx, name, stage, processedBytes, originalSize: f.size || 0, progress: pct, etaSeconds: null });
+    if (options.onProgress) options.onProgress({ processedBytes });
+  }
+
+  try {
+    report('decode', 0);
+    const probe = await ffprobe(f.path);
+    const skipped = [];
+    const subtitleStreams = options.subtitles === false ? [] : probe.streams.filter(s => s.codec_type === 'subtitle').filter(s => {
+      if (TEXT_SUBTITLE_CODECS.includes(s.codec_name)) return true;
+      skipped.push({ stream: s.index, codec: s.codec_name, lang: streamLanguage(s), reason: 'image-based subtitles cannot be converted to WebVTT' });
+      return false;
+    });
+    const audioStreams = options.audio === false ? [] : probe.streams.filter(s => s.codec_type === 'audio');
+    if (!subtitleStreams.length && !audioStreams.length) throw new Error(`No embedded ${skipped.length ? 'text ' : ''}subtitle or audio track to extract`);
+    await mkdir(dir, { recursive: true });
+    await mkdir(tmpDir, { recursive: true });
+    const steps = subtitleStreams.length + audioStreams.length;
+    let step = 0;
+
+    const subtitles = [];
+    for (const stream of subtitleStreams) {
+      const lang = streamLanguage(stream);
+      const tmp = path.join(tmpDir, `${stream.index}.vtt`);
+      const command = loadFfmpeg()(f.path).outputOptions([`-map 0:${stream.index}`, '-c:s webvtt']).format('webvtt').output(tmp);
+      await runFfmpeg(command, options.signal, pct => report('encode', 100 * (step + pct / 100) / steps));
+      // through the upload converter too: same cleanup, and the offset correction
+      const { vtt } = convertSubtitles(await readFile(tmp), { format: 'vtt', offset: options.offset });
+      const file = `embedded_${stream.index}_${lang}.vtt`;
+      await writeFileAtomic(path.join(dir, file), vtt);
+      const kind = stream.disposition && stream.disposition.hearing_impaired ? 'captions' : 'subtitles';
+      subtitles.push({ lang, label: (stream.tags && stream.tags.title) || lang, kind, src: `${publicDir}/${file}`, origin: 'embedded' });
+      step++;
+    }
+
+    const audio = [];
+    for (const stream of audioStreams) {
+      const lang = streamLanguage(stream);
+      const file = `audio_${stream.index}_${lang}.m4a`;
+      const command = loadFfmpeg()(f.path)
+        .outputOptions([`-map 0:${stream.index}`, '-movflags +faststart'])
+        .noVideo()
+        .format('mp4')
+        .output(path.join(tmpDir, file));
+      if (stream.codec_name === 'aac') command.audioCodec('copy');
+      else command.audioCodec('aac').audioBitrate(TRACK_AUDIO_BITRATE);
+      await runFfmpeg(command, options.signal, pct => report('encode', 100 * (step + pct / 100) / steps));
+      await rename(path.join(tmpDir, file), path.join(dir, file));
+      const label = (stream.tags && stream.tags.title) || [lang, stream.channel_layout].filter(Boolean).join(' ');
+      audio.push({ lang, label, src: `${publicDir}/${file}`, origin: 'embedded' });
+      step++;
+    }
+
+    // earlier extractions are replaced; uploaded subtitles stay
+    report('write', 99);
+    const replaced = [];
+    if (subtitleStreams.length) replaced.push(...await setEpisodeTracks(target, 'subtitles', subtitles, t => t.origin === 'embedded'));
+    if (audioStreams.length) replaced.push(...await setEpisodeTracks(target, 'audio', audio, t => t.origin === 'embedded'));
+    await removeTrackFiles(replaced, [...subtitles, ...audio]);
+    report('done', 100);
+
+    const sizes = await Promise.all([...subtitles, ...audio].map(t => stat(path.join(dir, path.basename(t.src))).then(s => s.size)));
+    const renditions = [...subtitles.map(t => ({ ...t, format: 'vtt' })), ...audio.map(t => ({ ...t, format: 'm4a' }))].map((t, i) => ({
+      preset: `${t.format === 'vtt' ? t.kind : 'audio'}:${t.lang}`,
+      width: null,
+      height: null,
+      compressedSize: sizes[i],
+      outPath: t.src,
+      format: t.format,
+      warning: null,
+      quality: null,
+      ssim: null,
+      targetMet: null
+    }));
+    const result = { index: idx, name, originalSize: f.size || 0, target, subtitles, audio, skipped, renditions, error: null };
+    if (clientId) sendSse(clientId, 'file-done', result);
+    return result;
+  } catch (err) {
+    const error = String(err && err.message ? err.message : err);
+    console.error('Track extraction error for', name, err);
+    if (clientId) sendSse(clientId, 'file-done', { index: idx, name, error });
+    return { index: idx, name, error };
+  } finally {
+    await fs.promises.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// ---- persistent job queue ----
+// Each job lives in jobs/<id>/: job.json (status + results) and the uploaded inputs (input_<n>).
+// Files from every job share one queue limited to CONCURRENCY; on restart unfinished files are re-queued.
+// job.kind picks the runner in JOB_RUNNERS: compress (images), transcode (MP4), package (HLS for a catalog
+// episode), thumbnails (poster + scrubbing sprite for a catalog episode) or tracks (embedded subtitles and
+// audio of a catalog episode).
+const jobsDir = path.join(__dirname, 'jobs');
+const jobs = new Map(); // id -> job record (what is persisted to job.json)
+const fileQueue = []; // { jobId, index } waiting for a slot
+const runningFiles = new Map(); // `${jobId}:${index}` -> AbortController
+const JOB_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function jobDir(id) { return path.join(jobsDir, id); }
+
+// write job.json atomically (tmp + rename), serialized per job so saves never interleave
+const jobSaves = new Map();
+function saveJob(job) {
+  const file = path.join(jobDir(job.id), 'job.json');
+  const next = (jobSaves.get(job.id) || Promise.resolve())
+    .then(() => writeFileAtomic(file, JSON.stringify(job, null, 2)))
+    .catch(err => console.error('Could not save job', job.id, err));
+  jobSaves.set(job.id, next);
+  return next;
+}
+
+// public view of a job for GET /api/jobs/:id and the 'done' event
+function jobResults(job) {
+  return job.files.filter(f => f.result).map(f => f.result);
+}
+
+// a result as handed out: with expiring storage links (see storage.js) the outPath saved when the file was written
+// only works for a while, so stored renditions are signed again from their key
+async function withFreshLinks(result) {
+  if (!storage.expiringUrls || !result || !result.renditions) return result;
+  const renditions = await Promise.all(result.renditions.map(async r => (r.key ? { ...r, outPath: await storage.url(r.key) } : r)));
+  return { ...result, renditions, outPath: renditions[0] && renditions[0].key ? renditions[0].outPath : result.outPath };
+}
+
+async function jobView(job) {
+  const counts = job.files.reduce((a, f) => { a[f.status] = (a[f.status] || 0) + 1; return a; }, {});
+  const results = await Promise.all(job.files.map(f => withFreshLinks(f.result)));
+  return {
+    id: job.id,
+    kind: job.kind || 'compress',
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+    expiresAt: jobExpiresAt(job),
+    counts,
+    files: job.files.map((f, i) => ({ index: f.index, name: f.name, size: f.size, status: f.status, ...(results[i] || {}) })),
+    results: results.filter(Boolean),
+    callback: callbacks.view(job.callback)
+  };
+}
+
+// overall progress counts running files by their live processedBytes and finished ones in full
+const liveProgress = new Map(); // `${jobId}:${index}` -> processedBytes of a running file
+const jobClocks = new Map(); // jobId -> { startedAt, baseBytes, lastPct } for throughput / ETA in this process
+
+function jobProgress(job) {
+  return overallProgress(job.files, f => liveProgress.get(`${job.id}:${f.index}`));
+}
+
+// force = false skips the report when the rounded percentage has not moved
+function reportJobOverall(job, force = true) {
+  const { processedBytes: totalProcessed, totalBytes: totalOriginal, pct } = jobProgress(job);
+  const clock = jobClocks.get(job.id);
+  if (!force && clock && clock.lastPct === pct) return;
+
+  let bytesPerSecond = null;
+  let etaSeconds = null;
+  if (clock) {
+    clock.lastPct = pct;
+    const elapsed = (Date.now() - clock.startedAt) / 1000;
+    const measured = totalProcessed - clock.baseBytes;
+    if (elapsed >= 1 && measured > 0) {
+      bytesPerSecond = Math.round(measured / elapsed);
+      etaSeconds = Math.round((totalOriginal - totalProcessed) / bytesPerSecond);
+    }
+  }
+  console.log(overallProgressLine(totalProcessed, totalOriginal, pct, bytesPerSecond, etaSeconds));
+  if (job.clientId) sendSse(job.clientId, 'overall-progress', { jobId: job.id, processedBytes: totalProcessed, totalOriginal, progress: pct, bytesPerSecond, etaSeconds });
+}
+
+// once no file is queued or running: mark the job finished, notify, and drop the uploaded inputs
+async function finishJobIfDone(job) {
+  if (job.finishedAt || job.files.some(f => f.status === 'queued' || f.status === 'running')) return;
+  job.status = job.cancelRequested ? 'cancelled' : 'done';
+  job.finishedAt = job.updatedAt = new Date().toISOString();
+  await saveJob(job);
+
+  const results = jobResults(job);
+  reportJobOverall(job);
+  jobClocks.delete(job.id);
+  batchFingerprints.delete(job.id);
+  if (job.clientId) sendSse(job.clientId, 'done', { jobId: job.id, status: job.status, results });
+  if (job.callback) deliverCallback(job);
+
+  console.log(`Job ${job.id} ${job.status}. Summary:`);
+  results.forEach(r => resultSummaryLines(r).forEach(line => console.log(line)));
+
+  await Promise.all(job.files.filter(f => f.input).map(f => unlink(path.join(jobDir(job.id), f.input)).catch(() => {})));
+}
+
+// POST the finished batch to its callbackUrl; retries run in the background and are recorded in job.callback
+function deliverCallback(job) {
+  Promise.all(jobResults(job).map(withFreshLinks)).then(results => {
+    const payload = { event: 'batch.done', jobId: job.id, kind: job.kind || 'compress', status: job.status, finishedAt: job.finishedAt, results };
+    callbacks.deliver(job.callback, payload, { save: () => saveJob(job), active: () => jobs.get(job.id) === job });
+  }).catch(err => console.error('Callback delivery error', job.id, err));
+}
+
+// local path of an uploaded input, or the referenced URL / file
+function jobInput(job, file) {
+  return file.url || path.join(jobDir(job.id), file.input);
+}
+
+// fingerprints of a compress batch's files, shared by its files for near-duplicate checks (seeded from
+// finished results when a restored job resumes)
+const batchFingerprints = new Map();
+function jobFingerprints(job) {
+  if (!batchFingerprints.has(job.id)) {
+    batchFingerprints.set(job.id, job.files.filter(f => f.result && f.result.fingerprint).map(f => ({ index: f.index, name: f.name, fingerprint: f.result.fingerprint })));
+  }
+  return batchFingerprints.get(job.id);
+}
+
+const JOB_RUNNERS = {
+  compress(job, file, run) {
+    return processFile({ originalname: file.name, size: file.size, path: jobInput(job, file) }, file.index, job.clientId, job.quality, { ...job.options, keyPrefix: `${job.id}/`, fingerprints: jobFingerprints(job), ...run });
+  },
+  transcode(job, file, run) {
+    return transcodeFile({ originalname: file.name, size: file.size, path: jobInput(job, file) }, file.index, job.clientId, { ...job.options, batchId: job.id, ...run });
+  },
+  package(job, file, run) {
+    return packageEpisode({ originalname: file.name, size: file.size, path: jobInput(job, file), target: file.target }, file.index, job.clientId, { ...job.options, ...run });
+  },
+  thumbnails(job, file, run) {
+    return extractThumbnails({ originalname: file.name, size: file.size, path: jobInput(job, file), target: file.target }, file.index, job.clientId, { ...job.options, quality: job.quality, ...run });
+  },
+  tracks(job, file, run) {
+    return extractTracks({ originalname: file.name, size: file.size, path: jobInput(job, file), target: file.target }, file.index, job.clientId, { ...job.options, ...run });
+  }
+};
+
+async function runJobFile(job, file) {
+  const key = `${job.id}:${file.index}`;
+  const controller = new AbortController();
+  runningFiles.set(key, controller);
+  if (!jobClocks.has(job.id)) jobClocks.set(job.id, { startedAt: Date.now(), baseBytes: jobProgress(job).processedBytes, lastPct: -1 });
+  file.status = 'running';
+  job.status = 'running';
+  job.updatedAt = new Date().toISOString();
+  await saveJob(job);
+
+  let result;
+  try {
+    const onProgress = state => {
+      liveProgress.set(key, state.processedBytes);
+      reportJobOverall(job, false);
     };
+    result = await JOB_RUNNERS[job.kind || 'compress'](job, file, { signal: controller.signal, onProgress });
   } catch (err) {
-    clearInterval(interval);
-    state.error = String(err && err.message ? err.message : err);
-    state.isCompressing = false;
-    state.progress = 0;
-    state.processedBytes = 0;
-    console.error('Compression error for', state.originalName, err);
-    reportIfNeeded();
-    if (clientId) sendSse(clientId, 'file-done', { index: state.index, name: state.originalName, error: state.error });
-    return { index: state.index, name: state.originalName, error: state.error, state };
+    result = { index: file.index, name: file.name, error: String(err && err.message ? err.message : err) };
+  } finally {
+    runningFiles.delete(key);
+    liveProgress.delete(key);
+  }
+
+  if (controller.signal.aborted) {
+    // cancelled after the encoder already finished: discard what it wrote (finished HLS packages and episode
+    // tracks are already published in the catalog)
+    file.status = 'cancelled';
+    await Promise.all((result.renditions || []).filter(r => !['hls', 'vtt', 'm4a'].includes(r.format)).map(r => removeOutput(r).catch(() => {})));
+  } else {
+    file.status = result.error ? 'error' : 'done';
+    const { state, ...saved } = result;
+    file.result = saved;
+  }
+  job.updatedAt = new Date().toISOString();
+  await saveJob(job);
+  reportJobOverall(job);
+  await finishJobIfDone(job);
+}
+
+// start queued files while there are free slots
+function pumpQueue() {
+  while (runningFiles.size < CONCURRENCY && fileQueue.length) {
+    const { jobId, index } = fileQueue.shift();
+    const job = jobs.get(jobId);
+    const file = job && job.files[index];
+    if (!file || file.status !== 'queued') continue;
+    runJobFile(job, file)
+      .catch(err => console.error('Job file unexpected error', jobId, index, err))
+      .finally(pumpQueue);
+  }
+}
+
+function enqueueJob(job) {
+  jobs.set(job.id, job);
+  job.files.filter(f => f.status === 'queued').forEach(f => fileQueue.push({ jobId: job.id, index: f.index }));
+  pumpQueue();
+}
+
+// cancel queued files right away; running files are aborted and finish as 'cancelled'
+async function cancelJob(job) {
+  job.cancelRequested = true;
+  for (const f of job.files) {
+    if (f.status === 'queued') f.status = 'cancelled';
+    const controller = runningFiles.get(`${job.id}:${f.index}`);
+    if (controller) controller.abort();
   }
+  job.updatedAt = new Date().toISOString();
+  await saveJob(job);
+  await finishJobIfDone(job);
 }
 
-// POST /api/compress-multi
-app.post('/api/compress-multi', upload.array('files'), async (req, res) => {
-  const clientId = req.query.id || req.body?.id;
+// load jobs from disk; anything left queued or running by a previous process starts again
+async function restoreJobs() {
+  await mkdir(jobsDir, { recursive: true });
+  const ids = (await readdir(jobsDir)).filter(id => JOB_ID_RE.test(id));
+  for (const id of ids) {
+    let job;
+    try {
+      job = JSON.parse(await readFile(path.join(jobDir(id), 'job.json'), 'utf8'));
+    } catch (e) {
+      console.error('Skipping unreadable job', id, e.message);
+      continue;
+    }
+    if (!job.finishedAt) {
+      job.files.forEach(f => { if (f.status === 'running') f.status = 'queued'; });
+      job.status = 'queued';
+      console.log(`Resuming job ${id} (${job.files.filter(f => f.status === 'queued').length} file(s) left)`);
+    }
+    enqueueJob(job);
+    await finishJobIfDone(job);
+    if (job.finishedAt && job.callback) deliverCallback(job); // delivery still pending from before the restart
+  }
+}
+
+// ---- retention ----
+// Compress / transcode batches live in outputs/<jobId>/ and go away OUTPUT_TTL_MS after they finish, job record
+// included. Package, thumbnail and track outputs are linked from the catalog, so only their job records expire.
+const EXPIRING_KINDS = ['compress', 'transcode'];
+
+function jobExpiresAt(job) {
+  if (!OUTPUT_TTL_MS || !job.finishedAt) return null;
+  return new Date(Date.parse(job.finishedAt) + OUTPUT_TTL_MS).toISOString();
+}
+
+async function expireJob(job) {
+  if (EXPIRING_KINDS.includes(job.kind || 'compress')) {
+    await Promise.all(jobResults(job).flatMap(r => r.renditions || []).map(r => removeOutput(r).catch(() => {})));
+    await fs.promises.rm(path.join(outputsDir, job.id), { recursive: true, force: true });
+  }
+  await fs.promises.rm(jobDir(job.id), { recursive: true, force: true });
+  jobs.delete(job.id);
+}
+
+async function sweepOutputs() {
+  const cutoff = OUTPUT_TTL_MS ? Date.now() - OUTPUT_TTL_MS : -Infinity;
+  let expired = 0;
+  let orphans = 0;
+  for (const job of [...jobs.values()]) {
+    if (!job.finishedAt || Date.parse(job.finishedAt) >= cutoff) continue;
+    await expireJob(job).catch(err => console.error('Could not expire job', job.id, err));
+    expired++;
+  }
+  // local leftovers: batch folders whose job is gone, and flat files from before outputs were grouped per batch
+  for (const name of await readdir(outputsDir).catch(() => [])) {
+    if (!(JOB_ID_RE.test(name) && !jobs.has(name)) && !/^\d{13}_\d+_/.test(name)) continue;
+    const file = path.join(outputsDir, name);
+    const info = await stat(file).catch(() => null);
+    if (!info || info.mtimeMs >= cutoff) continue;
+    await fs.promises.rm(file, { recursive: true, force: true });
+    orphans++;
+  }
+  const staleUploads = await resumable.sweep();
+  if (expired || orphans || staleUploads) console.log(`Retention sweep: ${expired} expired batch(es), ${orphans} orphaned output(s), ${staleUploads} stale upload(s) removed`);
+}
+
+restoreJobs()
+  .catch(err => console.error('Could not restore jobs', err))
+  .then(sweepOutputs)
+  .catch(err => console.error('Retention sweep failed', err));
+setInterval(() => sweepOutputs().catch(err => console.error('Retention sweep failed', err)), SWEEP_INTERVAL_MS).unref();
+
+// file name part of a referenced URL or path
+function referenceName(ref) {
+  try { return decodeURIComponent(path.basename(new URL(ref, 'http://localhost').pathname)); } catch (e) { return null; }
+}
+
+// byte size of a referenced input, which weights it in the job's overall progress: the URL's Content-Length or
+// the local file's size; 0 when it cannot be told in time
+const REFERENCE_PROBE_MS = 5000;
+async function referenceSize(ref) {
+  if (/^https?:\/\//i.test(ref)) return contentLength(ref, REFERENCE_PROBE_MS);
+  return stat(ref).then(s => s.size, () => 0);
+}
+
+// a catalog `video` link usable as ffmpeg input: http(s) URLs as-is, /outputs/... mapped to the local file
+function resolveMediaSource(ref) {
+  if (!ref) return null;
+  if (/^https?:\/\//i.test(ref)) return ref;
+  if (ref.startsWith('/outputs/')) {
+    const local = path.join(outputsDir, decodeURIComponent(ref.slice('/outputs/'.length)));
+    return local.startsWith(outputsDir + path.sep) ? local : null;
+  }
+  return null;
+}
+
+// persist the uploads (and any referenced inputs) with a job record and queue it; the caller answers right away,
+// progress goes over SSE and GET /api/jobs/:id. refs are { url, name?, target?, size? } (the size is probed when
+// missing, see referenceSize); an upload may carry .target too.
+// Uploads rejected by the upload checks ({ index, name, size, error }) are recorded as failed files, kept in
+// request order with the accepted ones so file indexes match what the client sent. callback is a delivery record
+// from callbacks.parse().
+async function createJob(kind, clientId, uploads, { quality = null, options = {}, refs = [], rejected = [], owner = null, callback = null } = {}) {
+  const sent = [
+    ...uploads.map((f, i) => ({ f, position: f.index ?? i })),
+    ...rejected.map(r => ({ r, position: r.index }))
+  ].sort((a, b) => a.position - b.position);
+  const refSizes = await Promise.all(refs.map(ref => ref.size || referenceSize(ref.url)));
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    kind,
+    clientId: clientId || null,
+    owner, // API key name (see auth.js)
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    cancelRequested: false,
+    quality,
+    options,
+    callback,
+    files: [
+      ...sent.map(({ f, r }, idx) => (f
+        ? { index: idx, name: f.originalname || f.name || `file_${idx}`, size: f.size || 0, input: `input_${idx}`, target: f.target, status: 'queued', result: null }
+        : { index: idx, name: r.name || `file_${idx}`, size: r.size || 0, input: null, status: 'error', result: { index: idx, name: r.name || `file_${idx}`, error: r.error } })),
+      ...refs.map((ref, i) => ({ index: sent.length + i, name: ref.name || referenceName(ref.url) || `file_${sent.length + i}`, size: refSizes[i], input: null, url: ref.url, target: ref.target, status: 'queued', result: null }))
+    ]
+  };
+  await mkdir(jobDir(job.id), { recursive: true });
+  // streamed uploads are moved out of the temp folder; in-memory ones written out
+  await Promise.all(sent.map(({ f }, idx) => {
+    if (!f) return null;
+    const dest = path.join(jobDir(job.id), job.files[idx].input);
+    return f.path ? rename(f.path, dest) : writeFile(dest, f.buffer);
+  }));
+  await saveJob(job);
+  if (clientId) {
+    job.files.forEach(f => {
+      if (f.status === 'error') sendSse(clientId, 'file-done', f.result);
+      else sendSse(clientId, 'file-progress', { index: f.index, name: f.name, stage: 'received', processedBytes: 0, originalSize: f.size, progress: 0, etaSeconds: null });
+    });
+  }
+  enqueueJob(job);
+  console.log(`Job ${job.id} (${kind}) queued with ${job.files.length} file(s)`);
+  return job;
+}
+
+// refuse a job request up front (before its upload streams in) when the caller is at its concurrent job limit
+// or the request would not fit in its byte quota
+function jobQuota(req, res, next) {
+  try {
+    auth.checkJobSlot(req.auth, Number(req.headers['content-length'] || 0));
+    next();
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+// count a job's uploads (and URL / catalog inputs) against the caller's quota; sends the 429 and returns false when over
+function chargeJob(req, res, files, refCount = 0) {
+  try {
+    auth.charge(req.auth, { files: files.length + refCount, bytes: files.reduce((n, f) => n + (f.size || 0), 0) });
+    return true;
+  } catch (err) {
+    sendError(res, err);
+    return false;
+  }
+}
+
+// every uploaded file failed the upload checks: 400 with the per-file reasons, also sent as file-done errors
+function rejectAllUploads(res, clientId, rejected) {
+  if (clientId) rejected.forEach(r => sendSse(clientId, 'file-done', { index: r.index, name: r.name, error: r.error }));
+  return res.status(400).json({ error: 'No uploaded file was accepted', rejected });
+}
+
+// POST /api/compress-multi — optional callbackUrl / callbackSecret: the finished batch is POSTed there (webhooks.js)
+app.post('/api/compress-multi', jobQuota, uploads.array('files', { types: IMAGE_UPLOAD_TYPES }), async (req, res) => {
+  const clientId = req.auth.clientId;
   const files = req.files || [];
+  const rejected = req.rejectedFiles || [];
 
-  if (!files || files.length === 0) {
+  if (files.length === 0) {
+    if (rejected.length) return rejectAllUploads(res, clientId, rejected);
     return res.status(400).json({ error: 'No files uploaded (use field name "files")' });
   }
 
-  // prepare states container for overall progress aggregation
-  const statesMeta = files.map((f, idx) => ({ index: idx, originalName: f.originalname || f.name || `file_${idx}`, originalSize: f.size || 0, processedBytes: 0 }));
+  let settings;
+  let callback;
+  try {
+    settings = parseImageOptions(req.body);
+    callback = await callbacks.parse(req.body);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  const { quality, options } = settings;
+  if (!chargeJob(req, res, files)) return;
+
+  const job = await createJob('compress', clientId, files, { quality, options, rejected, owner: req.auth.name, callback });
+  return res.status(202).json({ success: true, jobId: job.id, status: job.status, statusUrl: `/api/jobs/${job.id}`, rejected });
+});
+
+// URLs given to /api/transcode are read by ffmpeg from this server, so they may not lead back into its network
+// (see outbound.js); MEDIA_ALLOWED_HOSTS (comma-separated) limits them to those hosts instead.
+const MEDIA_ALLOWED_HOSTS = hostList(process.env.MEDIA_ALLOWED_HOSTS);
 
-  function reportOverall() {
-    const totalOriginal = statesMeta.reduce((s, it) => s + (it.originalSize || 0), 0);
-    const totalProcessed = statesMeta.reduce((s, it) => s + (it.processedBytes || 0), 0);
-    const pct = totalOriginal > 0 ? Math.min(100, Math.round((totalProcessed / totalOriginal) * 100)) : 0;
-    console.log(`OVERALL — ${formatBytes(totalProcessed)} / ${formatBytes(totalOriginal)} — ${pct}%`);
-    if (clientId) sendSse(clientId, 'overall-progress', { processedBytes: totalProcessed, totalOriginal, progress: pct });
+// the URL's href when it may be used as a transcode input; throws a 400 error otherwise
+async function checkMediaUrl(value) {
+  return (await checkOutboundUrl(value, { allowedHosts: MEDIA_ALLOWED_HOSTS, setting: 'MEDIA_ALLOWED_HOSTS' })).href;
+}
+
+// preset / bitrate settings for transcode jobs; throws a 400 httpError on bad input
+function parseTranscodeOptions(body = {}) {
+  const preset = body.preset || '720p';
+  if (!VIDEO_PRESETS[preset]) throw httpError(400, `Unknown preset "${preset}" (available: ${Object.keys(VIDEO_PRESETS).join(', ')})`);
+  const options = { preset };
+  for (const key of ['videoBitrate', 'audioBitrate']) {
+    if (body[key] === undefined || body[key] === '') continue;
+    options[key] = Math.floor(Number(String(body[key]).replace(/k$/i, '')));
+    if (!Number.isFinite(options[key]) || options[key] <= 0) throw httpError(400, `${key} must be a positive number of kbit/s`);
   }
+  return options;
+}
 
-  // process pool with concurrency
-  const results = [];
-  let running = 0;
-  let idxPtr = 0;
+// POST /api/transcode — H.264/AAC MP4 from uploaded videos (field "files") and/or public http(s) URLs (field
+// "urls", see checkMediaUrl); callbackUrl / callbackSecret as for compress-multi
+app.post('/api/transcode', jobQuota, uploads.array('files', { types: VIDEO_UPLOAD_TYPES }), async (req, res) => {
+  const clientId = req.auth.clientId;
+  const files = req.files || [];
+  const rejected = req.rejectedFiles || [];
+  let urls;
+  try {
+    urls = await Promise.all([].concat(req.body.urls || []).join('\n').split(/[\n,]/).map(u => u.trim()).filter(Boolean).map(checkMediaUrl));
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  if (files.length === 0 && urls.length === 0) {
+    if (rejected.length) return rejectAllUploads(res, clientId, rejected);
+    return res.status(400).json({ error: 'No videos given (upload with field name "files" or pass "urls")' });
+  }
 
-  // wrapper to start next job
-  await new Promise((resolveAll) => {
-    const startNext = async () => {
-      if (idxPtr >= files.length && running === 0) {
-        return resolveAll();
-      }
-      while (running < CONCURRENCY && idxPtr < files.length) {
-        const currentIdx = idxPtr++;
-        const f = files[currentIdx];
-        running++;
-        // process and update shared statesMeta periodically
-        (async () => {
-          const quality = Math.max(1, Math.min(100, Number(req.body.quality || 80)));
-          const result = await processFile(f, currentIdx, clientId, quality);
-          // if result includes state object, propagate processedBytes into statesMeta for overall computation
-          if (result && result.state) {
-            statesMeta[currentIdx].processedBytes = result.state.processedBytes || 0;
-          } else if (result && result.compressedSize) {
-            statesMeta[currentIdx].processedBytes = result.compressedSize;
-          }
-          // update overall immediately after file done
-          reportOverall();
-          results.push({ index: result.index, name: result.name, originalSize: result.originalSize, compressedSize: result.compressedSize, outPath: result.outPath, error: result.error });
-          running--;
-          // continue
-          startNext();
-        })().catch(err => {
-          console.error('processFile unexpected error', err);
-          running--;
-          startNext();
-        });
-      }
-    };
-    // Periodically aggregate per-file processed bytes from each "state" kept by processFile is tricky since we returned only final state.
-    // To keep overall progress responsive while files running, we'll also poll sseClients' log frequency by scanning outputs if necessary.
-    // For simplicity: start pool and resolve when done (startNext will call resolveAll).
-    startNext();
+  let options;
+  let callback;
+  try {
+    options = parseTranscodeOptions(req.body);
+    callback = await callbacks.parse(req.body);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  if (!chargeJob(req, res, files, urls.length)) return;
+
+  const job = await createJob('transcode', clientId, files, { options, refs: urls.map(url => ({ url })), rejected, owner: req.auth.name, callback });
+  return res.status(202).json({ success: true, jobId: job.id, status: job.status, statusUrl: `/api/jobs/${job.id}`, rejected });
+});
+
+// turn { catalog?, series, season?, episode? } into job inputs for episode jobs (package, thumbnails).
+// Omitting season/episode selects every episode below that level. The source is pickSource(episode), or a
+// single uploaded file for exactly one episode. Throws a 400/404 httpError on bad addresses.
+async function episodeJobInputs(body, files, pickSource) {
+  const catalog = body.catalog || (await listCatalogFiles())[0];
+  const series = await readCatalog(catalog);
+
+  const toIndex = v => (v === undefined || v === '' ? null : Number(v));
+  const si = toIndex(body.series);
+  const seasonIdx = toIndex(body.season);
+  const episodeIdx = toIndex(body.episode);
+  if (!Number.isInteger(si) || !series[si]) throw httpError(400, 'series must be the index of a series in the catalog');
+  const saisons = series[si].Saisons || [];
+  if (seasonIdx !== null && !saisons[seasonIdx]) throw httpError(400, 'season index out of range');
+  if (episodeIdx !== null && (seasonIdx === null || !(saisons[seasonIdx].episodes || [])[episodeIdx])) throw httpError(400, 'episode index out of range (and needs a season)');
+
+  const targets = [];
+  saisons.forEach((saison, season) => {
+    if (seasonIdx !== null && season !== seasonIdx) return;
+    (saison.episodes || []).forEach((ep, episode) => {
+      if (episodeIdx !== null && episode !== episodeIdx) return;
+      targets.push({ target: { catalog, series: si, season, episode }, ep });
+    });
   });
+  if (files.length && targets.length !== 1) throw httpError(400, 'An uploaded source needs exactly one target episode');
 
-  // final overall report
-  // compute final overall values
-  const totalOriginal = results.reduce((s, r) => s + (r.originalSize || 0), 0);
-  const totalProcessed = results.reduce((s, r) => s + (r.compressedSize || 0), 0);
-  const finalPct = totalOriginal > 0 ? Math.min(100, Math.round((totalProcessed / totalOriginal) * 100)) : 100;
-  if (clientId) sendSse(clientId, 'overall-progress', { processedBytes: totalProcessed, totalOriginal, progress: finalPct });
-  if (clientId) sendSse(clientId, 'done', { results });
-
-  console.log('All files processed. Summary:');
-  results.forEach(r => {
-    if (r.error) console.log(`- ${r.name} : ERROR -> ${r.error}`);
-    else console.log(`- ${r.name} : ${formatBytes(r.originalSize)} -> ${formatBytes(r.compressedSize)} -> ${r.outPath}`);
+  const title = series[si].Texte || `series ${si}`;
+  const label = t => `${title} S${t.season + 1}E${t.episode + 1}`;
+  const uploads = files.map(f => Object.assign(f, { originalname: label(targets[0].target), target: targets[0].target }));
+  const refs = [];
+  const skipped = [];
+  if (!uploads.length) {
+    for (const { target, ep } of targets) {
+      const link = pickSource(ep);
+      const url = resolveMediaSource(link);
+      if (url) refs.push({ url, name: label(target), target });
+      else skipped.push({ ...target, reason: link ? `unsupported video link: ${link}` : 'empty video link' });
+    }
+  }
+  if (!uploads.length && !refs.length) {
+    const err = httpError(400, 'No episode with a usable video source');
+    err.skipped = skipped;
+    throw err;
+  }
+  return { uploads, refs, skipped };
+}
+
+// POST /api/package — HLS ladder + master playlist for catalog episodes (JSON or multipart body).
+// The source is the episode's original video link (see episodeJobInputs for addressing).
+app.post('/api/package', jobQuota, uploads.array('files', { types: VIDEO_UPLOAD_TYPES, maxFiles: 1 }), async (req, res) => {
+  const clientId = req.auth.clientId;
+  // a rejected source upload fails the request instead of silently falling back to the catalog link
+  if (req.rejectedFiles && req.rejectedFiles.length) return rejectAllUploads(res, clientId, req.rejectedFiles);
+  let inputs;
+  try {
+    inputs = await episodeJobInputs(req.body || {}, req.files || [], ep => ep.source || ep.video);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message, skipped: err.skipped });
+  }
+
+  if (!chargeJob(req, res, inputs.uploads, inputs.refs.length)) return;
+
+  const job = await createJob('package', clientId, inputs.uploads, { refs: inputs.refs, owner: req.auth.name });
+  return res.status(202).json({ success: true, jobId: job.id, status: job.status, statusUrl: `/api/jobs/${job.id}`, episodes: job.files.length, skipped: inputs.skipped });
+});
+
+// POST /api/thumbnails — poster frame (and optional sprite + WebVTT previews) for catalog episodes.
+// Addressing as /api/package; image settings as /api/compress-multi (default preset thumb-16x9),
+// plus sprite=true and spriteInterval (seconds between preview tiles).
+app.post('/api/thumbnails', jobQuota, uploads.array('files', { types: VIDEO_UPLOAD_TYPES, maxFiles: 1 }), async (req, res) => {
+  const clientId = req.auth.clientId;
+  if (storage.expiringUrls) return res.status(503).json({ error: CATALOG_LINKS_ERROR });
+  if (req.rejectedFiles && req.rejectedFiles.length) return rejectAllUploads(res, clientId, req.rejectedFiles);
+  const body = req.body || {};
+  let inputs;
+  let settings;
+  try {
+    settings = parseImageOptions(body, { presets: 'thumb-16x9' });
+    inputs = await episodeJobInputs(body, req.files || [], ep => ep.mp4 || ep.source || ep.video);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message, skipped: err.skipped });
+  }
+  const sprite = body.sprite === true || body.sprite === 'true' || body.sprite === '1';
+  const spriteInterval = Math.max(1, Number(body.spriteInterval || 10));
+  if (!Number.isFinite(spriteInterval)) return res.status(400).json({ error: 'spriteInterval must be a number of seconds' });
+
+  const options = { image: settings.options, sprite, spriteInterval };
+  if (!chargeJob(req, res, inputs.uploads, inputs.refs.length)) return;
+  const job = await createJob('thumbnails', clientId, inputs.uploads, { quality: settings.quality, options, refs: inputs.refs, owner: req.auth.name });
+  return res.status(202).json({ success: true, jobId: job.id, status: job.status, statusUrl: `/api/jobs/${job.id}`, episodes: job.files.length, skipped: inputs.skipped });
+});
+
+// POST /api/tracks — extract the embedded subtitle and audio tracks of catalog episodes (WebVTT / M4A).
+// Addressing as /api/package; subtitles=false or audio=false skip a kind, offset (seconds) shifts the subtitles.
+// Earlier extractions of the episode are replaced; uploaded subtitles are kept.
+app.post('/api/tracks', jobQuota, uploads.array('files', { types: VIDEO_UPLOAD_TYPES, maxFiles: 1 }), async (req, res) => {
+  const clientId = req.auth.clientId;
+  if (req.rejectedFiles && req.rejectedFiles.length) return rejectAllUploads(res, clientId, req.rejectedFiles);
+  const body = req.body || {};
+  let inputs;
+  try {
+    inputs = await episodeJobInputs(body, req.files || [], ep => ep.source || ep.mp4 || ep.video);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message, skipped: err.skipped });
+  }
+  const flag = value => !(value === false || value === 'false' || value === '0');
+  const options = { subtitles: flag(body.subtitles), audio: flag(body.audio), offset: Number(body.offset || 0) };
+  if (!Number.isFinite(options.offset)) return res.status(400).json({ error: 'offset must be a number of seconds' });
+  if (!options.subtitles && !options.audio) return res.status(400).json({ error: 'Nothing to extract (subtitles and audio are both off)' });
+
+  if (!chargeJob(req, res, inputs.uploads, inputs.refs.length)) return;
+  const job = await createJob('tracks', clientId, inputs.uploads, { options, refs: inputs.refs, owner: req.auth.name });
+  return res.status(202).json({ success: true, jobId: job.id, status: job.status, statusUrl: `/api/jobs/${job.id}`, episodes: job.files.length, skipped: inputs.skipped });
+});
+
+// the job in req.params.id when the caller may see it: its own key's jobs, or any job for an admin key.
+// Jobs from before auth (no owner) are only visible while the API is open.
+function callerJob(req) {
+  const job = JOB_ID_RE.test(req.params.id) && jobs.get(req.params.id);
+  if (!job) return null;
+  return req.auth.admin || job.owner === req.auth.name || (!job.owner && auth.open) ? job : null;
+}
+
+// GET /api/jobs/:id — status and per-file results
+app.get('/api/jobs/:id', async (req, res) => {
+  const job = callerJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(await jobView(job));
+});
+
+// DELETE /api/jobs/:id — cancel queued and running files
+app.delete('/api/jobs/:id', async (req, res) => {
+  const job = callerJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (job.finishedAt) return res.status(409).json({ error: `Job already ${job.status}`, job: await jobView(job) });
+  await cancelJob(job);
+  res.json(await jobView(job));
+});
+
+// ---- catalog management ----
+// /api/catalogs/:catalog/series[/:series[/seasons[/:season[/episodes[/:episode]]]]] — indexes are 0-based.
+// POST on a list appends (fields missing from the body start empty), PATCH merges fields into an entry
+// (null removes a field), DELETE removes the entry and everything below it. Every write is checked
+// against the schema in catalog.js and needs an admin key (ADMIN_API_KEY): an open API cannot change
+// catalogs. Reads follow the general /api rules.
+const CATALOG_ROUTES = [
+  { level: 'series', list: '/series', parents: [] },
+  { level: 'season', list: '/series/:series/seasons', parents: ['series'] },
+  { level: 'episode', list: '/series/:series/seasons/:season/episodes', parents: ['series', 'season'] }
+];
+
+// the array holding entries of route.level, following the parent indexes in params
+function catalogList(series, params, route) {
+  let list = series;
+  for (const level of route.parents) {
+    const entry = list[catalogIndex(params[level], list, level)];
+    const key = CATALOG_LEVELS[level].children.key;
+    if (!Array.isArray(entry[key])) entry[key] = [];
+    list = entry[key];
+  }
+  return list;
+}
+
+function catalogIndex(value, list, level) {
+  const idx = Number(value);
+  if (!Number.isInteger(idx) || idx < 0 || idx >= list.length) throw httpError(404, `No ${level} ${value}`);
+  return idx;
+}
+
+// fields from a request body; nested lists are managed through their own routes
+function catalogFields(body, level) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw httpError(400, `Send the ${level} fields as a JSON object`);
+  const children = CATALOG_LEVELS[level].children;
+  if (children && children.key in body && !Array.isArray(body[children.key])) throw httpError(400, `${children.key} must be an array`);
+  return body;
+}
+
+// run a catalog handler and map httpErrors (and schema .errors) to JSON responses
+function catalogRoute(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      if (!err.status) console.error('Catalog error', err);
+      res.status(err.status || 500).json({ error: err.message, errors: err.errors });
+    }
+  };
+}
+
+// GET /api/catalogs — catalog files with series counts and validation totals
+app.get('/api/catalogs', catalogRoute(async (req, res) => {
+  const names = await listCatalogFiles();
+  const catalogs = await Promise.all(names.map(async name => {
+    try {
+      const series = await readCatalog(name);
+      return { name, series: series.length, errors: validateCatalog(series).length, emptyFields: catalogWarnings(series).length };
+    } catch (err) {
+      return { name, error: err.message };
+    }
+  }));
+  res.json({ catalogs });
+}));
+
+// POST /api/catalogs { name } — new empty catalog file, added to index.json
+app.post('/api/catalogs', auth.requireAdmin, catalogRoute(async (req, res) => {
+  const name = String((req.body || {}).name || '');
+  if (!isCatalogName(name)) throw httpError(400, 'name must look like "series.json" (letters, digits, _ and -)');
+  const file = path.join(__dirname, name);
+  await writeFile(file, '[]\n', { flag: 'wx' }).catch(err => {
+    throw err.code === 'EEXIST' ? httpError(409, `${name} already exists`) : err;
   });
+  const files = await rebuildCatalogIndex();
+  res.status(201).json({ name, catalogs: files });
+}));
+
+// GET /api/catalogs/:catalog — the whole catalog
+app.get('/api/catalogs/:catalog', catalogRoute(async (req, res) => {
+  res.json(await readCatalog(req.params.catalog));
+}));
+
+// DELETE /api/catalogs/:catalog — remove an empty catalog (force=true for one with series) from disk and index.json
+app.delete('/api/catalogs/:catalog', auth.requireAdmin, catalogRoute(async (req, res) => {
+  const name = req.params.catalog;
+  const series = await readCatalog(name);
+  if (series.length && req.query.force !== 'true') throw httpError(409, `${name} still has ${series.length} series (pass force=true to delete it anyway)`);
+  await unlink(await catalogPath(name));
+  const files = await rebuildCatalogIndex();
+  res.json({ deleted: name, catalogs: files });
+}));
+
+// GET /api/catalogs/:catalog/validate — schema errors and entries with an empty video / "Url Thumb"
+app.get('/api/catalogs/:catalog/validate', catalogRoute(async (req, res) => {
+  const series = await readCatalog(req.params.catalog);
+  const errors = validateCatalog(series);
+  res.json({ catalog: req.params.catalog, valid: errors.length === 0, errors, emptyFields: catalogWarnings(series) });
+}));
+
+for (const route of CATALOG_ROUTES) {
+  const listPath = `/api/catalogs/:catalog${route.list}`;
+  const entryPath = `${listPath}/:${route.level}`;
+
+  app.post(listPath, auth.requireAdmin, catalogRoute(async (req, res) => {
+    const fields = catalogFields(req.body, route.level);
+    const created = await updateCatalog(req.params.catalog, series => {
+      const list = catalogList(series, req.params, route);
+      const entry = { ...blankEntry(route.level), ...fields };
+      list.push(entry);
+      return { index: list.length - 1, entry };
+    });
+    res.status(201).json({ index: created.index, [route.level]: created.entry });
+  }));
+
+  app.get(entryPath, catalogRoute(async (req, res) => {
+    const list = catalogList(await readCatalog(req.params.catalog), req.params, route);
+    res.json(list[catalogIndex(req.params[route.level], list, route.level)]);
+  }));
+
+  app.patch(entryPath, auth.requireAdmin, catalogRoute(async (req, res) => {
+    const fields = catalogFields(req.body, route.level);
+    const entry = await updateCatalog(req.params.catalog, series => {
+      const list = catalogList(series, req.params, route);
+      const current = list[catalogIndex(req.params[route.level], list, route.level)];
+      for (const [key, value] of Object.entries(fields)) {
+        if (value === null) delete current[key];
+        else current[key] = value;
+      }
+      return current;
+    });
+    res.json({ [route.level]: entry });
+  }));
+
+  app.delete(entryPath, auth.requireAdmin, catalogRoute(async (req, res) => {
+    const removed = await updateCatalog(req.params.catalog, series => {
+      const list = catalogList(series, req.params, route);
+      return list.splice(catalogIndex(req.params[route.level], list, route.level), 1)[0];
+    });
+    res.json({ deleted: removed });
+  }));
+}
+
+// ---- episode tracks ----
+// POST   .../episodes/:episode/subtitles         multipart: files (one SRT / ASS / WebVTT file), lang, label?,
+//                                                kind? (subtitles | captions), offset? (seconds), encoding?, format?
+//        converted to WebVTT (subtitles.js); replaces the episode's subtitle with the same lang and kind
+// DELETE .../episodes/:episode/subtitles/:lang[?kind]   DELETE .../episodes/:episode/audio/:lang
+// Embedded tracks are extracted with POST /api/tracks. Like the other catalog writes, these need an admin key.
+const EPISODE_PATH = '/api/catalogs/:catalog/series/:series/seasons/:season/episodes/:episode';
+
+// { catalog, series, season, episode } of an existing episode from route params (404 otherwise)
+async function routeEpisode(params) {
+  const series = await readCatalog(params.catalog);
+  const route = CATALOG_ROUTES.find(r => r.level === 'episode');
+  catalogIndex(params.episode, catalogList(series, params, route), 'episode');
+  return { catalog: params.catalog, series: Number(params.series), season: Number(params.season), episode: Number(params.episode) };
+}
+
+app.post(`${EPISODE_PATH}/subtitles`, auth.requireAdmin, uploads.array('files', { types: SUBTITLE_TYPES, maxFiles: 1 }), catalogRoute(async (req, res) => {
+  const body = req.body || {};
+  const file = (req.files || [])[0];
+  if (!file) throw httpError(400, req.rejectedFiles && req.rejectedFiles.length ? req.rejectedFiles[0].error : 'Send the subtitle file in the "files" field');
+  const lang = String(body.lang || '');
+  if (!isLanguageCode(lang)) throw httpError(400, 'lang must be a language code (fr, en, pt-BR)');
+  const kind = String(body.kind || 'subtitles');
+  if (!SUBTITLE_KINDS.includes(kind)) throw httpError(400, `kind must be one of ${SUBTITLE_KINDS.join(', ')}`);
+  const target = await routeEpisode(req.params);
+
+  const converted = convertSubtitles(await readFile(file.path), { offset: body.offset, encoding: body.encoding, format: body.format });
+  const key = episodeKey(target);
+  const fileName = `${lang}${kind === 'captions' ? '.captions' : ''}.vtt`;
+  await mkdir(path.join(tracksDir, key), { recursive: true });
+  await writeFileAtomic(path.join(tracksDir, key, fileName), converted.vtt);
+  const track = { lang, label: String(body.label || lang), kind, src: `/outputs/tracks/${key}/${fileName}`, origin: 'upload' };
+  const replaced = await setEpisodeTracks(target, 'subtitles', [track], t => t.lang === lang && (t.kind || 'subtitles') === kind);
+  await removeTrackFiles(replaced, [track]);
+  res.status(201).json({ track, format: converted.format, encoding: converted.encoding, cues: converted.cues });
+}));
+
+for (const list of ['subtitles', 'audio']) {
+  app.delete(`${EPISODE_PATH}/${list}/:lang`, auth.requireAdmin, catalogRoute(async (req, res) => {
+    const target = await routeEpisode(req.params);
+    const { lang } = req.params;
+    const kind = req.query.kind;
+    const removed = await setEpisodeTracks(target, list, [], t => t.lang === lang && (!kind || (t.kind || 'subtitles') === kind));
+    if (!removed.length) throw httpError(404, `No ${list} track "${lang}"${kind ? ` (${kind})` : ''} on this episode`);
+    await removeTrackFiles(removed);
+    res.json({ deleted: removed });
+  }));
+}
+
+// ---- watch progress ----
+// Playback positions per session client id (watch.js) for the TF-Stream page. Episodes are addressed by
+// catalog (default: the first in index.json) and series / season / episode indexes, as in the catalog routes.
+// POST   /api/progress { catalog?, series, season, episode, position, duration?, completed?, at? }
+// GET    /api/progress[?catalog&series&season&episode]   recorded entries (position, duration, completed)
+// DELETE /api/progress[?catalog&series&season&episode]   forget them
+// GET    /api/progress/continue[?limit]                  "continue watching": resume or next episode per series
+// GET    /api/progress/next?catalog&series&season&episode  the following episode, across seasons (or null)
+const watchProgress = createWatchProgress({
+  file: path.join(__dirname, 'jobs', 'watch-progress.json'),
+  completeRatio: Math.min(1, Math.max(0.5, Number(process.env.WATCH_COMPLETE_PERCENT || 90) / 100)),
+  idleDays: Number(process.env.WATCH_PROGRESS_IDLE_DAYS || 180),
+  maxEntriesPerUser: Number(process.env.WATCH_PROGRESS_MAX_ENTRIES || 500)
+});
+
+function watchUser(req) {
+  if (!req.auth.clientId) throw httpError(401, 'Watch progress needs a session token (GET /session first)');
+  return req.auth.clientId;
+}
+
+// { catalog, series, season, episode } from a body or query; with `exact` every index must name an existing
+// entry, otherwise missing indexes stay null (filters)
+async function episodeAddress(source, exact) {
+  const catalog = source.catalog || (await listCatalogFiles())[0];
+  const series = await readCatalog(catalog);
+  const address = { catalog, series: null, season: null, episode: null };
+  let list = series;
+  for (const [level, key] of [['series', 'Saisons'], ['season', 'episodes'], ['episode', null]]) {
+    const value = source[level];
+    if (value === undefined || value === '' || value === null) {
+      if (exact) throw httpError(400, `${level} index is required`);
+      break;
+    }
+    const idx = catalogIndex(value, list || [], level);
+    address[level] = idx;
+    list = key ? list[idx][key] : null;
+  }
+  return { address, series };
+}
+
+app.post('/api/progress', catalogRoute(async (req, res) => {
+  const user = watchUser(req);
+  const body = req.body || {};
+  const { address } = await episodeAddress(body, true);
+  const position = Number(body.position);
+  const duration = body.duration === undefined || body.duration === null ? null : Number(body.duration);
+  if (!Number.isFinite(position) || position < 0) throw httpError(400, 'position must be a number of seconds');
+  if (duration !== null && !(Number.isFinite(duration) && duration > 0)) throw httpError(400, 'duration must be a positive number of seconds');
+  if (body.completed !== undefined && typeof body.completed !== 'boolean') throw httpError(400, 'completed must be true or false');
+  const at = body.at === undefined ? Date.now() : new Date(body.at).getTime();
+  if (!Number.isFinite(at)) throw httpError(400, 'at must be a timestamp');
+  // queued offline updates carry the time they were made; clock skew must not push one into the future
+  res.json(watchProgress.record(user, address, { position, duration, completed: body.completed, at: Math.min(at, Date.now()) }));
+}));
+
+app.get('/api/progress', catalogRoute(async (req, res) => {
+  const user = watchUser(req);
+  const filter = req.query.catalog || req.query.series !== undefined ? (await episodeAddress(req.query, false)).address : {};
+  res.json({ entries: watchProgress.entries(user, filter) });
+}));
+
+app.delete('/api/progress', catalogRoute(async (req, res) => {
+  const user = watchUser(req);
+  const filter = req.query.catalog || req.query.series !== undefined ? (await episodeAddress(req.query, false)).address : {};
+  res.json({ removed: watchProgress.remove(user, filter) });
+}));
+
+app.get('/api/progress/continue', catalogRoute(async (req, res) => {
+  const user = watchUser(req);
+  const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+  res.json({ items: await watchProgress.continueWatching(user, readCatalog, limit) });
+}));
+
+app.get('/api/progress/next', catalogRoute(async (req, res) => {
+  const user = watchUser(req);
+  const { address, series } = await episodeAddress(req.query, true);
+  const next = nextEpisode(series[address.series], address.season, address.episode);
+  if (!next) return res.json({ next: null });
+  const target = { ...address, ...next };
+  const ep = series[address.series].Saisons[next.season].episodes[next.episode];
+  res.json({ next: { ...target, description: ep.description || '', video: ep.video || '', progress: watchProgress.entries(user, target)[0] || null } });
+}));
+
+// ---- resumable uploads ----
+// All of these need a session token; an upload belongs to the token's client id.
+// POST   /api/uploads { name, size }                   start an upload        -> 201 { id, offset: 0, ... }
+// GET    /api/uploads                                  this session's unfinished uploads
+// GET    /api/uploads/:uploadId                        where to resume (offset; also HEAD with Upload-Offset)
+// PATCH  /api/uploads/:uploadId                        raw bytes at header Upload-Offset -> { offset }; 409 + offset on mismatch
+// DELETE /api/uploads/:uploadId                        give up
+// POST   /api/uploads/finalize { uploads: [id|null...], kind: compress|transcode, ...settings, callbackUrl? }
+//        hands the complete uploads to a job, in order (null keeps a slot for a file the client gave up on)
+//        409 when an upload is incomplete or another finalize request already holds it
+function resumableRoute(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res, req.auth.clientId);
+    } catch (err) {
+      if (!err.status) console.error('Upload error', err);
+      if (err.offset !== undefined) res.setHeader('Upload-Offset', String(err.offset));
+      if (err.retryAfter) res.setHeader('Retry-After', String(err.retryAfter));
+      res.status(err.status || 500).json({ error: err.message, offset: err.offset });
+    }
+  };
+}
+
+app.post('/api/uploads', resumableRoute(async (req, res, clientId) => {
+  const upload = await resumable.create(clientId, req.body || {});
+  res.status(201).json({ ...upload, url: `/api/uploads/${upload.id}` });
+}));
+
+app.get('/api/uploads', resumableRoute(async (req, res, clientId) => {
+  res.json({ uploads: await resumable.list(clientId) });
+}));
+
+app.post('/api/uploads/finalize', resumableRoute(async (req, res, clientId) => {
+  const body = req.body || {};
+  const kind = body.kind || 'compress';
+  const ids = Array.isArray(body.uploads) ? body.uploads : [];
+  if (!['compress', 'transcode'].includes(kind)) throw httpError(400, 'kind must be compress or transcode');
+  if (!ids.some(Boolean)) throw httpError(400, 'uploads must list at least one upload id');
+  const settings = kind === 'compress' ? parseImageOptions(body) : { quality: null, options: parseTranscodeOptions(body) };
+  const types = kind === 'compress' ? IMAGE_UPLOAD_TYPES : VIDEO_UPLOAD_TYPES;
+  const callback = await callbacks.parse(body);
+
+  // an incomplete upload, or one another finalize request holds (409), fails the whole request (the client should
+  // finish it first); a wrong type only that file. Uploads still claimed when the request ends are unclaimed.
+  const settled = await Promise.allSettled(ids.map(id => (id ? resumable.take(id, clientId) : null)));
+  const taken = settled.map(s => s.value || null);
+  try {
+    const failed = settled.find(s => s.status === 'rejected');
+    if (failed) throw failed.reason;
+    const files = [];
+    const rejected = [];
+    taken.forEach((f, index) => {
+      if (!f) rejected.push({ index, name: `file_${index}`, size: 0, error: 'upload was not completed' });
+      else if (!types.includes(f.detectedType)) rejected.push({ index, name: f.originalname, size: f.size, error: typeRejection(f.detectedType, types) });
+      else files.push({ ...f, index });
+    });
+    // over quota: nothing is released, so the uploads can still be finalized later
+    if (files.length) auth.charge(req.auth, { files: files.length, bytes: files.reduce((n, f) => n + f.size, 0) });
+    await Promise.all(taken.filter(f => f && !files.some(a => a.uploadId === f.uploadId)).map(f => resumable.release(f.uploadId)));
+    if (!files.length) return rejectAllUploads(res, clientId, rejected);
+
+    const job = await createJob(kind, clientId, files, { quality: settings.quality, options: settings.options, rejected, owner: req.auth.name, callback });
+    await Promise.all(files.map(f => resumable.release(f.uploadId)));
+    res.status(202).json({ success: true, jobId: job.id, status: job.status, statusUrl: `/api/jobs/${job.id}`, rejected });
+  } finally {
+    taken.forEach(f => f && resumable.unclaim(f.uploadId));
+  }
+}));
+
+app.head('/api/uploads/:uploadId', resumableRoute(async (req, res, clientId) => {
+  const upload = await resumable.status(req.params.uploadId, clientId);
+  res.set({ 'Upload-Offset': String(upload.offset), 'Upload-Length': String(upload.size), 'Cache-Control': 'no-store' }).end();
+}));
+
+app.get('/api/uploads/:uploadId', resumableRoute(async (req, res, clientId) => {
+  const upload = await resumable.status(req.params.uploadId, clientId);
+  res.set({ 'Upload-Offset': String(upload.offset), 'Cache-Control': 'no-store' }).json(upload);
+}));
+
+app.patch('/api/uploads/:uploadId', resumableRoute(async (req, res, clientId) => {
+  const offset = req.headers['upload-offset'];
+  if (offset === undefined || !/^\d+$/.test(offset)) throw httpError(400, 'Upload-Offset header is required');
+  const upload = await resumable.append(req.params.uploadId, clientId, Number(offset), req);
+  res.set('Upload-Offset', String(upload.offset)).json(upload);
+}));
+
+app.delete('/api/uploads/:uploadId', resumableRoute(async (req, res, clientId) => {
+  await resumable.remove(req.params.uploadId, clientId);
+  res.json({ deleted: req.params.uploadId });
+}));
+
+// GET /api/batches/:id/archive — every output of a batch (compress / transcode job) streamed as one ZIP
+app.get('/api/batches/:id/archive', async (req, res) => {
+  const job = callerJob(req);
+  if (!job) return res.status(404).json({ error: 'Batch not found (it may have expired)' });
+  const outputs = jobResults(job).flatMap(r => r.renditions || []).filter(r => r.format !== 'hls');
+  if (!outputs.length) return res.status(404).json({ error: `Batch has no outputs${job.finishedAt ? '' : ' yet'}` });
+
+  const archiver = require('archiver');
+  const zip = archiver('zip', { store: true }); // images and MP4s are already compressed
+  zip.on('warning', err => console.warn('Archive warning', job.id, err.message));
+  zip.on('error', err => { console.error('Archive error', job.id, err); res.destroy(err); });
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="batch-${job.id.slice(0, 8)}.zip"`);
+  zip.pipe(res);
+  const closed = new Promise(resolve => res.on('close', resolve));
+  let aborted = false;
+  closed.then(() => { if (!res.writableFinished) { aborted = true; zip.abort(); } });
+
+  // one source stream open at a time; entries are named without the timestamp prefix
+  const names = new Set();
+  for (const r of outputs) {
+    if (aborted) return;
+    let source;
+    try {
+      const local = r.key ? null : resolveMediaSource(r.outPath);
+      if (!r.key && (!local || /^https?:/i.test(local))) continue;
+      source = r.key ? await storage.read(r.key) : (await fs.promises.access(local), fs.createReadStream(local));
+    } catch (err) {
+      console.warn('Archive: skipping missing output', r.outPath);
+      continue;
+    }
+    let name = path.basename(r.key || r.outPath).replace(/^\d{13}_/, '');
+    for (let n = 2; names.has(name); n++) name = name.replace(/(?:~\d+)?(\.[^.]*)?$/, `~${n}$1`);
+    names.add(name);
+    const added = new Promise(resolve => zip.once('entry', resolve));
+    zip.append(source, { name });
+    await Promise.race([added, closed]);
+  }
+  if (!aborted) await zip.finalize();
+});
+
+// ---- admin ----
+// GET /api/admin/usage[/:key] — files, bytes, jobs and requests per API key, with the key's limits (admin key only)
+app.get('/api/admin/usage', auth.requireAdmin, (req, res) => {
+  res.json({ keys: auth.usage() });
+});
+
+app.get('/api/admin/usage/:key', auth.requireAdmin, (req, res) => {
+  if (!auth.hasKey(req.params.key)) return res.status(404).json({ error: 'Unknown API key name' });
+  res.json(auth.usage(req.params.key)[0]);
+});
+
+// GET /api/admin/cache — result cache size and hit counts
+app.get('/api/admin/cache', auth.requireAdmin, (req, res) => {
+  res.json(resultCache.stats());
+});
 
-  return res.json({ success: true, results });
+// GET /api/admin/workers — image worker pool: busy / queued tasks, failures, timeouts and crashes
+app.get('/api/admin/workers', auth.requireAdmin, (req, res) => {
+  res.json(imagePool ? imagePool.stats() : { size: 0 });
 });
 
 app.get('/ping', (req, res) => res.send('pong'));
 
 app.listen(port, () => {
   console.log(`🚀 Compressor server running at http://localhost:${port}/`);
-  console.log(`Open frontend, GET /session then connect EventSource('/sse?id=...')`);
-  console.log(`CONCURRENCY=${CONCURRENCY}, PROGRESS_TICK_MS=${TICK_MS}`);
+  console.log(`Open frontend, GET /session, then connect EventSource('/sse?token=...')`);
+  console.log(`CONCURRENCY=${CONCURRENCY}`);
+  console.log(`IMAGE_WORKERS=${imagePool ? WORKER_POOL.size : 'off (main thread)'}`);
+  console.log(`STORAGE=${storage.name}${storage.expiringUrls ? ' (presigned links; set S3_PUBLIC_URL for catalog thumbnails)' : ''}`);
+  console.log(`AUTH=${auth.open ? 'open (no API keys configured)' : 'API keys'}`);
 });
@@ -0,0 +1,332 @@
+'use strict';
+
+// Image metadata policy, applied the same way whichever encoder (sharp or Jimp) produced the pixels.
+// Encoders always write bare images (pixels already turned upright from the EXIF orientation); the
+// blocks the policy keeps are read from the source and written back into the output container:
+//   strip-all           nothing
+//   keep-color-profile  ICC profile only
+//   keep-all            ICC, EXIF and XMP, with orientation reset to 1 and GPS removed unless keepGps
+// JPEG, PNG and WebP outputs are supported; AVIF outputs are always bare.
+
+const zlib = require('zlib');
+
+const METADATA_POLICIES = ['strip-all', 'keep-color-profile', 'keep-all'];
+
+const JPEG_EXIF_ID = Buffer.from('Exif\0\0', 'latin1');
+const JPEG_XMP_ID = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+const JPEG_ICC_ID = Buffer.from('ICC_PROFILE\0', 'latin1');
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+const JPEG_SEGMENT_MAX = 65533; // payload bytes in one APPn segment
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_GPS_IFD = 0x8825;
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+// ---- reading ----
+
+function readJpegMetadata(buf) {
+  const found = { exif: null, icc: null, xmp: null };
+  const iccParts = [];
+  let pos = 2;
+  while (pos + 4 <= buf.length && buf[pos] === 0xff) {
+    const marker = buf[pos + 1];
+    if (marker === 0xda || marker === 0xd9) break; // image data starts
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { pos += 2; continue; }
+    const len = buf.readUInt16BE(pos + 2);
+    const data = buf.subarray(pos + 4, pos + 2 + len);
+    if (marker === 0xe1 && data.subarray(0, JPEG_EXIF_ID.length).equals(JPEG_EXIF_ID)) found.exif = Buffer.from(data.subarray(JPEG_EXIF_ID.length));
+    else if (marker === 0xe1 && data.subarray(0, JPEG_XMP_ID.length).equals(JPEG_XMP_ID)) found.xmp = data.subarray(JPEG_XMP_ID.length).toString('utf8');
+    else if (marker === 0xe2 && data.subarray(0, JPEG_ICC_ID.length).equals(JPEG_ICC_ID)) iccParts.push({ seq: data[12], data: data.subarray(14) });
+    pos += 2 + len;
+  }
+  if (iccParts.length) found.icc = Buffer.concat(iccParts.sort((a, b) => a.seq - b.seq).map(p => p.data));
+  return found;
+}
+
+function pngChunks(buf) {
+  const chunks = [];
+  for (let pos = PNG_SIGNATURE.length; pos + 12 <= buf.length;) {
+    const len = buf.readUInt32BE(pos);
+    chunks.push({ type: buf.toString('latin1', pos + 4, pos + 8), data: buf.subarray(pos + 8, pos + 8 + len) });
+    pos += 12 + len;
+  }
+  return chunks;
+}
+
+function readPngMetadata(buf) {
+  const found = { exif: null, icc: null, xmp: null };
+  for (const { type, data } of pngChunks(buf)) {
+    if (type === 'eXIf') found.exif = Buffer.from(data);
+    else if (type === 'iCCP') {
+      const nameEnd = data.indexOf(0);
+      try { found.icc = zlib.inflateSync(data.subarray(nameEnd + 2)); } catch (e) { /* unreadable profile */ }
+    } else if (type === 'iTXt') {
+      const keywordEnd = data.indexOf(0);
+      if (data.toString('latin1', 0, keywordEnd) !== PNG_XMP_KEYWORD) continue;
+      const compressed = data[keywordEnd + 1] === 1;
+      let pos = data.indexOf(0, keywordEnd + 3) + 1; // language tag
+      pos = data.indexOf(0, pos) + 1; // translated keyword
+      try { found.xmp = (compressed ? zlib.inflateSync(data.subarray(pos)) : data.subarray(pos)).toString('utf8'); } catch (e) { /* unreadable XMP */ }
+    }
+  }
+  return found;
+}
+
+function webpChunks(buf) {
+  const chunks = [];
+  for (let pos = 12; pos + 8 <= buf.length;) {
+    const size = buf.readUInt32LE(pos + 4);
+    chunks.push({ type: buf.toString('latin1', pos, pos + 4), data: buf.subarray(pos + 8, pos + 8 + size) });
+    pos += 8 + size + (size & 1);
+  }
+  return chunks;
+}
+
+function readWebpMetadata(buf) {
+  const found = { exif: null, icc: null, xmp: null };
+  for (const { type, data } of webpChunks(buf)) {
+    if (type === 'ICCP') found.icc = Buffer.from(data);
+    else if (type === 'EXIF') found.exif = Buffer.from(data.subarray(0, 6).equals(JPEG_EXIF_ID) ? data.subarray(6) : data);
+    else if (type === 'XMP ') found.xmp = data.toString('utf8');
+  }
+  return found;
+}
+
+function containerOf(buf) {
+  if (buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8) return 'jpeg';
+  if (buf.length > 8 && buf.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+  if (buf.length > 12 && buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  return null;
+}
+
+// EXIF / ICC / XMP blocks of a JPEG, PNG or WebP source, plus what the EXIF says about orientation and GPS
+function readMetadata(buf) {
+  const reader = { jpeg: readJpegMetadata, png: readPngMetadata, webp: readWebpMetadata }[containerOf(buf)];
+  const found = reader ? reader(buf) : { exif: null, icc: null, xmp: null };
+  const exif = found.exif && parseTiff(found.exif);
+  return { ...found, orientation: (exif && exif.orientation) || 1, hasGps: !!(exif && exif.gps) || /exif:GPS/.test(found.xmp || '') };
+}
+
+// ---- EXIF (TIFF structure) ----
+
+function parseTiff(tiff) {
+  if (tiff.length < 8) return null;
+  const le = tiff.toString('latin1', 0, 2) === 'II';
+  const u16 = o => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+  const u32 = o => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+  try {
+    const ifd0 = u32(4);
+    const count = u16(ifd0);
+    if (ifd0 + 6 + count * 12 > tiff.length) return null; // directory runs past the end
+    const result = { le, u16, u32, ifd0, count, orientation: null, orientationAt: null, gps: null };
+    for (let i = 0; i < count; i++) {
+      const at = ifd0 + 2 + i * 12;
+      const tag = u16(at);
+      if (tag === TAG_ORIENTATION) { result.orientation = u16(at + 8); result.orientationAt = at + 8; }
+      if (tag === TAG_GPS_IFD) result.gps = { entryIndex: i, offset: u32(at + 8) };
+    }
+    return result;
+  } catch (e) {
+    return null; // truncated or malformed EXIF
+  }
+}
+
+// copy of the EXIF block with orientation set to 1 and, unless keepGps, the GPS directory wiped and unlinked
+function cleanExif(exif, { keepGps }) {
+  const tiff = Buffer.from(exif);
+  const info = parseTiff(tiff);
+  if (!info) return null;
+  const { le, u16, u32, ifd0, count } = info;
+  const w16 = (v, o) => (le ? tiff.writeUInt16LE(v, o) : tiff.writeUInt16BE(v, o));
+  if (info.orientationAt !== null) w16(1, info.orientationAt);
+  if (info.gps && !keepGps) {
+    // zero the GPS values and directory so no coordinates stay behind in the bytes
+    const gpsIfd = info.gps.offset;
+    if (gpsIfd + 2 <= tiff.length) {
+      const n = u16(gpsIfd);
+      for (let i = 0; i < n; i++) {
+        const at = gpsIfd + 2 + i * 12;
+        if (at + 12 > tiff.length) break;
+        const bytes = (TIFF_TYPE_SIZES[u16(at + 2)] || 1) * u32(at + 4);
+        if (bytes > 4 && u32(at + 8) < tiff.length) tiff.fill(0, u32(at + 8), Math.min(tiff.length, u32(at + 8) + bytes));
+      }
+      tiff.fill(0, gpsIfd, Math.min(tiff.length, gpsIfd + 6 + n * 12));
+    }
+    // drop the pointer entry from IFD0 (later entries and the next-IFD offset move up)
+    const entryAt = ifd0 + 2 + info.gps.entryIndex * 12;
+    const end = ifd0 + 2 + count * 12 + 4;
+    tiff.copy(tiff, entryAt, entryAt + 12, end);
+    tiff.fill(0, end - 12, end);
+    w16(count - 1, ifd0);
+  }
+  return tiff;
+}
+
+// XMP with GPS properties removed (unless keepGps) and orientation reset
+function cleanXmp(xmp, { keepGps }) {
+  let out = xmp
+    .replace(/(tiff:Orientation=")\d+"/g, '$11"')
+    .replace(/(<tiff:Orientation>)\d+(<\/tiff:Orientation>)/g, '$11$2');
+  if (!keepGps) {
+    out = out
+      .replace(/\s+exif(?:EX)?:GPS\w+="[^"]*"/g, '')
+      .replace(/<exif(?:EX)?:(GPS\w+)[^>]*?\/>/g, '')
+      .replace(/<exif(?:EX)?:(GPS\w+)[^>]*>[\s\S]*?<\/exif(?:EX)?:\1>/g, '');
+  }
+  return out;
+}
+
+// ---- writing ----
+
+function jpegSegment(marker, ...parts) {
+  const payload = Buffer.concat(parts);
+  const head = Buffer.alloc(4);
+  head[0] = 0xff;
+  head[1] = marker;
+  head.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([head, payload]);
+}
+
+function writeJpegMetadata(buf, { exif, icc, xmp }) {
+  const segments = [];
+  if (exif) segments.push(jpegSegment(0xe1, JPEG_EXIF_ID, exif));
+  if (xmp) segments.push(jpegSegment(0xe1, JPEG_XMP_ID, Buffer.from(xmp, 'utf8')));
+  if (icc) {
+    const partSize = JPEG_SEGMENT_MAX - 2 - JPEG_ICC_ID.length - 2;
+    const total = Math.ceil(icc.length / partSize);
+    for (let i = 0; i < total; i++) {
+      segments.push(jpegSegment(0xe2, JPEG_ICC_ID, Buffer.from([i + 1, total]), icc.subarray(i * partSize, (i + 1) * partSize)));
+    }
+  }
+  // keep SOI and a leading JFIF APP0, drop any APP1/APP2 the encoder wrote, insert ours
+  const head = [buf.subarray(0, 2)];
+  const rest = [];
+  let pos = 2;
+  while (pos + 4 <= buf.length && buf[pos] === 0xff && buf[pos + 1] >= 0xe0 && buf[pos + 1] <= 0xef) {
+    const len = buf.readUInt16BE(pos + 2);
+    const segment = buf.subarray(pos, pos + 2 + len);
+    if (buf[pos + 1] === 0xe0 && !rest.length) head.push(segment);
+    else if (buf[pos + 1] !== 0xe1 && buf[pos + 1] !== 0xe2) rest.push(segment);
+    pos += 2 + len;
+  }
+  return Buffer.concat([...head, ...segments, ...rest, buf.subarray(pos)]);
+}
+
+let crcTable = null;
+function crc32(buf) {
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c;
+    }
+  }
+  let crc = -1;
+  for (let i = 0; i < buf.length; i++) crc = crcTable[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])));
+  return Buffer.concat([head, data, crc]);
+}
+
+function writePngMetadata(buf, { exif, icc, xmp }) {
+  const added = [];
+  if (icc) added.push(pngChunk('iCCP', Buffer.concat([Buffer.from('icc\0\0', 'latin1'), zlib.deflateSync(icc)])));
+  if (exif) added.push(pngChunk('eXIf', exif));
+  if (xmp) added.push(pngChunk('iTXt', Buffer.concat([Buffer.from(`${PNG_XMP_KEYWORD}\0\0\0\0\0`, 'latin1'), Buffer.from(xmp, 'utf8')])));
+  const drop = new Set(['eXIf', 'iCCP', ...(icc ? ['sRGB'] : [])]);
+  const out = [PNG_SIGNATURE];
+  for (const { type, data } of pngChunks(buf)) {
+    if (drop.has(type) || (type === 'iTXt' && data.toString('latin1', 0, PNG_XMP_KEYWORD.length + 1) === `${PNG_XMP_KEYWORD}\0`)) continue;
+    out.push(pngChunk(type, data));
+    if (type === 'IHDR') out.push(...added);
+  }
+  return Buffer.concat(out);
+}
+
+function webpChunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.write(type, 0, 'latin1');
+  head.writeUInt32LE(data.length, 4);
+  return Buffer.concat([head, data, data.length & 1 ? Buffer.alloc(1) : Buffer.alloc(0)]);
+}
+
+// canvas size and alpha of a simple (VP8 / VP8L) WebP bitstream
+function webpBitstreamInfo(chunks) {
+  const vp8l = chunks.find(c => c.type === 'VP8L');
+  if (vp8l) {
+    const bits = vp8l.data.readUInt32LE(1);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1, alpha: !!((bits >>> 28) & 1) };
+  }
+  const vp8 = chunks.find(c => c.type === 'VP8 ');
+  return { width: vp8.data.readUInt16LE(6) & 0x3fff, height: vp8.data.readUInt16LE(8) & 0x3fff, alpha: chunks.some(c => c.type === 'ALPH') };
+}
+
+function writeWebpMetadata(buf, { exif, icc, xmp }) {
+  const chunks = webpChunks(buf).filter(c => !['ICCP', 'EXIF', 'XMP '].includes(c.type));
+  let vp8x = chunks.find(c => c.type === 'VP8X');
+  const imageChunks = chunks.filter(c => c !== vp8x);
+  if (!vp8x) {
+    const { width, height, alpha } = webpBitstreamInfo(imageChunks);
+    const data = Buffer.alloc(10);
+    data[0] = alpha ? 0x10 : 0;
+    data.writeUIntLE(width - 1, 4, 3);
+    data.writeUIntLE(height - 1, 7, 3);
+    vp8x = { type: 'VP8X', data };
+  } else {
+    vp8x = { type: 'VP8X', data: Buffer.from(vp8x.data) };
+  }
+  vp8x.data[0] = (vp8x.data[0] & ~0x2c) | (icc ? 0x20 : 0) | (exif ? 0x08 : 0) | (xmp ? 0x04 : 0);
+  const body = Buffer.concat([
+    webpChunk('VP8X', vp8x.data),
+    icc ? webpChunk('ICCP', icc) : Buffer.alloc(0),
+    ...imageChunks.map(c => webpChunk(c.type, c.data)),
+    exif ? webpChunk('EXIF', exif) : Buffer.alloc(0),
+    xmp ? webpChunk('XMP ', Buffer.from(xmp, 'utf8')) : Buffer.alloc(0)
+  ]);
+  const head = Buffer.alloc(12);
+  head.write('RIFF', 0, 'latin1');
+  head.writeUInt32LE(body.length + 4, 4);
+  head.write('WEBP', 8, 'latin1');
+  return Buffer.concat([head, body]);
+}
+
+// ---- policy ----
+
+// write the blocks `policy` keeps from `source` (readMetadata result) into an encoded image.
+// Returns { buffer, metadata: { policy, orientation, kept, removed } } — kept/removed list exif, gps, icc, xmp.
+function applyMetadataPolicy(buffer, source, { policy = 'keep-color-profile', keepGps = false } = {}) {
+  const present = ['exif', 'icc', 'xmp'].filter(k => source && source[k]);
+  if (source && source.hasGps) present.push('gps');
+  const report = { policy, orientation: (source && source.orientation) || 1, kept: [], removed: [] };
+  const keep = { exif: null, icc: null, xmp: null };
+  const container = containerOf(buffer);
+
+  if (source && container) {
+    if (policy !== 'strip-all' && source.icc) keep.icc = source.icc;
+    if (policy === 'keep-all') {
+      if (source.exif) keep.exif = cleanExif(source.exif, { keepGps });
+      if (source.xmp) keep.xmp = cleanXmp(source.xmp, { keepGps });
+      if (container === 'jpeg' && keep.exif && keep.exif.length > JPEG_SEGMENT_MAX - JPEG_EXIF_ID.length) keep.exif = null;
+      if (container === 'jpeg' && keep.xmp && Buffer.byteLength(keep.xmp) > JPEG_SEGMENT_MAX - JPEG_XMP_ID.length) keep.xmp = null;
+    }
+  }
+  const writer = { jpeg: writeJpegMetadata, png: writePngMetadata, webp: writeWebpMetadata }[container];
+  const out = writer && (keep.exif || keep.icc || keep.xmp) ? writer(buffer, keep) : buffer;
+
+  for (const key of present) {
+    const kept = key === 'gps' ? policy === 'keep-all' && keepGps && !!(keep.exif || keep.xmp) : !!keep[key];
+    (kept ? report.kept : report.removed).push(key);
+  }
+  return { buffer: out, metadata: report };
+}
+
+module.exports = { METADATA_POLICIES, readMetadata, applyMetadataPolicy };
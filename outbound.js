@@ -0,0 +1,58 @@
+'use strict';
+
+// Checks for URLs that this server fetches on a caller's behalf (transcode inputs, batch callbacks), so a caller
+// cannot point it back into its own network: hosts resolving to loopback, link-local (cloud metadata), private
+// or other non-public addresses are refused. An allow-list (MEDIA_ALLOWED_HOSTS, WEBHOOK_ALLOWED_HOSTS) limits
+// the URLs to its hosts instead, which may then be internal ones.
+
+const dns = require('dns');
+const net = require('net');
+
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]].forEach(([prefix, bits]) => NON_PUBLIC_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]].forEach(([prefix, bits]) => NON_PUBLIC_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+function statusError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// "a.example, B.example" -> ['a.example', 'b.example']
+function hostList(value) {
+  return String(value || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+}
+
+function isPublicAddress(address, family = net.isIP(address)) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address); // IPv4-mapped IPv6
+  if (mapped) return !NON_PUBLIC_ADDRESSES.check(mapped[1], 'ipv4');
+  return !NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// the parsed URL when it may be fetched; throws a 400 error otherwise. `setting` names the allow-list in messages
+async function checkOutboundUrl(value, { allowedHosts = [], setting = 'allow-list', label = 'URL' } = {}) {
+  let url = null;
+  try { url = new URL(String(value)); } catch (e) { /* reported below */ }
+  if (!url || !/^https?:$/.test(url.protocol)) throw statusError(400, `${label} must be an absolute http(s) URL: ${value}`);
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (allowedHosts.length) {
+    if (!allowedHosts.includes(host)) throw statusError(400, `${label} host "${host}" is not allowed (${setting})`);
+    return url;
+  }
+  const addresses = await dns.promises.lookup(host, { all: true }).catch(() => {
+    throw Object.assign(statusError(400, `Cannot resolve the host of ${value}`), { unresolved: true });
+  });
+  if (!addresses.every(a => isPublicAddress(a.address, a.family))) throw statusError(400, `${label} host "${host}" is not a public address`);
+  return url;
+}
+
+// Content-Length from a HEAD request (redirects are not followed); 0 when it cannot be told within timeoutMs
+async function contentLength(url, timeoutMs = 5000) {
+  try {
+    const res = await fetch(url, { method: 'HEAD', redirect: 'manual', signal: AbortSignal.timeout(timeoutMs) });
+    return res.ok ? Number(res.headers.get('content-length')) || 0 : 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+module.exports = { checkOutboundUrl, isPublicAddress, hostList, contentLength };
@@ -0,0 +1,155 @@
+'use strict';
+
+// A small worker_threads pool for CPU-bound work. Tasks go to an idle worker (started on demand, up to `size`)
+// or wait in a queue. A task that runs past taskTimeoutMs, or whose worker dies (uncaught error, out of memory
+// under maxMemoryMb, native crash), is rejected and the worker replaced; the other tasks carry on.
+// Buffers in results are transferred rather than copied, and so are the arguments' buffers of a task run with
+// { transfer: true } (the caller's buffers are detached, so only for inputs it no longer needs). Structured
+// cloning turns Buffers into plain Uint8Arrays, so they are turned back into Buffers on both sides.
+
+const { Worker, parentPort } = require('worker_threads');
+
+// Uint8Arrays (not other typed arrays) back to Buffers, in arrays and plain objects
+function revive(value) {
+  if (value instanceof Uint8Array) return Buffer.isBuffer(value) ? value : Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  if (Array.isArray(value)) return value.map(revive);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, revive(v)]));
+  }
+  return value;
+}
+
+// collect the ArrayBuffers of a result (or of transferred arguments) into `list`; views of a shared or larger buffer (e.g. Node's Buffer pool)
+// are copied first, since transferring would detach memory other objects still use
+function transferable(value, list) {
+  if (ArrayBuffer.isView(value) && value.BYTES_PER_ELEMENT === 1) {
+    if (value.buffer instanceof ArrayBuffer && value.byteOffset === 0 && value.byteLength === value.buffer.byteLength) {
+      if (!list.includes(value.buffer)) list.push(value.buffer);
+      return value;
+    }
+    const copy = new Uint8Array(value.byteLength);
+    copy.set(new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+    list.push(copy.buffer);
+    return Buffer.isBuffer(value) ? Buffer.from(copy.buffer) : new value.constructor(copy.buffer);
+  }
+  if (Array.isArray(value)) return value.map(v => transferable(v, list));
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, transferable(v, list)]));
+  }
+  return value;
+}
+
+// WORKER_POOL_SIZE workers (defaultSize when unset; 0 means no pool). A task past WORKER_TASK_TIMEOUT_SECONDS
+// or a worker past WORKER_MAX_MEMORY_MB fails that task only.
+function workerPoolConfigFromEnv(env = process.env, defaultSize = 2) {
+  return {
+    size: Math.max(0, Number(env.WORKER_POOL_SIZE ?? defaultSize)),
+    taskTimeoutMs: Math.max(0, Number(env.WORKER_TASK_TIMEOUT_SECONDS ?? 120)) * 1000,
+    maxMemoryMb: Math.max(0, Number(env.WORKER_MAX_MEMORY_MB || 0))
+  };
+}
+
+// file: worker script that calls serveTasks(); size: most workers at once
+function createWorkerPool({ file, size, taskTimeoutMs = 0, maxMemoryMb = 0 }) {
+  const workers = new Set();
+  const idle = [];
+  const queue = [];
+  const counts = { completed: 0, failed: 0, timedOut: 0, crashed: 0 };
+  let nextId = 1;
+  let closed = false;
+
+  function spawn() {
+    const worker = new Worker(file, { resourceLimits: maxMemoryMb > 0 ? { maxOldGenerationSizeMb: maxMemoryMb } : undefined });
+    worker.current = null;
+    worker.on('message', ({ id, result, error }) => {
+      const task = worker.current;
+      if (!task || task.id !== id) return;
+      clearTimeout(task.timer);
+      worker.current = null;
+      worker.unref(); // idle workers do not keep the process alive
+      idle.push(worker);
+      if (error) {
+        counts.failed++;
+        task.reject(Object.assign(new Error(error.message), error));
+      } else {
+        counts.completed++;
+        task.resolve(revive(result));
+      }
+      drain();
+    });
+    worker.on('error', err => retire(worker, new Error(`Worker crashed: ${err.message}`), 'crashed'));
+    worker.on('exit', code => retire(worker, new Error(`Worker exited with code ${code}`), 'crashed'));
+    workers.add(worker);
+    return worker;
+  }
+
+  // drop a dead, stuck or crashed worker; its task (if any) fails and the queue moves on with a new worker
+  function retire(worker, err, outcome) {
+    if (!workers.delete(worker)) return;
+    const at = idle.indexOf(worker);
+    if (at >= 0) idle.splice(at, 1);
+    const task = worker.current;
+    worker.current = null;
+    worker.terminate().catch(() => {});
+    if (task) {
+      clearTimeout(task.timer);
+      counts[outcome]++;
+      task.reject(err);
+    }
+    drain();
+  }
+
+  function drain() {
+    while (!closed && queue.length) {
+      const worker = idle.pop() || (workers.size < size ? spawn() : null);
+      if (!worker) break;
+      const task = queue.shift();
+      worker.current = task;
+      worker.ref();
+      if (taskTimeoutMs > 0) {
+        task.timer = setTimeout(() => retire(worker, new Error(`${task.name} timed out after ${taskTimeoutMs / 1000}s`), 'timedOut'), taskTimeoutMs);
+      }
+      worker.postMessage({ id: task.id, name: task.name, args: task.args }, task.transferList);
+    }
+  }
+
+  return {
+    // run a task exported by the worker script; the result's buffers are transferred back. Arguments are copied,
+    // or with transfer their buffers move to the worker and are detached here
+    run(name, args = [], { transfer = false } = {}) {
+      if (closed) return Promise.reject(new Error('Worker pool is closed'));
+      const transferList = [];
+      if (transfer) args = transferable(args, transferList);
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, name, args, transferList, resolve, reject, timer: null });
+        drain();
+      });
+    },
+
+    stats() {
+      return { size, workers: workers.size, busy: workers.size - idle.length, queued: queue.length, ...counts };
+    },
+
+    async close() {
+      closed = true;
+      for (const task of queue.splice(0)) task.reject(new Error('Worker pool is closed'));
+      await Promise.all([...workers].map(w => w.terminate()));
+    }
+  };
+}
+
+// worker side: answer { id, name, args } messages by calling tasks[name](...args)
+function serveTasks(tasks) {
+  parentPort.on('message', async ({ id, name, args }) => {
+    try {
+      if (typeof tasks[name] !== 'function') throw new Error(`Unknown task "${name}"`);
+      const transferList = [];
+      const result = transferable(await tasks[name](...revive(args)), transferList);
+      parentPort.postMessage({ id, result }, transferList);
+    } catch (err) {
+      parentPort.postMessage({ id, error: { message: err && err.message ? err.message : String(err), status: err && err.status } });
+    }
+  });
+}
+
+module.exports = { createWorkerPool, workerPoolConfigFromEnv, serveTasks };
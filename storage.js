@@ -0,0 +1,151 @@
+'use strict';
+
+// Where finished outputs go. createStorage() returns a driver with
+//   put(key, body, { contentType }) -> { key, url, size }
+//   url(key) -> public (or signed) URL
+//   expiringUrls -> true when url() gives presigned links that stop working after urlExpiresIn (s3 without
+//                   publicUrl); keep the key and ask url() again whenever a link is handed out
+//   read(key) -> readable stream of the stored bytes
+//   remove(key)
+// "local" writes under outputs/ (served at /outputs); "s3" talks to any S3-compatible endpoint
+// (Cloudflare R2, MinIO, AWS). Pick with STORAGE_DRIVER; an S3 client can be injected for tests.
+
+const path = require('path');
+const fs = require('fs');
+const { promisify } = require('util');
+
+const writeFile = promisify(fs.writeFile);
+const mkdir = promisify(fs.mkdir);
+const unlink = promisify(fs.unlink);
+
+const MB = 1024 * 1024;
+const MIN_PART_SIZE = 5 * MB; // S3 rejects smaller parts (except the last one)
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.mp4': 'video/mp4',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.vtt': 'text/vtt'
+};
+
+function contentTypeFor(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+// storage settings from the environment (see createStorage for the fields)
+function storageConfigFromEnv(env = process.env) {
+  return {
+    driver: (env.STORAGE_DRIVER || 'local').toLowerCase(),
+    bucket: env.S3_BUCKET,
+    endpoint: env.S3_ENDPOINT,
+    region: env.S3_REGION || 'auto',
+    accessKeyId: env.S3_ACCESS_KEY_ID,
+    secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+    prefix: env.S3_PREFIX || '',
+    publicUrl: env.S3_PUBLIC_URL || '',
+    urlExpiresIn: Number(env.S3_URL_EXPIRES || 3600),
+    multipartThreshold: Number(env.S3_MULTIPART_THRESHOLD || 16 * MB),
+    partSize: Math.max(MIN_PART_SIZE, Number(env.S3_PART_SIZE || 8 * MB))
+  };
+}
+
+function diskStorage({ dir, baseUrl = '/outputs' }) {
+  const fileFor = key => {
+    const file = path.join(dir, key);
+    if (!file.startsWith(dir + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+  return {
+    name: 'local',
+    expiringUrls: false,
+    async put(key, body) {
+      const file = fileFor(key);
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(file, body);
+      return { key, url: this.url(key), size: body.length };
+    },
+    url(key) {
+      return `${baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    },
+    async read(key) {
+      const file = fileFor(key);
+      await fs.promises.access(file); // missing files fail here rather than mid-stream
+      return fs.createReadStream(file);
+    },
+    async remove(key) {
+      await unlink(fileFor(key)).catch(err => { if (err.code !== 'ENOENT') throw err; });
+    }
+  };
+}
+
+// config: { bucket, endpoint, region, accessKeyId, secretAccessKey, forcePathStyle, prefix, publicUrl,
+// urlExpiresIn, multipartThreshold, partSize, client? }. Without publicUrl, url() gives presigned GET links.
+function s3Storage(config) {
+  const s3 = require('@aws-sdk/client-s3');
+  if (!config.bucket) throw new Error('S3_BUCKET is required for the s3 storage driver');
+  const client = config.client || new s3.S3Client({
+    region: config.region || 'auto',
+    endpoint: config.endpoint || undefined,
+    forcePathStyle: config.forcePathStyle,
+    credentials: config.accessKeyId ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey } : undefined
+  });
+  const Bucket = config.bucket;
+  const objectKey = key => `${config.prefix ? `${config.prefix.replace(/\/+$/, '')}/` : ''}${key}`;
+  const partSize = Math.max(MIN_PART_SIZE, config.partSize || 8 * MB);
+
+  // upload in parts; aborted on failure so the bucket is not left with orphaned parts
+  async function putMultipart(Key, body, ContentType) {
+    const { UploadId } = await client.send(new s3.CreateMultipartUploadCommand({ Bucket, Key, ContentType }));
+    try {
+      const parts = [];
+      for (let offset = 0, PartNumber = 1; offset < body.length; offset += partSize, PartNumber++) {
+        const { ETag } = await client.send(new s3.UploadPartCommand({ Bucket, Key, UploadId, PartNumber, Body: body.subarray(offset, offset + partSize) }));
+        parts.push({ ETag, PartNumber });
+      }
+      await client.send(new s3.CompleteMultipartUploadCommand({ Bucket, Key, UploadId, MultipartUpload: { Parts: parts } }));
+    } catch (err) {
+      await client.send(new s3.AbortMultipartUploadCommand({ Bucket, Key, UploadId })).catch(() => {});
+      throw err;
+    }
+  }
+
+  return {
+    name: 's3',
+    client,
+    expiringUrls: !config.publicUrl,
+    async put(key, body, { contentType } = {}) {
+      const Key = objectKey(key);
+      const ContentType = contentType || contentTypeFor(key);
+      if (body.length > (config.multipartThreshold || 16 * MB)) await putMultipart(Key, body, ContentType);
+      else await client.send(new s3.PutObjectCommand({ Bucket, Key, Body: body, ContentType }));
+      return { key, url: await this.url(key), size: body.length };
+    },
+    async url(key) {
+      const Key = objectKey(key);
+      if (config.publicUrl) return `${config.publicUrl.replace(/\/+$/, '')}/${Key.split('/').map(encodeURIComponent).join('/')}`;
+      const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+      return getSignedUrl(client, new s3.GetObjectCommand({ Bucket, Key }), { expiresIn: config.urlExpiresIn || 3600 });
+    },
+    async read(key) {
+      return (await client.send(new s3.GetObjectCommand({ Bucket, Key: objectKey(key) }))).Body;
+    },
+    async remove(key) {
+      await client.send(new s3.DeleteObjectCommand({ Bucket, Key: objectKey(key) }));
+    }
+  };
+}
+
+// config: storageConfigFromEnv() fields plus { dir } for the local driver
+function createStorage(config = {}) {
+  if (config.driver === 's3') return s3Storage(config);
+  if (config.driver && config.driver !== 'local') throw new Error(`Unknown STORAGE_DRIVER "${config.driver}" (use local or s3)`);
+  return diskStorage(config);
+}
+
+module.exports = { createStorage, storageConfigFromEnv, contentTypeFor };
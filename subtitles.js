@@ -0,0 +1,153 @@
+'use strict';
+
+// Subtitle conversion for TF-Stream episodes: SRT, ASS / SSA and WebVTT uploads become WebVTT, the only
+// format <track> elements play. The text encoding is detected (BOM, then strict UTF-8, then Windows-1252,
+// which covers the Latin-1 files most older French subtitles come in) unless the caller names one. Cue
+// times can be shifted by an offset in seconds (positive = later); cues pushed before 0 are clipped or dropped.
+// ASS styling is reduced to what WebVTT keeps: italic, bold and underline.
+
+const SUBTITLE_FORMATS = ['srt', 'ass', 'vtt'];
+const STYLE_TAGS = /^<\/?[ibu]>$/i;
+const VTT_SETTINGS = /^(vertical|line|position|size|align|region):/; // SRT's X1:.. coordinates are dropped
+const VTT_TAGS = /^<\/?(?:c(?:\.[\w.-]+)?|v(?:\s[^>]*)?|lang(?:\s[^>]*)?|ruby|rt)>$/; // kept from WebVTT input
+
+function statusError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function vttTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const h = String(Math.floor(ms / 3600000)).padStart(2, '0');
+  const m = String(Math.floor(ms / 60000) % 60).padStart(2, '0');
+  const sec = String(Math.floor(ms / 1000) % 60).padStart(2, '0');
+  return `${h}:${m}:${sec}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+// "01:02:03,456" (SRT), "01:02:03.456" / "02:03.456" (WebVTT), "1:02:03.45" (ASS centiseconds) -> seconds
+function parseTime(value) {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/.exec(value.trim());
+  if (!match) return null;
+  const [, h = '0', m, s, fraction] = match;
+  return Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(fraction.padEnd(3, '0')) / 1000;
+}
+
+// { text, encoding } from raw bytes; encoding (a TextDecoder label) skips the detection
+function decodeText(buffer, encoding) {
+  if (encoding) {
+    try {
+      return { text: new TextDecoder(encoding).decode(buffer), encoding: encoding.toLowerCase() };
+    } catch (e) {
+      throw statusError(400, `Unknown encoding "${encoding}"`);
+    }
+  }
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return { text: new TextDecoder('utf-8').decode(buffer), encoding: 'utf-8' };
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return { text: new TextDecoder('utf-16le').decode(buffer), encoding: 'utf-16le' };
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return { text: new TextDecoder('utf-16be').decode(buffer), encoding: 'utf-16be' };
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch (e) {
+    return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'windows-1252' };
+  }
+}
+
+function detectFormat(text) {
+  if (/^WEBVTT(?:[ \t].*)?$/m.test(text.split('\n', 1)[0])) return 'vtt';
+  if (/^\s*\[(Script Info|Events)\]/im.test(text)) return 'ass';
+  if (/^\s*\d+:\d{1,2}:\d{1,2}[,.]\d{1,3}\s*-->/m.test(text)) return 'srt';
+  return null;
+}
+
+// cue text for WebVTT: keep <i>/<b>/<u> and WebVTT's own tags, drop the others (SRT <font>), escape the rest
+function cleanText(text) {
+  return text
+    .split(/(<[^>]*>)/)
+    .map(part => {
+      if (!/^<[^>]*>$/.test(part)) return part.replace(/&(?![a-z]+;|#\d+;)/gi, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      if (STYLE_TAGS.test(part)) return part.toLowerCase();
+      return VTT_TAGS.test(part) ? part : '';
+    })
+    .join('')
+    .replace(/-->/g, '→')
+    .trim();
+}
+
+// [{ start, end, text, settings }] from SRT or WebVTT blocks (WebVTT cue settings are kept)
+function parseBlocks(text) {
+  const cues = [];
+  for (const block of text.split(/\n\s*\n/)) {
+    const lines = block.split('\n');
+    const at = lines.findIndex(line => line.includes('-->'));
+    if (at < 0) continue;
+    const [from, rest = ''] = lines[at].split('-->');
+    const [to, ...settings] = rest.trim().split(/\s+/);
+    const start = parseTime(from);
+    const end = parseTime(to || '');
+    if (start === null || end === null) continue;
+    const body = lines.slice(at + 1).join('\n').replace(/\{\\an?\d+\}/g, ''); // SRT position hints
+    cues.push({ start, end, text: cleanText(body), settings: settings.filter(s => VTT_SETTINGS.test(s)).join(' ') });
+  }
+  return cues;
+}
+
+// ASS override blocks: {\i1}...{\i0} and friends become tags, the rest ({\pos}, {\c&H..&}, karaoke) is dropped
+function assText(text) {
+  const tags = text
+    .replace(/\{([^}]*)\}/g, (_, block) => (block.match(/\\[ibu][01]/g) || [])
+      .map(code => `<${code[2] === '0' ? '/' : ''}${code[1]}>`).join(''))
+    .replace(/\\N/gi, '\n')
+    .replace(/\\h/g, ' ');
+  return cleanText(tags);
+}
+
+function parseAss(text) {
+  const cues = [];
+  let inEvents = false;
+  let columns = null;
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    if (/^\[.*\]$/.test(line)) { inEvents = line.toLowerCase() === '[events]'; continue; }
+    if (!inEvents) continue;
+    if (/^format:/i.test(line)) {
+      columns = line.slice(line.indexOf(':') + 1).split(',').map(c => c.trim().toLowerCase());
+    } else if (/^dialogue:/i.test(line) && columns) {
+      // Text is the last column and may itself contain commas
+      const values = line.slice(line.indexOf(':') + 1).split(',');
+      const fields = Object.fromEntries(columns.map((c, i) => [c, i === columns.length - 1 ? values.slice(i).join(',') : (values[i] || '').trim()]));
+      const start = parseTime(fields.start || '');
+      const end = parseTime(fields.end || '');
+      if (start === null || end === null) continue;
+      const cueText = assText(fields.text || '');
+      if (cueText) cues.push({ start, end, text: cueText, settings: '' });
+    }
+  }
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+// WebVTT document from cues, shifted by offset seconds
+function toWebVtt(cues, offset = 0) {
+  const blocks = [];
+  for (const cue of cues) {
+    const end = cue.end + offset;
+    if (end <= 0 || !cue.text || cue.end <= cue.start) continue;
+    const start = Math.max(0, cue.start + offset);
+    blocks.push(`${vttTime(start)} --> ${vttTime(end)}${cue.settings ? ` ${cue.settings}` : ''}\n${cue.text}`);
+  }
+  return { vtt: `WEBVTT\n\n${blocks.join('\n\n')}\n`, cues: blocks.length };
+}
+
+// convert an uploaded subtitle file; options = { offset (seconds), encoding, format }. Returns
+// { vtt, format, encoding, cues }; throws a 400 statusError for unreadable files or bad options.
+function convertSubtitles(buffer, { offset = 0, encoding, format } = {}) {
+  const shift = Number(offset || 0);
+  if (!Number.isFinite(shift)) throw statusError(400, 'offset must be a number of seconds');
+  const decoded = decodeText(buffer, encoding);
+  const text = decoded.text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const kind = format ? String(format).toLowerCase().replace(/^(ssa|webvtt)$/, m => (m === 'ssa' ? 'ass' : 'vtt')) : detectFormat(text);
+  if (!kind) throw statusError(400, `Not a subtitle file (expected ${SUBTITLE_FORMATS.join(', ')})`);
+  if (!SUBTITLE_FORMATS.includes(kind)) throw statusError(400, `format must be one of ${SUBTITLE_FORMATS.join(', ')}`);
+  const result = toWebVtt(kind === 'ass' ? parseAss(text) : parseBlocks(text), shift);
+  if (!result.cues) throw statusError(400, `No subtitle cues found in the ${kind.toUpperCase()} file`);
+  return { ...result, format: kind, encoding: decoded.encoding };
+}
+
+module.exports = { SUBTITLE_FORMATS, convertSubtitles, detectFormat, decodeText, vttTime };
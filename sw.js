@@ -1,21 +1,34 @@
 // service-worker.js (korije pou evite kraze video streaming)
-const CACHE_NAME = 'tfstream-shell-v1';
+const CACHE_NAME = 'tfstream-shell-v3';
 const IMAGE_CACHE = 'tfstream-thumbs-v1';
 const JSON_CACHE = 'tfstream-json-v1';
-const VIDEO_CACHE = 'tfstream-videos-v1'; // nou kenbe non si vle men pa kache videyo
-const OFFLINE_URL = '/offline.html';
-const PLACEHOLDER = '/images/placeholder-thumb.png';
+const VIDEO_CACHE = 'tfstream-videos-v1'; // sèlman epizòd itilizatè a telechaje pou offline (pa janm otomatik)
+const PROGRESS_QUEUE = 'tfstream-progress-queue-v1'; // POST /api/progress fèt offline, ap tann rezo a
 
+// the files the app really ships: compressor page, streaming page (index.json + catalogs go to JSON_CACHE below)
+// and the hls.js build the server vendors from its pinned npm package — bump CACHE_NAME when that version changes.
 const PRECACHE_URLS = [
   '/',
   '/index.html',
+  '/index.html1',
   '/manifest.json',
-  OFFLINE_URL,
-  '/styles.css',
-  '/main.js',
-  PLACEHOLDER
+  '/vendor/hls.min.js'
 ];
 
+// there is no offline.html or placeholder image in the repo: both are generated here
+const OFFLINE_HTML = '<!doctype html><html lang="fr"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">'
+  + '<title>TF-Stream — hors ligne</title></head><body style="margin:0;background:#000;color:#fff;font-family:sans-serif;text-align:center;padding:40px 20px">'
+  + '<h1>Hors ligne</h1><p>Pas de connexion. Les épisodes téléchargés restent disponibles depuis l\'application.</p></body></html>';
+const PLACEHOLDER_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="600" viewBox="0 0 400 600"><rect width="400" height="600" fill="#111"/>'
+  + '<text x="200" y="310" fill="#444" font-family="sans-serif" font-size="48" text-anchor="middle">TF</text></svg>';
+
+function offlinePage() {
+  return new Response(OFFLINE_HTML, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+}
+function placeholderImage() {
+  return new Response(PLACEHOLDER_SVG, { headers: { 'Content-Type': 'image/svg+xml' } });
+}
+
 self.addEventListener('install', event => {
   event.waitUntil((async () => {
     const cache = await caches.open(CACHE_NAME);
@@ -42,6 +55,7 @@ self.addEventListener('install', event => {
 
         if (Array.isArray(index)) {
           index.forEach(it => {
+            if (typeof it === 'string') return urls.add(normalizeUrl(it)); // ["video.json", ...]
             if (it['Url Thumb']) urls.add(normalizeUrl(it['Url Thumb']));
             if (it.json) urls.add(normalizeUrl(it.json));
             // pa ajoute it.video oswa mp4
@@ -55,7 +69,8 @@ self.addEventListener('install', event => {
         await Promise.allSettled(Array.from(urls).map(u => {
           if (u.endsWith('.json')) {
             return fetch(u, { cache: 'no-cache' }).then(r => {
-              if (r && (r.status === 200 || r.type === 'opaque')) return jsonCache.put(u, r.clone());
+              if (!r || (r.status !== 200 && r.type !== 'opaque')) return;
+              return Promise.all([jsonCache.put(u, r.clone()), r.status === 200 ? cacheSubtitles(r.clone()) : null]);
             }).catch(()=>{});
           }
           if (/\.(jpg|jpeg|png|webp)$/.test(u)) {
@@ -78,12 +93,13 @@ self.addEventListener('activate', evt => {
   evt.waitUntil((async () => {
     const keys = await caches.keys();
     await Promise.all(keys.map(k => {
-      if (![CACHE_NAME, IMAGE_CACHE, JSON_CACHE, VIDEO_CACHE].includes(k)) {
+      if (![CACHE_NAME, IMAGE_CACHE, JSON_CACHE, VIDEO_CACHE, PROGRESS_QUEUE].includes(k)) {
         return caches.delete(k);
       }
       return Promise.resolve();
     }));
     await self.clients.claim();
+    await flushProgressQueue().catch(() => {});
   })());
 });
 
@@ -111,7 +127,7 @@ function shouldBypass(request) {
     const dest = request.destination || '';
     if (dest === 'video' || dest === 'audio') return true;
     const url = request.url || '';
-    if (/\.(mp4|webm|m3u8|mpd|mov|mkv)(\?.*)?$/i.test(url)) return true;
+    if (/\.(mp4|m4a|webm|m3u8|mpd|mov|mkv)(\?.*)?$/i.test(url)) return true;
     // optionally bypass known media CDN hosts:
     // if (url.includes('r2.dev') || url.includes('your-media-cdn.com')) return true;
     return false;
@@ -122,11 +138,15 @@ function shouldBypass(request) {
 
 self.addEventListener('fetch', event => {
   const req = event.request;
+  if (req.method === 'POST' && new URL(req.url).pathname === '/api/progress') {
+    event.respondWith(sendOrQueueProgress(req));
+    return;
+  }
   if (req.method !== 'GET') return;
 
   if (shouldBypass(req)) {
-    // Bypass service worker for media-range/streaming requests
-    event.respondWith(fetch(req));
+    // media: the downloaded copy when there is one (with Range support), otherwise straight to the network
+    event.respondWith(offlineMediaOrNetwork(req));
     return;
   }
 
@@ -136,15 +156,25 @@ self.addEventListener('fetch', event => {
     return;
   }
 
+  // subtitle tracks (WebVTT): network-first so re-uploaded files show up, the cached copy offline
+  if (req.destination === 'track' || /\.vtt(\?.*)?$/i.test(req.url)) {
+    event.respondWith(networkFirst(req, JSON_CACHE));
+    return;
+  }
+
   // images: cache-first, fallback to placeholder
   if (req.destination === 'image' || /\.(png|jpg|jpeg|webp|gif)$/.test(req.url)) {
-    event.respondWith(cacheFirstWithFallback(req, IMAGE_CACHE, PLACEHOLDER));
+    event.respondWith(cacheFirstWithFallback(req, IMAGE_CACHE));
     return;
   }
 
-  // json: network-first with cache fallback
+  // json: network-first with cache fallback; a catalog also brings its subtitle files into the cache
   if (req.url.endsWith('.json')) {
-    event.respondWith(networkFirst(req, JSON_CACHE));
+    const catalog = !/\/(index|manifest)\.json$/.test(new URL(req.url).pathname);
+    event.respondWith(networkFirst(req, JSON_CACHE).then(resp => {
+      if (catalog && resp.status === 200) event.waitUntil(cacheSubtitles(resp.clone()).catch(() => {}));
+      return resp;
+    }));
     return;
   }
 
@@ -166,8 +196,7 @@ async function cacheFirst(request) {
     return resp;
   } catch (e) {
     // fall back to cached asset or offline page for navigations
-    const fallback = await caches.match(request) || await caches.match(OFFLINE_URL);
-    return fallback;
+    return await caches.match(request) || offlinePage();
   }
 }
 
@@ -180,12 +209,11 @@ async function networkFirst(request, cacheName = CACHE_NAME) {
     }
     return response;
   } catch (err) {
-    const cached = await cache.match(request) || await caches.match(OFFLINE_URL);
-    return cached;
+    return await cache.match(request) || offlinePage();
   }
 }
 
-async function cacheFirstWithFallback(request, cacheName, fallbackUrl) {
+async function cacheFirstWithFallback(request, cacheName) {
   const cache = await caches.open(cacheName);
   const cached = await cache.match(request);
   if (cached) return cached;
@@ -198,7 +226,239 @@ async function cacheFirstWithFallback(request, cacheName, fallbackUrl) {
   } catch (e) {
     // ignored
   }
-  // fallback placeholder from global cache; if not found return Response.error()
-  const ph = await caches.match(fallbackUrl);
-  return ph || Response.error();
+  return placeholderImage();
+}
+
+// WebVTT files listed in a catalog's episodes (subtitles[].src) that are not cached yet: small enough to keep
+// them all, so downloaded episodes still have their subtitles offline. Audio tracks are not cached.
+async function cacheSubtitles(catalogResponse) {
+  let series;
+  try { series = await catalogResponse.json(); } catch (e) { return; }
+  if (!Array.isArray(series)) return;
+  const urls = new Set();
+  series.forEach(s => (s && s.Saisons || []).forEach(season => (season && season.episodes || []).forEach(ep => {
+    (ep && Array.isArray(ep.subtitles) ? ep.subtitles : []).forEach(t => { if (t && t.src) urls.add(normalizeUrl(t.src)); });
+  })));
+  const cache = await caches.open(JSON_CACHE);
+  await Promise.allSettled([...urls].map(async u => {
+    if (await cache.match(u)) return;
+    const r = await fetch(u, { cache: 'no-cache' });
+    if (r.status === 200) await cache.put(u, r);
+  }));
+}
+
+// --- Offline episodes ---
+// The page asks for a download with postMessage({ type: 'download-episode', url, title }); the file is streamed
+// into VIDEO_CACHE and every window gets { type: 'offline-download', url, status, loaded, total, error } updates
+// (status: progress, done, error, quota, cancelled, deleted). Other messages: cancel-download / delete-download { url }
+// and list-downloads, answered with { type: 'offline-downloads', items: [{ url, title, size, savedAt }] }.
+// Cross-origin episode files need CORS on their host (an opaque response cannot be measured or sliced).
+const QUOTA_HEADROOM = 0.9; // leave 10% of the origin's quota free
+const downloads = new Map(); // url -> AbortController while downloading
+// the size of a download saved without Content-Length goes in its own VIDEO_CACHE entry under this prefix
+const SIZE_PREFIX = '/__offline-size/';
+// Blob of a stored episode, reused by every Range request of the player (a blob read from the cache stays on
+// disk, slices are read on demand); only the last few episodes played are kept
+const offlineBlobs = new Map(); // url -> Blob
+const OFFLINE_BLOBS_KEPT = 2;
+
+function sizeKey(url) {
+  return `${SIZE_PREFIX}${encodeURIComponent(url)}`;
+}
+
+async function deleteDownload(url) {
+  offlineBlobs.delete(url);
+  const cache = await caches.open(VIDEO_CACHE);
+  await Promise.all([cache.delete(url), cache.delete(sizeKey(url))]);
+}
+
+self.addEventListener('message', event => {
+  const msg = event.data || {};
+  const url = msg.url ? normalizeUrl(msg.url) : null;
+  if (msg.type === 'download-episode' && url) {
+    event.waitUntil(downloadEpisode(url, msg.title || ''));
+  } else if (msg.type === 'cancel-download' && downloads.has(url)) {
+    downloads.get(url).abort();
+  } else if (msg.type === 'delete-download' && url) {
+    event.waitUntil(deleteDownload(url).then(() => notifyDownloads({ url, status: 'deleted' })));
+  } else if (msg.type === 'list-downloads' && event.source) {
+    event.waitUntil(listDownloads().then(items => event.source.postMessage({ type: 'offline-downloads', items })));
+  } else if (msg.type === 'flush-progress') {
+    event.waitUntil(flushProgressQueue().catch(() => {}));
+  } else if (msg.type === 'LIST_CACHES' && event.source) {
+    event.waitUntil(caches.keys().then(names => event.source.postMessage({ type: 'CACHES_LIST', caches: names })));
+  }
+});
+
+async function notifyDownloads(update) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach(w => w.postMessage({ type: 'offline-download', ...update }));
+}
+
+async function listDownloads() {
+  const cache = await caches.open(VIDEO_CACHE);
+  const items = [];
+  for (const request of await cache.keys()) {
+    if (new URL(request.url).pathname.startsWith(SIZE_PREFIX)) continue;
+    const res = await cache.match(request);
+    if (!res) continue;
+    const sizeEntry = res.headers.get('Content-Length') ? null : await cache.match(sizeKey(request.url));
+    items.push({
+      url: request.url,
+      title: decodeURIComponent(res.headers.get('X-Offline-Title') || ''),
+      size: Number(res.headers.get('Content-Length')) || (sizeEntry ? Number(await sizeEntry.text()) : null),
+      savedAt: res.headers.get('X-Offline-Saved') || null
+    });
+  }
+  return items.concat([...downloads.keys()].map(url => ({ url, downloading: true })));
+}
+
+// refuse a download that would not fit (when the size is known up front)
+async function checkQuota(bytes) {
+  if (!bytes || !self.navigator.storage || !self.navigator.storage.estimate) return;
+  const { usage = 0, quota = 0 } = await self.navigator.storage.estimate();
+  if (quota && usage + bytes > quota * QUOTA_HEADROOM) {
+    const err = new Error(`Pas assez d'espace : ${Math.round(bytes / 1048576)} Mo requis, ${Math.max(0, Math.round((quota * QUOTA_HEADROOM - usage) / 1048576))} Mo libres`);
+    err.name = 'QuotaExceededError';
+    throw err;
+  }
+}
+
+async function downloadEpisode(url, title) {
+  if (downloads.has(url)) return;
+  const controller = new AbortController();
+  downloads.set(url, controller);
+  offlineBlobs.delete(url);
+  const cache = await caches.open(VIDEO_CACHE);
+  let loaded = 0;
+  let total = 0;
+  try {
+    const response = await fetch(url, { signal: controller.signal, cache: 'no-store' });
+    if (response.status !== 200) throw new Error(`HTTP ${response.status || 'opaque'}`);
+    total = Number(response.headers.get('content-length')) || 0;
+    await checkQuota(total);
+    notifyDownloads({ url, status: 'progress', loaded, total });
+
+    let lastReport = 0;
+    const counted = response.body.pipeThrough(new TransformStream({
+      transform(chunk, out) {
+        loaded += chunk.byteLength;
+        if (Date.now() - lastReport > 500) {
+          lastReport = Date.now();
+          notifyDownloads({ url, status: 'progress', loaded, total });
+        }
+        out.enqueue(chunk);
+      }
+    }));
+    const headers = new Headers({
+      'Content-Type': response.headers.get('content-type') || 'video/mp4',
+      'X-Offline-Title': encodeURIComponent(title),
+      'X-Offline-Saved': new Date().toISOString()
+    });
+    if (total) headers.set('Content-Length', String(total));
+    await cache.put(url, new Response(counted, { headers }));
+    if (total) await cache.delete(sizeKey(url));
+    else await cache.put(sizeKey(url), new Response(String(loaded)));
+    notifyDownloads({ url, status: 'done', loaded, total: total || loaded });
+  } catch (err) {
+    controller.abort(); // drop the rest of the response body
+    await deleteDownload(url).catch(() => {});
+    const status = err.name === 'AbortError' ? 'cancelled' : err.name === 'QuotaExceededError' ? 'quota' : 'error';
+    notifyDownloads({ url, status, loaded, total, error: err.message });
+  } finally {
+    downloads.delete(url);
+  }
+}
+
+async function offlineMediaOrNetwork(request) {
+  const blob = await offlineBlob(request.url);
+  if (!blob) return fetch(request);
+  return rangeResponse(request, blob);
+}
+
+async function offlineBlob(url) {
+  let blob = offlineBlobs.get(url);
+  if (!blob) {
+    const stored = await (await caches.open(VIDEO_CACHE)).match(url);
+    if (!stored) return null;
+    blob = await stored.blob();
+  }
+  offlineBlobs.delete(url);
+  offlineBlobs.set(url, blob); // most recently played last
+  while (offlineBlobs.size > OFFLINE_BLOBS_KEPT) offlineBlobs.delete(offlineBlobs.keys().next().value);
+  return blob;
+}
+
+// answer a (Range) request from a stored file: 206 for "bytes=start-end", "bytes=start-" and "bytes=-suffix"
+function rangeResponse(request, blob) {
+  const type = blob.type || 'video/mp4';
+  const range = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('range') || '');
+  if (!range || (!range[1] && !range[2])) {
+    return new Response(blob, { status: 200, headers: { 'Content-Type': type, 'Content-Length': String(blob.size), 'Accept-Ranges': 'bytes' } });
+  }
+  const start = range[1] ? Number(range[1]) : Math.max(0, blob.size - Number(range[2]));
+  const end = range[1] && range[2] ? Math.min(Number(range[2]), blob.size - 1) : blob.size - 1;
+  if (start >= blob.size || start > end) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': type,
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}
+
+// --- Watch progress while offline ---
+// POST /api/progress that cannot reach the server is kept in PROGRESS_QUEUE (latest update per episode only;
+// the body's `at` keeps the time it was made) and replayed when the connection returns: Background Sync where
+// the browser has it, the page's 'online' event (flush-progress message), the next update that goes through,
+// and service worker start-up. A failed sync rejects, so the browser tries it again later.
+const PROGRESS_SYNC_TAG = 'tf-progress';
+
+async function sendOrQueueProgress(request) {
+  const body = await request.clone().text();
+  try {
+    const response = await fetch(request);
+    flushProgressQueue().catch(() => {});
+    return response;
+  } catch (err) {
+    let update;
+    try { update = JSON.parse(body); } catch (e) { return Response.error(); }
+    const queue = await caches.open(PROGRESS_QUEUE);
+    const key = `/__progress-queue/${encodeURIComponent(update.catalog || '')}/${update.series}/${update.season}/${update.episode}`;
+    const saved = { url: request.url, authorization: request.headers.get('authorization'), body: JSON.stringify({ at: Date.now(), ...update }) };
+    await queue.put(key, new Response(JSON.stringify(saved), { headers: { 'Content-Type': 'application/json' } }));
+    if (self.registration.sync) self.registration.sync.register(PROGRESS_SYNC_TAG).catch(() => {});
+    return new Response(JSON.stringify({ queued: true }), { status: 202, headers: { 'Content-Type': 'application/json' } });
+  }
+}
+
+let progressFlush = null;
+function flushProgressQueue() {
+  if (!progressFlush) {
+    progressFlush = (async () => {
+      const queue = await caches.open(PROGRESS_QUEUE);
+      for (const key of await queue.keys()) {
+        const saved = await (await queue.match(key)).json();
+        // a network error (still offline) rejects and keeps the rest for later
+        const response = await fetch(saved.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...(saved.authorization ? { Authorization: saved.authorization } : {}) },
+          body: saved.body
+        });
+        // delivered, or refused for good (expired session, episode gone): either way it leaves the queue
+        if (response.ok || (response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status))) await queue.delete(key);
+        else throw new Error(`HTTP ${response.status}`);
+      }
+    })().finally(() => { progressFlush = null; });
+  }
+  return progressFlush;
 }
+
+self.addEventListener('sync', event => {
+  if (event.tag === PROGRESS_SYNC_TAG) event.waitUntil(flushProgressQueue());
+});
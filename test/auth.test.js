@@ -0,0 +1,183 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuth, authConfigFromEnv, ANONYMOUS } = require('../auth');
+
+const HOUR = 3600 * 1000;
+
+function setup(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tf-auth-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const auth = createAuth({
+    keys: [{ name: 'alice', key: 'alice-key' }, { name: 'root', key: 'root-key', admin: true }],
+    secret: 'test-secret', sessionTtlMs: HOUR, windowMs: 24 * HOUR, dir, ...options
+  });
+  return { dir, auth };
+}
+
+const request = (headers = {}, query = {}, url = '/api/jobs') => ({ headers, query, originalUrl: url });
+
+// run the middleware on a fake request: { next: true } or { status, body, headers }
+function through(auth, req) {
+  return new Promise(resolve => {
+    const headers = {};
+    const res = {
+      setHeader: (name, value) => { headers[name] = value; },
+      status(status) { return { json: body => resolve({ status, body, headers }) }; }
+    };
+    auth.middleware()(req, res, () => resolve({ next: true }));
+  });
+}
+
+test('authConfigFromEnv reads keys and limits', () => {
+  const config = authConfigFromEnv({ API_KEYS: 'alice:k1, k2', ADMIN_API_KEY: 'adm', QUOTA_MB: '2', RATE_LIMIT_PER_MINUTE: '30' });
+  assert.deepEqual(config.keys, [{ name: 'alice', key: 'k1' }, { name: 'key-2', key: 'k2' }, { name: 'admin', key: 'adm', admin: true }]);
+  assert.equal(config.limits.bytesPerWindow, 2 * 1024 * 1024);
+  assert.equal(config.limits.requestsPerMinute, 30);
+  assert.equal(config.sessionTtlMs, 24 * HOUR);
+  assert.deepEqual(config.viewerLimits, { requestsPerMinute: 60, sessionsPerHour: 20 });
+  assert.deepEqual(authConfigFromEnv({ VIEWER_RATE_LIMIT_PER_MINUTE: '0', VIEWER_SESSIONS_PER_HOUR: '5' }).viewerLimits, { requestsPerMinute: 0, sessionsPerHour: 5 });
+});
+
+test('keys are accepted from either header, and unknown keys are refused', t => {
+  const { auth } = setup(t);
+  assert.equal(auth.authenticate(request({ authorization: 'Bearer alice-key' })).name, 'alice');
+  assert.equal(auth.authenticate(request({ 'x-api-key': 'root-key' })).admin, true);
+  assert.throws(() => auth.authenticate(request({ authorization: 'Bearer nope' })), { status: 401 });
+  assert.throws(() => auth.authenticate(request()), { status: 401 });
+  assert.throws(() => createAuth({ keys: [{ name: ANONYMOUS, key: 'x' }], secret: 's', dir: os.tmpdir() }), /cannot be used/);
+});
+
+test('session tokens carry the client id and are refused when tampered with or signed by another secret', t => {
+  const { dir, auth } = setup(t);
+  const alice = auth.authenticate(request({ authorization: 'Bearer alice-key' }));
+  const session = auth.issueSession(alice);
+  const caller = auth.authenticate(request({}, { token: session.token }));
+  assert.deepEqual({ name: caller.name, clientId: caller.clientId }, { name: 'alice', clientId: session.clientId });
+
+  const [prefix, payload, signature] = session.token.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), key: 'root' })).toString('base64url');
+  assert.throws(() => auth.authenticate(request({ authorization: `Bearer ${prefix}.${forged}.${signature}` })), { status: 401 });
+  assert.throws(() => auth.authenticate(request({ authorization: `Bearer ${session.token}x` })), { status: 401 });
+
+  const other = createAuth({ keys: [{ name: 'alice', key: 'alice-key' }], secret: 'other-secret', sessionTtlMs: HOUR, windowMs: HOUR, dir });
+  assert.throws(() => other.authenticate(request({ authorization: `Bearer ${session.token}` })), { status: 401 });
+});
+
+test('expired tokens are refused but still let the same key resume its client id', t => {
+  const { auth } = setup(t, { sessionTtlMs: -1 });
+  const alice = auth.authenticate(request({ authorization: 'Bearer alice-key' }));
+  const expired = auth.issueSession(alice);
+  assert.throws(() => auth.authenticate(request({ authorization: `Bearer ${expired.token}` })), { status: 401, message: /expired/ });
+  assert.equal(auth.issueSession(alice, expired.token).clientId, expired.clientId);
+  const root = auth.authenticate(request({ authorization: 'Bearer root-key' }));
+  assert.notEqual(auth.issueSession(root, expired.token).clientId, expired.clientId);
+});
+
+test('without SESSION_SECRET a random secret is kept in dir so tokens survive a restart', t => {
+  const { dir } = setup(t);
+  const options = { keys: [{ name: 'alice', key: 'alice-key' }], sessionTtlMs: HOUR, windowMs: HOUR, dir };
+  const first = createAuth(options);
+  const token = first.issueSession({ name: 'alice' }).token;
+  assert.equal(createAuth(options).authenticate(request({ authorization: `Bearer ${token}` })).name, 'alice');
+});
+
+test('an open API lets anyone in as anonymous', t => {
+  const { auth } = setup(t, { keys: [] });
+  assert.equal(auth.open, true);
+  assert.equal(auth.authenticate(request()).name, ANONYMOUS);
+  assert.throws(() => auth.authenticate(request({ authorization: 'Bearer wrong' })), { status: 401 });
+});
+
+test('charge counts files and bytes and refuses what would pass the quota', t => {
+  const { auth } = setup(t, { limits: { filesPerWindow: 3, bytesPerWindow: 1000 } });
+  const alice = auth.authenticate(request({ authorization: 'Bearer alice-key' }));
+  auth.charge(alice, { files: 2, bytes: 600 });
+  assert.throws(() => auth.charge(alice, { files: 2, bytes: 100 }), { status: 429, message: /1 left/ });
+  assert.throws(() => auth.charge(alice, { files: 1, bytes: 500 }), err => err.status === 429 && err.retryAfter > 0 && err.retryAfter <= 24 * 3600);
+  auth.charge(alice, { files: 1, bytes: 400 });
+
+  const [usage] = auth.usage('alice');
+  assert.deepEqual({ files: usage.window.files, bytes: usage.window.bytes }, { files: 3, bytes: 1000 });
+  assert.deepEqual(usage.totals, { files: 3, bytes: 1000, jobs: 2, requests: 0, limited: 2 });
+
+  const root = auth.authenticate(request({ authorization: 'Bearer root-key' }));
+  auth.charge(root, { files: 50, bytes: 50000 }); // admin keys are not limited
+});
+
+test('checkJobSlot enforces concurrentJobs', t => {
+  let active = 1;
+  const { auth } = setup(t, { limits: { concurrentJobs: 1 }, activeJobs: () => active });
+  const alice = auth.authenticate(request({ authorization: 'Bearer alice-key' }));
+  assert.throws(() => auth.checkJobSlot(alice), { status: 429, message: /Concurrent job limit/ });
+  active = 0;
+  auth.checkJobSlot(alice);
+});
+
+test('the middleware applies the per-minute request limit with Retry-After', async t => {
+  const { auth } = setup(t, { limits: { requestsPerMinute: 2 } });
+  const req = () => request({ authorization: 'Bearer alice-key' });
+  assert.deepEqual(await through(auth, req()), { next: true });
+  assert.deepEqual(await through(auth, req()), { next: true });
+  const refused = await through(auth, req());
+  assert.equal(refused.status, 429);
+  assert.ok(Number(refused.headers['Retry-After']) >= 1);
+  assert.deepEqual(await through(auth, request({ authorization: 'Bearer root-key' })), { next: true });
+
+  const unauthorized = await through(auth, request({ authorization: 'Bearer nope' }));
+  assert.equal(unauthorized.status, 401);
+  assert.equal(unauthorized.headers['WWW-Authenticate'], 'Bearer');
+});
+
+test('viewer sessions need no key and are kept to viewerPaths', async t => {
+  const { auth } = setup(t, { viewerPaths: ['/api/progress'] });
+  const viewer = auth.issueViewerSession();
+  const bearer = { authorization: `Bearer ${viewer.token}` };
+  assert.equal(viewer.key, 'viewer');
+  assert.deepEqual(await through(auth, request(bearer, {}, '/api/progress')), { next: true });
+  assert.deepEqual(await through(auth, request(bearer, {}, '/api/progress/show/s1e2?x=1')), { next: true });
+  for (const url of ['/api/jobs', '/api/progressive', '/api/catalog/show']) {
+    const refused = await through(auth, request(bearer, {}, url));
+    assert.equal(refused.status, 403, url);
+  }
+  assert.equal(auth.authenticate(request(bearer)).admin, false);
+  assert.throws(() => createAuth({ keys: [{ name: 'viewer', key: 'x' }], secret: 's', dir: os.tmpdir() }), /cannot be used/);
+});
+
+test('a viewer session resumes its own or an anonymous client id, never a key\'s', t => {
+  const open = setup(t, { keys: [], viewerPaths: ['/api/progress'] }).auth;
+  const anonymous = open.issueSession(open.authenticate(request()));
+  assert.equal(open.issueViewerSession(anonymous.token).clientId, anonymous.clientId);
+
+  const { auth } = setup(t, { viewerPaths: ['/api/progress'] });
+  const first = auth.issueViewerSession();
+  assert.equal(auth.issueViewerSession(first.token).clientId, first.clientId);
+  const alice = auth.issueSession(auth.authenticate(request({ authorization: 'Bearer alice-key' })));
+  assert.notEqual(auth.issueViewerSession(alice.token).clientId, alice.clientId);
+});
+
+test('viewer requests are limited per session, not across every viewer', async t => {
+  const { auth } = setup(t, { viewerPaths: ['/api/progress'], viewerLimits: { requestsPerMinute: 2 } });
+  const progress = viewer => request({ authorization: `Bearer ${viewer.token}` }, {}, '/api/progress');
+  const first = auth.issueViewerSession();
+  assert.deepEqual(await through(auth, progress(first)), { next: true });
+  assert.deepEqual(await through(auth, progress(first)), { next: true });
+  const refused = await through(auth, progress(first));
+  assert.equal(refused.status, 429);
+  assert.ok(Number(refused.headers['Retry-After']) >= 1);
+  assert.deepEqual(await through(auth, progress(auth.issueViewerSession())), { next: true });
+});
+
+test('new viewer sessions are limited per address, resumed ones are not', t => {
+  const { auth } = setup(t, { viewerPaths: ['/api/progress'], viewerLimits: { sessionsPerHour: 2 } });
+  const first = auth.issueViewerSession(undefined, '203.0.113.5');
+  auth.issueViewerSession(undefined, '203.0.113.5');
+  assert.throws(() => auth.issueViewerSession(undefined, '203.0.113.5'), err => err.status === 429 && err.retryAfter > 3500);
+  assert.throws(() => auth.issueViewerSession('tfs1.not.signed', '203.0.113.5'), { status: 429 });
+  assert.equal(auth.issueViewerSession(first.token, '203.0.113.5').clientId, first.clientId);
+  auth.issueViewerSession(undefined, '198.51.100.7');
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createResultCache, differenceHash, hammingDistance, FINGERPRINT_SIZE } = require('../cache');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tf-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const entry = (bytes, fill = 1) => ({ fingerprint: 'f'.repeat(16), renditions: [{ format: 'webp', width: 10, buffer: Buffer.alloc(bytes, fill) }] });
+
+// RGBA pixels of FINGERPRINT_SIZE from a luma function
+function pixels(luma) {
+  const { width, height } = FINGERPRINT_SIZE;
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) data.fill(Math.max(0, Math.min(255, Math.round(luma(x, y)))), (y * width + x) * 4, (y * width + x) * 4 + 3);
+  }
+  return { data, width, height };
+}
+
+test('keyFor hashes the content with canonical settings', async t => {
+  const cache = createResultCache({ dir: tempDir(t), maxBytes: 1024 * 1024 });
+  const file = path.join(tempDir(t), 'a.bin');
+  fs.writeFileSync(file, 'same bytes');
+  const key = await cache.keyFor(Buffer.from('same bytes'), { quality: 80, formats: ['webp'], skip: undefined });
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.equal(await cache.keyFor(file, { formats: ['webp'], quality: 80 }), key);
+  assert.notEqual(await cache.keyFor(Buffer.from('same bytes'), { quality: 81, formats: ['webp'] }), key);
+  assert.notEqual(await cache.keyFor(Buffer.from('other bytes'), { quality: 80, formats: ['webp'] }), key);
+});
+
+test('a stored entry comes back with its buffers and counts as a hit', async t => {
+  const cache = createResultCache({ dir: tempDir(t), maxBytes: 1024 * 1024 });
+  const key = 'a'.repeat(64);
+  assert.equal(await cache.get(key), null);
+  await cache.set(key, entry(100, 9));
+  const hit = await cache.get(key);
+  assert.equal(hit.fingerprint, 'f'.repeat(16));
+  assert.deepEqual(hit.renditions.map(({ buffer, ...r }) => r), [{ format: 'webp', width: 10 }]);
+  assert.deepEqual(hit.renditions[0].buffer, Buffer.alloc(100, 9));
+  assert.deepEqual({ ...cache.stats(), bytes: undefined }, { enabled: true, entries: 1, bytes: undefined, maxBytes: 1024 * 1024, hits: 1, misses: 1 });
+});
+
+test('a miss claims the key: the next lookup waits for set()', async t => {
+  const cache = createResultCache({ dir: tempDir(t), maxBytes: 1024 * 1024 });
+  const key = 'b'.repeat(64);
+  assert.equal(await cache.get(key), null);
+  let waited = null;
+  const second = cache.get(key).then(value => { waited = value; });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(waited, null, 'the second lookup must not finish before the first encode is stored');
+  await cache.set(key, entry(10));
+  await second;
+  assert.deepEqual(waited.renditions[0].buffer, Buffer.alloc(10, 1));
+  assert.equal(cache.stats().misses, 1);
+});
+
+test('abort() releases the claim so the waiting lookup encodes itself', async t => {
+  const cache = createResultCache({ dir: tempDir(t), maxBytes: 1024 * 1024 });
+  const key = 'c'.repeat(64);
+  assert.equal(await cache.get(key), null);
+  const second = cache.get(key);
+  cache.abort(key);
+  assert.equal(await second, null);
+  assert.equal(cache.stats().misses, 2);
+});
+
+test('the least recently used entries are evicted past maxBytes, and recency survives a restart', async t => {
+  const dir = tempDir(t);
+  const cache = createResultCache({ dir, maxBytes: 1000 });
+  const [k1, k2, k3, k4] = ['1', '2', '3', '4'].map(c => c.repeat(64));
+  for (const key of [k1, k2, k3]) {
+    await cache.get(key);
+    await cache.set(key, entry(200));
+  }
+  await cache.get(k1); // k2 is now the oldest
+  await cache.get(k4);
+  await cache.set(k4, entry(200));
+  assert.equal(fs.existsSync(path.join(dir, k2)), false);
+  assert.deepEqual([k1, k3, k4].map(k => fs.existsSync(path.join(dir, k))), [true, true, true]);
+  assert.ok(cache.stats().bytes <= 1000);
+
+  fs.mkdirSync(path.join(dir, '5'.repeat(64))); // half-written: no meta.json
+  const reopened = createResultCache({ dir, maxBytes: 1000 });
+  assert.equal(reopened.stats().entries, 3);
+  assert.equal(fs.existsSync(path.join(dir, '5'.repeat(64))), false);
+  assert.ok(await reopened.get(k3));
+});
+
+test('entries larger than the whole cache are not stored, and maxBytes 0 disables it', async t => {
+  const cache = createResultCache({ dir: tempDir(t), maxBytes: 100 });
+  const key = 'd'.repeat(64);
+  await cache.get(key);
+  await cache.set(key, entry(500));
+  assert.equal(cache.stats().entries, 0);
+
+  const disabled = createResultCache({ dir: path.join(tempDir(t), 'never'), maxBytes: 0 });
+  assert.equal(disabled.enabled, false);
+  assert.equal(await disabled.get(key), null);
+  await disabled.set(key, entry(10));
+  assert.equal(disabled.stats().entries, 0);
+});
+
+test('dHash puts near-duplicates a few bits apart and different images far apart', () => {
+  const gradient = pixels((x, y) => 20 * x + 3 * y + (x * y % 3) * 9);
+  const brighter = pixels((x, y) => 20 * x + 3 * y + (x * y % 3) * 9 + 12);
+  const touchedUp = pixels((x, y) => 20 * x + 3 * y + (x * y % 3) * 9 + (x === 4 && y === 2 ? 40 : 0));
+  const mirrored = pixels((x, y) => 20 * (8 - x) + 3 * y + (x * y % 3) * 9);
+
+  const hash = differenceHash(gradient);
+  assert.match(hash, /^[0-9a-f]{16}$/);
+  assert.equal(hammingDistance(hash, differenceHash(brighter)), 0);
+  const touched = hammingDistance(hash, differenceHash(touchedUp));
+  assert.ok(touched > 0 && touched <= 6, `touched-up copy is ${touched} bits away`);
+  assert.ok(hammingDistance(hash, differenceHash(mirrored)) > 32);
+  assert.equal(hammingDistance('ffffffffffffffff', '0000000000000000'), 64);
+});
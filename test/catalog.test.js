@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  isCatalogName, isLanguageCode, blankEntry, validateEntry, validateCatalog, catalogWarnings, nextEpisode, scanCatalogFiles
+} = require('../catalog');
+
+const episode = (video = 'https://cdn.example/e.mp4') => ({ description: '', video });
+const series = (...seasons) => ({ ...blankEntry('series'), Texte: 'Série', Saisons: seasons.map(episodes => ({ ...blankEntry('season'), episodes })) });
+
+test('catalog names are .json files other than the reserved ones', () => {
+  assert.equal(isCatalogName('video.json'), true);
+  assert.equal(isCatalogName('films-2024_v2.json'), true);
+  for (const name of ['index.json', 'package.json', 'manifest.json', '../video.json', 'video', 'a|b.json', 42]) {
+    assert.equal(isCatalogName(name), false, String(name));
+  }
+});
+
+test('language codes follow BCP 47 short forms and ffmpeg three-letter codes', () => {
+  for (const code of ['fr', 'en', 'pt-BR', 'fra', 'und', 'zh-Hant-TW']) assert.equal(isLanguageCode(code), true, code);
+  for (const code of ['', 'FR', 'f', 'french', 'fr_FR', 'fr-', null]) assert.equal(isLanguageCode(code), false, String(code));
+});
+
+test('blank entries carry the starting fields and an empty child list', () => {
+  assert.deepEqual(blankEntry('series'), { Texte: '', 'Url Thumb': '', 'Catégorie': '', Bio: '', Info: '', Saisons: [] });
+  assert.deepEqual(blankEntry('season'), { description: '', bio: '', info: '', episodes: [] });
+  assert.deepEqual(blankEntry('episode'), { description: '', video: '' });
+});
+
+test('a well-formed catalog validates', () => {
+  assert.deepEqual(validateCatalog([series([episode(), episode()])]), []);
+  assert.deepEqual(validateCatalog(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'video.json'), 'utf8'))), []);
+});
+
+test('schema errors point at the offending entry', () => {
+  assert.deepEqual(validateCatalog({}), [{ path: '', message: 'catalog must be an array of series' }]);
+  const bad = series([{ description: 3, extra: 'x' }]);
+  bad['Url Thumb'] = null;
+  bad.Saisons.push('not a season');
+  assert.deepEqual(validateCatalog([bad]), [
+    { path: '[0]["Url Thumb"]', message: 'must be a string' },
+    { path: '[0].Saisons[0].episodes[0].video', message: 'is required' },
+    { path: '[0].Saisons[0].episodes[0].description', message: 'must be a string' },
+    { path: '[0].Saisons[0].episodes[0].extra', message: 'unknown episode field' },
+    { path: '[0].Saisons[1]', message: 'season must be an object' }
+  ]);
+  assert.deepEqual(validateEntry('season', { episodes: {} }), [{ path: '.episodes', message: 'must be an array' }]);
+});
+
+test('episode tracks are checked field by field', () => {
+  const ep = {
+    ...episode(),
+    subtitles: [
+      { lang: 'fr', label: 'Français', kind: 'captions', src: '/outputs/tracks/a/fr.captions.vtt', origin: 'upload' },
+      { lang: 'French', src: '/x.vtt', kind: 'forced' },
+      { label: 'no src', lang: 'en', size: 3 }
+    ],
+    audio: [{ lang: 'en', src: '/outputs/tracks/a/audio_1_en.m4a', kind: 'subtitles' }, 'x']
+  };
+  assert.deepEqual(validateEntry('episode', ep), [
+    { path: '.subtitles[1].lang', message: 'must be a language code (fr, en, pt-BR)' },
+    { path: '.subtitles[1].kind', message: 'must be one of subtitles, captions' },
+    { path: '.subtitles[2].src', message: 'is required' },
+    { path: '.subtitles[2].size', message: 'unknown track field' },
+    { path: '.audio[0].kind', message: 'is only used on subtitles' },
+    { path: '.audio[1]', message: 'track must be an object' }
+  ]);
+  assert.deepEqual(validateEntry('episode', { ...episode(), audio: {} }), [{ path: '.audio', message: 'must be an array' }]);
+});
+
+test('warnings list empty video and thumbnail fields with a readable label', () => {
+  assert.deepEqual(catalogWarnings([series([episode(), episode('')])]), [
+    { path: '[0]["Url Thumb"]', label: 'Série', field: 'Url Thumb' },
+    { path: '[0].Saisons[0].episodes[1].video', label: 'Série S1E2', field: 'video' }
+  ]);
+});
+
+test('nextEpisode moves on within a season, then to the next season with episodes', () => {
+  const s = series([episode(), episode()], [], [episode()]);
+  assert.deepEqual(nextEpisode(s, 0, 0), { season: 0, episode: 1 });
+  assert.deepEqual(nextEpisode(s, 0, 1), { season: 2, episode: 0 });
+  assert.equal(nextEpisode(s, 2, 0), null);
+  assert.equal(nextEpisode({}, 0, 0), null);
+});
+
+test('scanCatalogFiles keeps the index order and appends valid unlisted catalogs', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tf-catalog-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const write = (name, value) => fs.writeFileSync(path.join(dir, name), typeof value === 'string' ? value : JSON.stringify(value));
+  write('index.json', ['zeta.json', 'gone.json', 'alpha.json']);
+  write('zeta.json', []);
+  write('alpha.json', []);
+  write('beta.json', [series([episode()])]);
+  write('broken.json', '{');
+  write('invalid.json', [{ Texte: 1 }]);
+  write('package.json', {});
+  assert.deepEqual(scanCatalogFiles(dir), ['zeta.json', 'alpha.json', 'beta.json']);
+});
@@ -0,0 +1,201 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { METADATA_POLICIES, readMetadata, applyMetadataPolicy } = require('../metadata');
+
+// ---- fixtures: tiny containers with hand-built metadata blocks; the "image data" is never decoded ----
+
+const GPS_LATITUDE = [0x11223344, 1, 0x55667788, 1, 0x0a0b0c0d, 1]; // values that are easy to spot in the bytes
+
+// little-endian TIFF: IFD0 = Make (offset string), Orientation 6, GPS pointer, Software (inline); GPS IFD =
+// GPSLatitudeRef "N" (inline) and GPSLatitude (3 rationals at an offset)
+function exifBlock() {
+  const tiff = Buffer.alloc(200);
+  tiff.write('II', 0, 'latin1');
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(8, 4);
+  const entry = (at, tag, type, count, value) => {
+    tiff.writeUInt16LE(tag, at);
+    tiff.writeUInt16LE(type, at + 2);
+    tiff.writeUInt32LE(count, at + 4);
+    if (Buffer.isBuffer(value)) value.copy(tiff, at + 8);
+    else if (type === 3) tiff.writeUInt16LE(value, at + 8);
+    else tiff.writeUInt32LE(value, at + 8);
+  };
+  tiff.writeUInt16LE(4, 8);
+  entry(10, 0x010f, 2, 7, 100); // Make -> "Camera\0" at 100
+  entry(22, 0x0112, 3, 1, 6); // Orientation
+  entry(34, 0x8825, 4, 1, 120); // GPS IFD at 120
+  entry(46, 0x0131, 2, 4, Buffer.from('tfs\0', 'latin1')); // Software
+  tiff.writeUInt32LE(0, 58); // no next IFD
+  tiff.write('Camera\0', 100, 'latin1');
+  tiff.writeUInt16LE(2, 120);
+  entry(122, 0x0001, 2, 2, Buffer.from('N\0', 'latin1'));
+  entry(134, 0x0002, 5, 3, 150);
+  tiff.writeUInt32LE(0, 146);
+  GPS_LATITUDE.forEach((v, i) => tiff.writeUInt32LE(v, 150 + i * 4));
+  return tiff;
+}
+
+// IFD0 tags of a TIFF block as { tag: value-or-string }
+function ifd0Tags(tiff) {
+  const tags = {};
+  const ifd = tiff.readUInt32LE(4);
+  for (let i = 0; i < tiff.readUInt16LE(ifd); i++) {
+    const at = ifd + 2 + i * 12;
+    const tag = tiff.readUInt16LE(at);
+    const type = tiff.readUInt16LE(at + 2);
+    const count = tiff.readUInt32LE(at + 4);
+    if (type === 2) tags[tag] = tiff.toString('latin1', count > 4 ? tiff.readUInt32LE(at + 8) : at + 8).split('\0')[0];
+    else tags[tag] = type === 3 ? tiff.readUInt16LE(at + 8) : tiff.readUInt32LE(at + 8);
+  }
+  return tags;
+}
+
+const ICC = Buffer.from(Array.from({ length: 300 }, (_, i) => i & 0xff));
+const XMP = '<x:xmpmeta><rdf:Description tiff:Orientation="6" exif:GPSLatitude="52,22.5N" dc:creator="someone">'
+  + '<exif:GPSAltitude>12/1</exif:GPSAltitude></rdf:Description></x:xmpmeta>';
+
+const segment = (marker, ...parts) => {
+  const payload = Buffer.concat(parts);
+  return Buffer.concat([Buffer.from([0xff, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xff]), payload]);
+};
+const SCAN = Buffer.from([0xff, 0xda, 0x00, 0x02, 0x12, 0x34, 0xff, 0xd9]); // "image data" and EOI
+const jfif = segment(0xe0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1'));
+
+function jpeg({ exif, icc, xmp } = {}) {
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]), jfif,
+    exif ? segment(0xe1, Buffer.from('Exif\0\0', 'latin1'), exif) : Buffer.alloc(0),
+    xmp ? segment(0xe1, Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1'), Buffer.from(xmp)) : Buffer.alloc(0),
+    icc ? segment(0xe2, Buffer.from('ICC_PROFILE\0', 'latin1'), Buffer.from([1, 1]), icc) : Buffer.alloc(0),
+    SCAN
+  ]);
+}
+
+const pngChunk = (type, data) => {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length);
+  head.write(type, 4, 'latin1');
+  return Buffer.concat([head, data, Buffer.alloc(4)]); // readers do not check the CRC
+};
+const PNG = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  pngChunk('IHDR', Buffer.from([0, 0, 0, 1, 0, 0, 0, 1, 8, 6, 0, 0, 0])),
+  pngChunk('IDAT', Buffer.from([1, 2, 3])),
+  pngChunk('IEND', Buffer.alloc(0))
+]);
+
+// lossless WebP of a 2x3 canvas
+const vp8l = Buffer.from([0x2f, 0x01, 0x80, 0x00, 0x00, 0x00]);
+const WEBP = Buffer.concat([Buffer.from('RIFF\0\0\0\0WEBPVP8L', 'latin1'), Buffer.from([vp8l.length, 0, 0, 0]), vp8l]);
+
+const SOURCE = readMetadata(jpeg({ exif: exifBlock(), icc: ICC, xmp: XMP }));
+const BARE_JPEG = jpeg();
+
+// ---- tests ----
+
+test('readMetadata finds the blocks, the orientation and the GPS data', () => {
+  assert.deepEqual(METADATA_POLICIES, ['strip-all', 'keep-color-profile', 'keep-all']);
+  assert.equal(SOURCE.orientation, 6);
+  assert.equal(SOURCE.hasGps, true);
+  assert.deepEqual(SOURCE.icc, ICC);
+  assert.equal(SOURCE.xmp, XMP);
+  assert.deepEqual(SOURCE.exif, exifBlock());
+  assert.deepEqual(readMetadata(BARE_JPEG), { exif: null, icc: null, xmp: null, orientation: 1, hasGps: false });
+});
+
+test('keep-all drops the GPS directory and keeps the other EXIF tags', () => {
+  const { buffer, metadata } = applyMetadataPolicy(BARE_JPEG, SOURCE, { policy: 'keep-all' });
+  assert.deepEqual(metadata, { policy: 'keep-all', orientation: 6, kept: ['exif', 'icc', 'xmp'], removed: ['gps'] });
+
+  const out = readMetadata(buffer);
+  assert.equal(out.hasGps, false);
+  assert.equal(out.orientation, 1);
+  assert.deepEqual(ifd0Tags(out.exif), { 0x010f: 'Camera', 0x0112: 1, 0x0131: 'tfs' });
+  for (const value of GPS_LATITUDE.filter(v => v > 1)) {
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32LE(value);
+    assert.equal(buffer.includes(bytes), false, `GPS value ${value.toString(16)} left in the output`);
+  }
+  assert.equal(buffer.subarray(-SCAN.length).equals(SCAN), true);
+  assert.equal(buffer.includes(jfif), true);
+});
+
+test('keep-all with keepGps keeps the GPS directory', () => {
+  const { buffer, metadata } = applyMetadataPolicy(BARE_JPEG, SOURCE, { policy: 'keep-all', keepGps: true });
+  assert.deepEqual(metadata.kept, ['exif', 'icc', 'xmp', 'gps']);
+  const out = readMetadata(buffer);
+  assert.equal(out.hasGps, true);
+  assert.equal(out.orientation, 1);
+  assert.match(out.xmp, /exif:GPSLatitude="52,22.5N"/);
+});
+
+test('XMP keeps its other properties, loses GPS and gets orientation 1', () => {
+  const { xmp } = readMetadata(applyMetadataPolicy(BARE_JPEG, SOURCE, { policy: 'keep-all' }).buffer);
+  assert.equal(xmp, '<x:xmpmeta><rdf:Description tiff:Orientation="1" dc:creator="someone"></rdf:Description></x:xmpmeta>');
+});
+
+test('ICC and XMP round-trip through JPEG, PNG and WebP outputs', () => {
+  for (const bare of [BARE_JPEG, PNG, WEBP]) {
+    const colorOnly = readMetadata(applyMetadataPolicy(bare, SOURCE, { policy: 'keep-color-profile' }).buffer);
+    assert.deepEqual(colorOnly.icc, ICC);
+    assert.equal(colorOnly.exif, null);
+    assert.equal(colorOnly.xmp, null);
+
+    const all = readMetadata(applyMetadataPolicy(bare, SOURCE, { policy: 'keep-all' }).buffer);
+    assert.deepEqual(all.icc, ICC);
+    assert.match(all.xmp, /dc:creator="someone"/);
+    assert.deepEqual(ifd0Tags(all.exif), { 0x010f: 'Camera', 0x0112: 1, 0x0131: 'tfs' });
+  }
+});
+
+test('an ICC profile too big for one JPEG segment is split and joined back', () => {
+  const icc = Buffer.from(Array.from({ length: 150000 }, (_, i) => (i * 7) & 0xff));
+  const { buffer } = applyMetadataPolicy(BARE_JPEG, { ...SOURCE, icc }, { policy: 'keep-color-profile' });
+  assert.deepEqual(readMetadata(buffer).icc, icc);
+});
+
+test('the WebP header gets the matching VP8X flags and canvas size', () => {
+  const { buffer } = applyMetadataPolicy(WEBP, SOURCE, { policy: 'keep-all' });
+  assert.equal(buffer.toString('latin1', 12, 16), 'VP8X');
+  assert.equal(buffer[20] & 0x2c, 0x2c);
+  assert.equal(buffer.readUIntLE(24, 3) + 1, 2);
+  assert.equal(buffer.readUIntLE(27, 3) + 1, 3);
+  assert.equal(buffer.readUInt32LE(4), buffer.length - 8);
+});
+
+test('strip-all writes nothing back and reports what was dropped', () => {
+  const { buffer, metadata } = applyMetadataPolicy(BARE_JPEG, SOURCE, { policy: 'strip-all' });
+  assert.equal(buffer, BARE_JPEG);
+  assert.deepEqual(metadata.removed, ['exif', 'icc', 'xmp', 'gps']);
+});
+
+test('truncated or malformed metadata does not throw', () => {
+  const full = jpeg({ exif: exifBlock(), icc: ICC, xmp: XMP });
+  for (let cut = 0; cut < full.length; cut += 7) {
+    const source = readMetadata(full.subarray(0, cut));
+    applyMetadataPolicy(BARE_JPEG, source, { policy: 'keep-all' });
+  }
+  const badExifs = [
+    Buffer.from('II*\0', 'latin1'),
+    Buffer.concat([Buffer.from('II*\0\xff\xff\0\0', 'latin1'), Buffer.alloc(10)]), // IFD0 past the end
+    exifBlock().subarray(0, 40), // entries cut off
+    exifBlock().subarray(0, 100), // GPS directory missing
+    (() => { const b = exifBlock(); b.writeUInt16LE(0x7fff, 8); return b; })() // absurd entry count
+  ];
+  for (const exif of badExifs) {
+    const source = readMetadata(jpeg({ exif }));
+    applyMetadataPolicy(BARE_JPEG, source, { policy: 'keep-all' });
+    applyMetadataPolicy(PNG, source, { policy: 'keep-all' });
+  }
+  const lyingLengths = [
+    Buffer.from([0xff, 0xd8, 0xff, 0xe1, 0xff, 0xff, 0x45, 0x78]), // segment longer than the file
+    Buffer.from([0xff, 0xd8, 0xff, 0xe2, 0x00, 0x00]), // zero-length segment
+    Buffer.concat([PNG.subarray(0, 8), Buffer.from([0x7f, 0xff, 0xff, 0xff]), Buffer.from('iCCPxxxxxxxx', 'latin1')]),
+    Buffer.concat([WEBP.subarray(0, 12), Buffer.from('ICCP', 'latin1'), Buffer.from([0xff, 0xff, 0xff, 0x7f])])
+  ];
+  for (const buf of lyingLengths) applyMetadataPolicy(BARE_JPEG, readMetadata(buf), { policy: 'keep-all' });
+  assert.deepEqual(applyMetadataPolicy(Buffer.from('not an image'), SOURCE).metadata.removed, ['exif', 'icc', 'xmp', 'gps']);
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { checkOutboundUrl, isPublicAddress, hostList, contentLength } = require('../outbound');
+const { overallProgress } = require('../compress');
+
+test('hostList splits, trims and lower-cases', () => {
+  assert.deepEqual(hostList(' Media.Example , ,cdn.example'), ['media.example', 'cdn.example']);
+  assert.deepEqual(hostList(undefined), []);
+});
+
+test('isPublicAddress refuses loopback, private, link-local and mapped addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '224.0.0.1', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:169.254.169.254']) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+  for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8']) assert.equal(isPublicAddress(address), true, address);
+});
+
+test('checkOutboundUrl refuses non-http schemes and hosts that resolve to non-public addresses', async () => {
+  for (const url of ['file:///etc/passwd', 'ftp://example.com/a.mp4', 'gopher://example.com', 'not a url', '']) {
+    await assert.rejects(checkOutboundUrl(url), { status: 400, message: /absolute http\(s\) URL/ }, url);
+  }
+  for (const url of ['http://127.0.0.1/a.mp4', 'http://localhost:8080/a.mp4', 'http://[::1]/a.mp4', 'http://10.0.0.5/a.mp4',
+    'http://169.254.169.254/latest/meta-data/', 'http://[::ffff:127.0.0.1]/a.mp4', 'http://[fe80::1]/a.mp4', 'http://2130706433/a.mp4']) {
+    await assert.rejects(checkOutboundUrl(url), { status: 400, message: /not a public address/ }, url);
+  }
+  await assert.rejects(checkOutboundUrl('http://no-such-host.invalid/a.mp4'), { status: 400, message: /Cannot resolve/ });
+  assert.equal((await checkOutboundUrl('https://93.184.216.34/a%20b.mp4')).href, 'https://93.184.216.34/a%20b.mp4');
+});
+
+test('with an allow-list only its hosts are accepted, internal or not', async () => {
+  const options = { allowedHosts: ['127.0.0.1', 'media.internal'], setting: 'MEDIA_ALLOWED_HOSTS' };
+  assert.equal((await checkOutboundUrl('http://127.0.0.1:9000/a.mp4', options)).host, '127.0.0.1:9000');
+  assert.equal((await checkOutboundUrl('http://MEDIA.internal/a.mp4', options)).hostname, 'media.internal');
+  await assert.rejects(checkOutboundUrl('http://93.184.216.34/a.mp4', options), { status: 400, message: /not allowed \(MEDIA_ALLOWED_HOSTS\)/ });
+  await assert.rejects(checkOutboundUrl('file:///etc/passwd', options), { status: 400 });
+});
+
+test('a referenced input\'s probed size weighs it in the overall percentage', async t => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/missing.mp4') { res.writeHead(404); return res.end(); }
+    res.writeHead(200, { 'Content-Length': 3000 });
+    res.end(req.method === 'HEAD' ? undefined : Buffer.alloc(3000));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  assert.equal(await contentLength(`${base}/episode.mp4`), 3000);
+  assert.equal(await contentLength(`${base}/missing.mp4`), 0);
+  assert.equal(await contentLength('http://127.0.0.1:1/closed.mp4'), 0);
+
+  const files = [
+    { index: 0, size: 1000, status: 'done' },
+    { index: 1, size: await contentLength(`${base}/episode.mp4`), status: 'running' },
+    { index: 2, size: 0, status: 'queued' }
+  ];
+  assert.deepEqual(overallProgress(files, f => (f.index === 1 ? 1000 : 0)), { processedBytes: 2000, totalBytes: 4000, pct: 50 });
+  assert.deepEqual(overallProgress(files.map(f => ({ ...f, status: 'done' }))), { processedBytes: 4000, totalBytes: 4000, pct: 100 });
+  assert.deepEqual(overallProgress([{ size: 0, status: 'running' }], () => 0), { processedBytes: 0, totalBytes: 0, pct: 0 });
+});
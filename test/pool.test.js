@@ -0,0 +1,87 @@
+'use strict';
+
+// This file is also the pool's worker script: in a worker thread it only serves the tasks below.
+
+const { isMainThread } = require('worker_threads');
+const { createWorkerPool, serveTasks } = require('../pool');
+
+if (!isMainThread) {
+  serveTasks({
+    double: n => n * 2,
+    sleep: ms => new Promise(resolve => setTimeout(() => resolve(ms), ms)),
+    fail: message => { throw Object.assign(new Error(message), { status: 415 }); },
+    crash: () => process.exit(3),
+    bytes: (size, fill) => ({ data: Buffer.alloc(size, fill), size }),
+    describe: input => ({ isBuffer: Buffer.isBuffer(input.buffer), length: input.buffer.length, first: input.buffer[0] })
+  });
+  return;
+}
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+function pool(t, options = {}) {
+  const p = createWorkerPool({ file: __filename, size: 1, ...options });
+  t.after(() => p.close());
+  return p;
+}
+
+test('tasks run in a worker and errors keep their status', async t => {
+  const p = pool(t);
+  assert.equal(await p.run('double', [21]), 42);
+  await assert.rejects(p.run('fail', ['bad input']), { message: 'bad input', status: 415 });
+  await assert.rejects(p.run('missing'), /Unknown task "missing"/);
+  assert.deepEqual(await Promise.all([p.run('double', [1]), p.run('double', [2]), p.run('double', [3])]), [2, 4, 6]);
+  const stats = p.stats();
+  assert.deepEqual({ workers: stats.workers, completed: stats.completed, failed: stats.failed }, { workers: 1, completed: 4, failed: 2 });
+});
+
+test('a task past the timeout fails alone and its worker is replaced', async t => {
+  const p = pool(t, { taskTimeoutMs: 200 });
+  const slow = p.run('sleep', [5000]);
+  const queued = p.run('double', [5]);
+  await assert.rejects(slow, /sleep timed out after 0.2s/);
+  assert.equal(await queued, 10);
+  assert.equal(p.stats().timedOut, 1);
+  assert.equal(p.stats().workers, 1);
+});
+
+test('a crashed worker fails its task and the next task gets a new worker', async t => {
+  const p = pool(t);
+  await assert.rejects(p.run('crash'), /Worker exited with code 3/);
+  assert.equal(await p.run('double', [4]), 8);
+  assert.equal(p.stats().crashed, 1);
+});
+
+test('result buffers come back as Buffers', async t => {
+  const p = pool(t);
+  const result = await p.run('bytes', [1024, 7]);
+  assert.equal(Buffer.isBuffer(result.data), true);
+  assert.deepEqual(result.data, Buffer.alloc(1024, 7));
+  assert.equal(result.size, 1024);
+});
+
+test('close() rejects queued tasks and later runs', async () => {
+  const p = createWorkerPool({ file: __filename, size: 1 });
+  const running = p.run('sleep', [50]).catch(err => err);
+  const queued = assert.rejects(p.run('double', [1]), /Worker pool is closed/);
+  await p.close();
+  await queued;
+  await assert.rejects(p.run('double', [1]), /Worker pool is closed/);
+  await running;
+});
+
+test('with transfer the argument buffers move to the worker and are detached here', async t => {
+  const p = pool(t);
+  const owned = Buffer.from(new Uint8Array([9, 8, 7, 6]).buffer);
+  assert.deepEqual(await p.run('describe', [{ buffer: owned }], { transfer: true }), { isBuffer: true, length: 4, first: 9 });
+  assert.equal(owned.buffer.byteLength, 0);
+
+  const pooled = Buffer.from('small'); // a view of Node's shared pool: copied, never detached
+  assert.deepEqual(await p.run('describe', [{ buffer: pooled }], { transfer: true }), { isBuffer: true, length: 5, first: 0x73 });
+  assert.equal(pooled.toString(), 'small');
+
+  const copied = Buffer.from(new Uint8Array([1, 2]).buffer);
+  await p.run('describe', [{ buffer: copied }]);
+  assert.equal(copied.length, 2);
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, storageConfigFromEnv, contentTypeFor } = require('../storage');
+
+const MB = 1024 * 1024;
+
+// an S3 client that keeps every command it is sent; `fail(command)` may throw to simulate an error
+function fakeClient(fail = () => {}) {
+  const sent = [];
+  return {
+    sent,
+    names: () => sent.map(c => c.constructor.name),
+    async send(command) {
+      sent.push(command);
+      fail(command);
+      const name = command.constructor.name;
+      if (name === 'CreateMultipartUploadCommand') return { UploadId: 'up-1' };
+      if (name === 'UploadPartCommand') return { ETag: `"etag-${command.input.PartNumber}"` };
+      return {};
+    }
+  };
+}
+
+function s3(options = {}) {
+  return createStorage({ ...storageConfigFromEnv({ STORAGE_DRIVER: 's3', S3_BUCKET: 'media', S3_PUBLIC_URL: 'https://cdn.example/' }), ...options });
+}
+
+test('contentTypeFor goes by extension', () => {
+  assert.equal(contentTypeFor('a/b.JPG'), 'image/jpeg');
+  assert.equal(contentTypeFor('x.m3u8'), 'application/vnd.apple.mpegurl');
+  assert.equal(contentTypeFor('x.bin'), 'application/octet-stream');
+});
+
+test('createStorage refuses unknown drivers and an s3 driver without a bucket', () => {
+  assert.throws(() => createStorage({ driver: 'ftp' }), /Unknown STORAGE_DRIVER/);
+  assert.throws(() => createStorage({ driver: 's3', client: fakeClient() }), /S3_BUCKET/);
+});
+
+test('the local driver writes under its directory and refuses keys that leave it', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tf-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const storage = createStorage({ dir });
+  const stored = await storage.put('batch/a b.jpg', Buffer.from('jpeg'));
+  assert.deepEqual(stored, { key: 'batch/a b.jpg', url: '/outputs/batch/a%20b.jpg', size: 4 });
+  assert.equal(fs.readFileSync(path.join(dir, 'batch', 'a b.jpg'), 'utf8'), 'jpeg');
+  await assert.rejects(storage.put('../escape.jpg', Buffer.from('x')), /Invalid storage key/);
+  await storage.remove('batch/a b.jpg');
+  await storage.remove('batch/a b.jpg'); // already gone is fine
+  assert.equal(fs.existsSync(path.join(dir, 'batch', 'a b.jpg')), false);
+});
+
+test('small bodies go up in a single PutObject', async () => {
+  const client = fakeClient();
+  const storage = s3({ client, prefix: 'out/' });
+  const stored = await storage.put('b1/photo.webp', Buffer.alloc(1024));
+  assert.deepEqual(client.names(), ['PutObjectCommand']);
+  const { Bucket, Key, ContentType, Body } = client.sent[0].input;
+  assert.deepEqual({ Bucket, Key, ContentType, size: Body.length }, { Bucket: 'media', Key: 'out/b1/photo.webp', ContentType: 'image/webp', size: 1024 });
+  assert.deepEqual(stored, { key: 'b1/photo.webp', url: 'https://cdn.example/out/b1/photo.webp', size: 1024 });
+});
+
+test('bodies over multipartThreshold are uploaded in parts and completed in order', async () => {
+  const client = fakeClient();
+  const storage = s3({ client, multipartThreshold: 6 * MB, partSize: 5 * MB });
+  await storage.put('big.mp4', Buffer.alloc(12 * MB));
+  assert.deepEqual(client.names(), [
+    'CreateMultipartUploadCommand', 'UploadPartCommand', 'UploadPartCommand', 'UploadPartCommand', 'CompleteMultipartUploadCommand'
+  ]);
+  assert.equal(client.sent[0].input.ContentType, 'video/mp4');
+  assert.deepEqual(client.sent.slice(1, 4).map(c => c.input.Body.length), [5 * MB, 5 * MB, 2 * MB]);
+  assert.deepEqual(client.sent[4].input.MultipartUpload.Parts, [
+    { ETag: '"etag-1"', PartNumber: 1 }, { ETag: '"etag-2"', PartNumber: 2 }, { ETag: '"etag-3"', PartNumber: 3 }
+  ]);
+  assert.equal(client.sent[4].input.UploadId, 'up-1');
+});
+
+test('a failed part aborts the multipart upload and rejects the put', async () => {
+  const client = fakeClient(command => {
+    if (command.constructor.name === 'UploadPartCommand' && command.input.PartNumber === 2) throw new Error('connection reset');
+  });
+  const storage = s3({ client, multipartThreshold: 6 * MB, partSize: 5 * MB });
+  await assert.rejects(storage.put('big.mp4', Buffer.alloc(12 * MB)), /connection reset/);
+  assert.deepEqual(client.names(), ['CreateMultipartUploadCommand', 'UploadPartCommand', 'UploadPartCommand', 'AbortMultipartUploadCommand']);
+  assert.equal(client.sent[3].input.UploadId, 'up-1');
+  assert.equal(client.sent[3].input.Key, 'big.mp4');
+});
+
+test('url() builds public links under publicUrl with each path segment encoded', async () => {
+  const storage = s3({ client: fakeClient(), prefix: 'media' });
+  assert.equal(await storage.url('b 1/é.jpg'), 'https://cdn.example/media/b%201/%C3%A9.jpg');
+});
+
+test('url() without publicUrl gives a presigned GET link that expires', async () => {
+  const storage = createStorage(storageConfigFromEnv({
+    STORAGE_DRIVER: 's3', S3_BUCKET: 'media', S3_ENDPOINT: 'http://minio.test:9000', S3_FORCE_PATH_STYLE: 'true',
+    S3_REGION: 'us-east-1', S3_ACCESS_KEY_ID: 'AKID', S3_SECRET_ACCESS_KEY: 'secret', S3_URL_EXPIRES: '600'
+  }));
+  const url = new URL(await storage.url('b1/a.jpg'));
+  assert.equal(`${url.origin}${url.pathname}`, 'http://minio.test:9000/media/b1/a.jpg');
+  assert.equal(url.searchParams.get('X-Amz-Expires'), '600');
+  assert.match(url.searchParams.get('X-Amz-Credential'), /^AKID\//);
+  assert.match(url.searchParams.get('X-Amz-Signature'), /^[0-9a-f]{64}$/);
+});
+
+test('only s3 links without publicUrl are reported as expiring', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tf-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  assert.equal(createStorage({ dir }).expiringUrls, false);
+  assert.equal(s3({ client: fakeClient() }).expiringUrls, false);
+  assert.equal(s3({ client: fakeClient(), publicUrl: '' }).expiringUrls, true);
+});
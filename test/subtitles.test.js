@@ -0,0 +1,117 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertSubtitles, detectFormat, decodeText, vttTime } = require('../subtitles');
+
+const SRT = [
+  '1',
+  '00:00:01,000 --> 00:00:02,500 X1:10 X2:20',
+  '{\\an8}<font color="red"><i>Salut</i></font> & co',
+  '',
+  '2',
+  '00:00:03,000 --> 00:00:04,000',
+  'Ligne 1',
+  'Ligne 2',
+  ''
+].join('\r\n');
+
+const ASS = [
+  '[Script Info]',
+  'Title: test',
+  '',
+  '[Events]',
+  'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+  'Dialogue: 0,0:00:05.00,0:00:06.50,Default,,0,0,0,,{\\i1}Bonjour{\\i0}, le monde\\Nsuite{\\pos(1,2)}',
+  'Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,Premier',
+  ''
+].join('\n');
+
+test('vttTime formats hours, minutes, seconds and milliseconds', () => {
+  assert.equal(vttTime(0), '00:00:00.000');
+  assert.equal(vttTime(3723.456), '01:02:03.456');
+});
+
+test('detectFormat recognises WebVTT, ASS and SRT', () => {
+  assert.equal(detectFormat('WEBVTT\n\n00:01.000 --> 00:02.000\nHi\n'), 'vtt');
+  assert.equal(detectFormat('WEBVTT - with a title\n'), 'vtt');
+  assert.equal(detectFormat(ASS), 'ass');
+  assert.equal(detectFormat(SRT.replace(/\r\n/g, '\n')), 'srt');
+  assert.equal(detectFormat('just some text'), null);
+});
+
+test('decodeText follows BOMs, then strict UTF-8, then Windows-1252', () => {
+  assert.deepEqual(decodeText(Buffer.from([0xef, 0xbb, 0xbf, 0x61])), { text: 'a', encoding: 'utf-8' });
+  assert.equal(decodeText(Buffer.from('\ufeffé', 'utf16le')).encoding, 'utf-16le');
+  assert.deepEqual(decodeText(Buffer.from('é', 'utf8')), { text: 'é', encoding: 'utf-8' });
+  assert.deepEqual(decodeText(Buffer.from([0x63, 0x61, 0x66, 0xe9])), { text: 'café', encoding: 'windows-1252' });
+});
+
+test('decodeText uses an explicit encoding and rejects unknown ones', () => {
+  assert.deepEqual(decodeText(Buffer.from([0xe9]), 'ISO-8859-1'), { text: 'é', encoding: 'iso-8859-1' });
+  assert.throws(() => decodeText(Buffer.from('a'), 'klingon'), { status: 400 });
+});
+
+test('SRT becomes WebVTT: CRLF, comma times, tags and positions cleaned up', () => {
+  const result = convertSubtitles(Buffer.from(SRT));
+  assert.equal(result.format, 'srt');
+  assert.equal(result.cues, 2);
+  assert.equal(result.vtt, 'WEBVTT\n\n'
+    + '00:00:01.000 --> 00:00:02.500\n<i>Salut</i> &amp; co\n\n'
+    + '00:00:03.000 --> 00:00:04.000\nLigne 1\nLigne 2\n');
+});
+
+test('SRT in Windows-1252 is detected and decoded', () => {
+  const latin1 = Buffer.from('1\r\n00:00:01,000 --> 00:00:02,000\r\nD\xe9j\xe0 vu\r\n', 'latin1');
+  const result = convertSubtitles(latin1);
+  assert.equal(result.encoding, 'windows-1252');
+  assert.match(result.vtt, /Déjà vu/);
+});
+
+test('a positive offset shifts every cue later', () => {
+  const { vtt } = convertSubtitles(Buffer.from(SRT), { offset: 1.5 });
+  assert.match(vtt, /^00:00:02\.500 --> 00:00:04\.000$/m);
+  assert.match(vtt, /^00:00:04\.500 --> 00:00:05\.500$/m);
+});
+
+test('a negative offset clips cues at 0 and drops the ones that end before it', () => {
+  const clipped = convertSubtitles(Buffer.from(SRT), { offset: '-1.5' });
+  assert.equal(clipped.cues, 2);
+  assert.match(clipped.vtt, /^00:00:00\.000 --> 00:00:01\.000$/m);
+
+  const dropped = convertSubtitles(Buffer.from(SRT), { offset: -2.5 });
+  assert.equal(dropped.cues, 1);
+  assert.equal(dropped.vtt, 'WEBVTT\n\n00:00:00.500 --> 00:00:01.500\nLigne 1\nLigne 2\n');
+});
+
+test('ASS dialogue becomes sorted WebVTT cues with commas, line breaks and italics kept', () => {
+  const result = convertSubtitles(Buffer.from(ASS), { offset: 1 });
+  assert.equal(result.format, 'ass');
+  assert.equal(result.vtt, 'WEBVTT\n\n'
+    + '00:00:02.000 --> 00:00:03.000\nPremier\n\n'
+    + '00:00:06.000 --> 00:00:07.500\n<i>Bonjour</i>, le monde\nsuite\n');
+});
+
+test('WebVTT input keeps its cue settings and voice tags', () => {
+  const result = convertSubtitles(Buffer.from('WEBVTT\n\n00:01.000 --> 00:02.000 align:start line:0\n<v Bob>Hi</v>\n'));
+  assert.equal(result.vtt, 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000 align:start line:0\n<v Bob>Hi</v>\n');
+});
+
+test('UTF-16 WebVTT with a BOM is read', () => {
+  const buffer = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nÉté\n', 'utf16le')]);
+  const result = convertSubtitles(buffer);
+  assert.equal(result.encoding, 'utf-16le');
+  assert.match(result.vtt, /Été/);
+});
+
+test('a format can be forced, including the ssa / webvtt aliases', () => {
+  assert.equal(convertSubtitles(Buffer.from(ASS), { format: 'SSA' }).format, 'ass');
+  assert.equal(convertSubtitles(Buffer.from(SRT), { format: 'webvtt' }).format, 'vtt');
+});
+
+test('unreadable input and bad options are 400 errors', () => {
+  assert.throws(() => convertSubtitles(Buffer.from('hello')), { status: 400, message: /Not a subtitle file/ });
+  assert.throws(() => convertSubtitles(Buffer.from(SRT), { format: 'sub' }), { status: 400, message: /format must be one of/ });
+  assert.throws(() => convertSubtitles(Buffer.from(SRT), { offset: 'soon' }), { status: 400, message: /offset/ });
+  assert.throws(() => convertSubtitles(Buffer.from('WEBVTT\n\nno cues here\n')), { status: 400, message: /No subtitle cues/ });
+});
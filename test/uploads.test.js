@@ -0,0 +1,128 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createResumableUploads } = require('../uploads');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(1016, 7)]); // 1 KB "PNG"
+
+function setup(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tf-resumable-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { dir, uploads: createResumableUploads({ dir, maxFileBytes: 4096, ttlMs: 60000, ...options }) };
+}
+
+test('create checks the session and the declared size', async t => {
+  const { uploads } = setup(t);
+  await assert.rejects(uploads.create(null, { name: 'a.png', size: 10 }), { status: 400 });
+  await assert.rejects(uploads.create('c1', { name: 'a.png', size: 0 }), { status: 400 });
+  await assert.rejects(uploads.create('c1', { name: 'a.png', size: 'ten' }), { status: 400 });
+  await assert.rejects(uploads.create('c1', { name: 'a.png', size: 5000 }), { status: 413 });
+  const upload = await uploads.create('c1', { name: '../../etc/a.png', size: '1024' });
+  assert.equal(upload.name, 'a.png');
+  assert.equal(upload.size, 1024);
+  assert.equal(upload.offset, 0);
+  assert.equal(upload.complete, false);
+});
+
+test('chunks are appended at the current offset only', async t => {
+  const { uploads } = setup(t);
+  const { id } = await uploads.create('c1', { name: 'a.png', size: PNG.length });
+
+  let view = await uploads.append(id, 'c1', 0, [PNG.subarray(0, 300), PNG.subarray(300, 600)]);
+  assert.equal(view.offset, 600);
+  assert.equal(view.detectedType, 'image/png');
+
+  await assert.rejects(uploads.append(id, 'c1', 0, [PNG.subarray(0, 10)]), { status: 409, offset: 600 });
+  await assert.rejects(uploads.append(id, 'c1', 700, [PNG.subarray(700)]), { status: 409, offset: 600 });
+
+  view = await uploads.append(id, 'c1', '600', [PNG.subarray(600)]);
+  assert.equal(view.offset, PNG.length);
+  assert.equal(view.complete, true);
+});
+
+test('a chunk past the declared size keeps what fits and is refused', async t => {
+  const { uploads } = setup(t);
+  const { id } = await uploads.create('c1', { name: 'a.png', size: 100 });
+  await assert.rejects(uploads.append(id, 'c1', 0, [PNG.subarray(0, 60), PNG.subarray(60, 150)]), { status: 413, offset: 100 });
+  assert.equal((await uploads.status(id, 'c1')).offset, 100);
+});
+
+test('a cut-off chunk keeps the bytes received before the error', async t => {
+  const { uploads } = setup(t);
+  const { id } = await uploads.create('c1', { name: 'a.png', size: PNG.length });
+  async function* dropped() {
+    yield PNG.subarray(0, 256);
+    throw new Error('connection reset');
+  }
+  await assert.rejects(uploads.append(id, 'c1', 0, dropped()), /connection reset/);
+  assert.equal((await uploads.status(id, 'c1')).offset, 256);
+});
+
+test('the offset survives a restart: it is the size of the data on disk', async t => {
+  const { dir, uploads } = setup(t);
+  const { id } = await uploads.create('c1', { name: 'a.png', size: PNG.length });
+  await uploads.append(id, 'c1', 0, [PNG.subarray(0, 512)]);
+
+  const restarted = createResumableUploads({ dir, maxFileBytes: 4096, ttlMs: 60000 });
+  assert.equal((await restarted.status(id, 'c1')).offset, 512);
+  assert.deepEqual((await restarted.list('c1')).map(u => [u.id, u.offset]), [[id, 512]]);
+});
+
+test('uploads are private to their session', async t => {
+  const { uploads } = setup(t);
+  const { id } = await uploads.create('c1', { name: 'a.png', size: 10 });
+  await assert.rejects(uploads.status(id, 'c2'), { status: 404 });
+  await assert.rejects(uploads.append(id, 'c2', 0, [Buffer.alloc(10)]), { status: 404 });
+  await assert.rejects(uploads.remove(id, 'c2'), { status: 404 });
+  await assert.rejects(uploads.status('../etc', 'c1'), { status: 404 });
+  assert.deepEqual(await uploads.list('c2'), []);
+});
+
+test('take hands over complete uploads only', async t => {
+  const { uploads } = setup(t);
+  const { id } = await uploads.create('c1', { name: 'a.png', size: PNG.length });
+  await uploads.append(id, 'c1', 0, [PNG.subarray(0, 100)]);
+  await assert.rejects(uploads.take(id, 'c1'), { status: 409, offset: 100 });
+
+  await uploads.append(id, 'c1', 100, [PNG.subarray(100)]);
+  const file = await uploads.take(id, 'c1');
+  assert.equal(file.originalname, 'a.png');
+  assert.equal(file.size, PNG.length);
+  assert.equal(file.detectedType, 'image/png');
+  assert.deepEqual(fs.readFileSync(file.path), PNG);
+
+  await uploads.release(id);
+  await assert.rejects(uploads.status(id, 'c1'), { status: 404 });
+});
+
+test('only one of two concurrent takes gets an upload, until it is unclaimed or released', async t => {
+  const { uploads } = setup(t);
+  const { id } = await uploads.create('c1', { name: 'a.png', size: PNG.length });
+  await uploads.append(id, 'c1', 0, [PNG]);
+
+  const [first, second] = await Promise.allSettled([uploads.take(id, 'c1'), uploads.take(id, 'c1')]);
+  assert.equal(first.status, 'fulfilled');
+  assert.equal(second.reason.status, 409);
+  await assert.rejects(uploads.append(id, 'c1', PNG.length, [Buffer.alloc(0)]), { status: 409 });
+  await assert.rejects(uploads.remove(id, 'c1'), { status: 409 });
+
+  uploads.unclaim(id);
+  await uploads.take(id, 'c1');
+  await uploads.release(id);
+  await assert.rejects(uploads.take(id, 'c1'), { status: 404 });
+});
+
+test('sweep drops uploads untouched for the TTL', async t => {
+  const { uploads } = setup(t, { ttlMs: 1000 });
+  const stale = await uploads.create('c1', { name: 'old.png', size: 10 });
+  const fresh = await uploads.create('c1', { name: 'new.png', size: 10 });
+  const past = new Date(Date.now() - 5000);
+  fs.utimesSync(path.join(uploads.dir, stale.id, 'data'), past, past);
+
+  assert.equal(await uploads.sweep(), 1);
+  assert.deepEqual((await uploads.list('c1')).map(u => u.id), [fresh.id]);
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWatchProgress } = require('../watch');
+
+const DAY = 24 * 3600 * 1000;
+const episode = n => ({ catalog: 'video.json', series: 0, season: 0, episode: n });
+
+function progressFile(t, data) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tf-watch-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'watch-progress.json');
+  if (data) fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+}
+
+test('positions complete past the ratio and late updates never overwrite newer ones', t => {
+  const watch = createWatchProgress({ file: progressFile(t) });
+  assert.equal(watch.record('u1', episode(0), { position: 100, duration: 1000 }).completed, false);
+  assert.equal(watch.record('u1', episode(0), { position: 950 }).completed, true);
+  const stale = watch.record('u1', episode(0), { position: 10, at: Date.now() - DAY });
+  assert.deepEqual({ position: stale.position, stale: stale.stale }, { position: 950, stale: true });
+  assert.equal(watch.remove('u1', { episode: 0 }), 1);
+  assert.deepEqual(watch.entries('u1'), []);
+});
+
+test('users idle for longer than idleDays are dropped on load', t => {
+  const entry = at => ({ position: 5, duration: null, completed: false, updatedAt: new Date(at).toISOString() });
+  const file = progressFile(t, {
+    idle: { 'video.json|0|0|0': entry(Date.now() - 40 * DAY) },
+    active: { 'video.json|0|0|0': entry(Date.now() - 40 * DAY), 'video.json|0|0|1': entry(Date.now() - DAY) }
+  });
+  const watch = createWatchProgress({ file, idleDays: 30 });
+  assert.deepEqual(watch.entries('idle'), []);
+  assert.equal(watch.entries('active').length, 2);
+  assert.equal(createWatchProgress({ file, idleDays: 0 }).entries('idle').length, 1);
+});
+
+test('a user keeps at most maxEntriesPerUser entries, the oldest dropped first', t => {
+  const watch = createWatchProgress({ file: progressFile(t), maxEntriesPerUser: 3 });
+  const start = Date.now() - DAY;
+  for (let n = 0; n < 5; n++) watch.record('u1', episode(n), { position: 1, at: start + n * 1000 });
+  assert.deepEqual(watch.entries('u1').map(e => e.episode), [4, 3, 2]);
+  watch.record('u1', episode(2), { position: 2 });
+  assert.deepEqual(watch.entries('u1').map(e => e.episode), [2, 4, 3]);
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { createCallbacks, callbackConfigFromEnv, signPayload, verifySignature } = require('../webhooks');
+
+const now = () => Math.floor(Date.now() / 1000);
+const header = (secret, t, body) => `t=${t},v1=${signPayload(secret, t, body)}`;
+
+test('signPayload is an HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  const expected = crypto.createHmac('sha256', 's3cret').update('1700000000.{"a":1}').digest('hex');
+  assert.equal(signPayload('s3cret', 1700000000, '{"a":1}'), expected);
+});
+
+test('verifySignature accepts a fresh signature of the same body', () => {
+  const t = now();
+  assert.equal(verifySignature('s3cret', header('s3cret', t, '{"a":1}'), '{"a":1}'), true);
+  assert.equal(verifySignature('s3cret', ` t=${t}, v1=${signPayload('s3cret', t, 'x')}`, 'x'), true);
+});
+
+test('verifySignature rejects other bodies, secrets, stale timestamps and malformed headers', () => {
+  const t = now();
+  assert.equal(verifySignature('s3cret', header('s3cret', t, '{"a":1}'), '{"a":2}'), false);
+  assert.equal(verifySignature('other', header('s3cret', t, 'x'), 'x'), false);
+  assert.equal(verifySignature('s3cret', header('s3cret', t - 301, 'x'), 'x'), false);
+  assert.equal(verifySignature('s3cret', header('s3cret', t - 301, 'x'), 'x', 600), true);
+  assert.equal(verifySignature('s3cret', `t=${t},v1=abc`, 'x'), false);
+  assert.equal(verifySignature('s3cret', '', 'x'), false);
+  assert.equal(verifySignature('s3cret', undefined, 'x'), false);
+});
+
+test('callbackConfigFromEnv reads the WEBHOOK_ settings', () => {
+  assert.deepEqual(callbackConfigFromEnv({}), { secret: '', maxAttempts: 6, retryBaseMs: 5000, timeoutMs: 10000, allowedHosts: [] });
+  assert.deepEqual(callbackConfigFromEnv({
+    WEBHOOK_SECRET: 'k', WEBHOOK_MAX_ATTEMPTS: '0', WEBHOOK_RETRY_SECONDS: '0', WEBHOOK_TIMEOUT_SECONDS: '2', WEBHOOK_ALLOWED_HOSTS: ' Hooks.Example , ,b.example'
+  }), { secret: 'k', maxAttempts: 1, retryBaseMs: 0, timeoutMs: 2000, allowedHosts: ['hooks.example', 'b.example'] });
+});
+
+test('parse builds a pending delivery record, or a 400 for unusable callbacks', async () => {
+  const callbacks = createCallbacks({ secret: '', maxAttempts: 3, retryBaseMs: 0, timeoutMs: 1000, allowedHosts: ['hooks.example'] });
+  assert.equal(await callbacks.parse({}), null);
+  const record = await callbacks.parse({ callbackUrl: 'https://HOOKS.example/done', callbackSecret: 'k' });
+  assert.equal(record.url, 'https://hooks.example/done');
+  assert.equal(record.status, 'pending');
+  assert.equal(record.attempts, 0);
+  assert.equal('secret' in callbacks.view(record), false);
+
+  await assert.rejects(callbacks.parse({ callbackUrl: 'not a url', callbackSecret: 'k' }), { status: 400 });
+  await assert.rejects(callbacks.parse({ callbackUrl: 'ftp://hooks.example/x', callbackSecret: 'k' }), { status: 400 });
+  await assert.rejects(callbacks.parse({ callbackUrl: 'https://evil.example/x', callbackSecret: 'k' }), { status: 400, message: /not allowed/ });
+  await assert.rejects(callbacks.parse({ callbackUrl: 'https://hooks.example/x' }), { status: 400, message: /callbackSecret/ });
+});
+
+test('without an allow-list, callbacks to loopback, link-local and private hosts are refused', async () => {
+  const callbacks = createCallbacks({ secret: 'k', maxAttempts: 3, retryBaseMs: 0, timeoutMs: 1000 });
+  for (const callbackUrl of ['http://127.0.0.1:8080/hook', 'http://localhost/hook', 'http://169.254.169.254/latest', 'http://10.0.0.2/hook',
+    'http://[::1]/hook', 'http://[::ffff:192.168.0.1]/hook']) {
+    await assert.rejects(callbacks.parse({ callbackUrl }), { status: 400, message: /not a public address/ }, callbackUrl);
+  }
+  assert.equal((await callbacks.parse({ callbackUrl: 'https://93.184.216.34/hook' })).url, 'https://93.184.216.34/hook');
+});
+
+// a receiver answering with the next status of `statuses` and keeping what it got
+async function receiver(t, statuses) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(received.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, received };
+}
+
+// deliver and wait until the record stops being pending
+function deliver(callbacks, record, payload) {
+  return new Promise(resolve => {
+    callbacks.deliver(record, payload, { save: async () => { if (record.status !== 'pending') resolve(record); } });
+  });
+}
+
+test('a delivery is signed, retried after a 5xx and recorded as delivered', async t => {
+  const { url, received } = await receiver(t, [503, 200]);
+  const callbacks = createCallbacks({ secret: 'server-secret', maxAttempts: 3, retryBaseMs: 0, timeoutMs: 2000, allowedHosts: ['127.0.0.1'] });
+  const record = await callbacks.parse({ callbackUrl: url });
+  await deliver(callbacks, record, { event: 'batch.done', jobId: 'j1' });
+
+  assert.equal(record.status, 'delivered');
+  assert.equal(record.attempts, 2);
+  assert.deepEqual(record.history.map(h => h.status), [503, 200]);
+  assert.equal(received.length, 2);
+  const { headers, body } = received[1];
+  assert.equal(headers['x-tf-event'], 'batch.done');
+  assert.equal(headers['x-tf-delivery'], record.deliveryId);
+  assert.deepEqual(JSON.parse(body), { event: 'batch.done', jobId: 'j1', deliveryId: record.deliveryId });
+  assert.equal(verifySignature('server-secret', headers['x-tf-signature'], body), true);
+});
+
+test('a 4xx answer ends the delivery, the request secret signs it', async t => {
+  const { url, received } = await receiver(t, [400]);
+  const callbacks = createCallbacks({ secret: 'server-secret', maxAttempts: 5, retryBaseMs: 0, timeoutMs: 2000, allowedHosts: ['127.0.0.1'] });
+  const record = await callbacks.parse({ callbackUrl: url, callbackSecret: 'client-secret' });
+  await deliver(callbacks, record, { event: 'batch.done' });
+
+  assert.equal(record.status, 'failed');
+  assert.equal(record.attempts, 1);
+  assert.equal(record.lastError, 'HTTP 400');
+  assert.equal(verifySignature('client-secret', received[0].headers['x-tf-signature'], received[0].body), true);
+});
+
+test('retries stop after maxAttempts', async t => {
+  const { url, received } = await receiver(t, [500]);
+  const callbacks = createCallbacks({ secret: 'k', maxAttempts: 3, retryBaseMs: 0, timeoutMs: 2000, allowedHosts: ['127.0.0.1'] });
+  const record = await callbacks.parse({ callbackUrl: url });
+  await deliver(callbacks, record, { event: 'batch.done' });
+
+  assert.equal(record.status, 'failed');
+  assert.equal(record.attempts, 3);
+  assert.equal(received.length, 3);
+});
+
+test('the host is checked again before each attempt, and a refusal ends the delivery', async t => {
+  const { url, received } = await receiver(t, [200]);
+  const callbacks = createCallbacks({ secret: 'k', maxAttempts: 3, retryBaseMs: 0, timeoutMs: 2000 });
+  const record = await callbacks.parse({ callbackUrl: 'https://93.184.216.34/hook' });
+  record.url = url; // as if the host had since been pointed at this machine
+  await deliver(callbacks, record, { event: 'batch.done' });
+
+  assert.equal(record.status, 'failed');
+  assert.equal(record.attempts, 1);
+  assert.match(record.lastError, /not a public address/);
+  assert.equal(received.length, 0);
+});
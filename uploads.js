@@ -0,0 +1,321 @@
+'use strict';
+
+// Multipart uploads streamed straight to a temp directory (no whole-file buffers in memory).
+// Every file is checked on its own: its type is sniffed from the first bytes, and the per-file size,
+// file count and total request size limits are enforced as it streams. A file that fails a check is
+// drained and listed in req.rejectedFiles ({ index, name, size, error }). Accepted files land in
+// req.files with .path, .size, .detectedType and .index (position in the request).
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const multer = require('multer');
+const { detectFormat, decodeText } = require('./subtitles');
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const readdir = promisify(fs.readdir);
+const rename = promisify(fs.rename);
+const stat = promisify(fs.stat);
+
+const SNIFF_BYTES = 512; // enough for two MPEG-TS packets
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif', 'image/gif', 'image/bmp', 'image/tiff'];
+const VIDEO_TYPES = ['video/mp4', 'video/quicktime', 'video/webm', 'video/x-matroska', 'video/mp2t', 'video/x-msvideo'];
+// subtitle files are text, recognised by their first lines (see subtitles.js)
+const SUBTITLE_MIME = { vtt: 'text/vtt', srt: 'application/x-subrip', ass: 'text/x-ssa' };
+const SUBTITLE_TYPES = Object.values(SUBTITLE_MIME);
+
+// MIME type from magic bytes, or null when the format is not recognised
+function sniffMime(head) {
+  const ascii = (start, end) => head.toString('latin1', start, end);
+  if (head.length >= 3 && head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'image/jpeg';
+  if (head.length >= 8 && head.readUInt32BE(0) === 0x89504e47 && head.readUInt32BE(4) === 0x0d0a1a0a) return 'image/png';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'AVI ') return 'video/x-msvideo';
+  if (ascii(0, 2) === 'BM' && head.length >= 14) return 'image/bmp';
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'image/tiff';
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'avif' || brand === 'avis') return 'image/avif';
+    if (brand === 'qt  ') return 'video/quicktime';
+    return 'video/mp4';
+  }
+  if (head.length >= 4 && head.readUInt32BE(0) === 0x1a45dfa3) return head.includes('webm') ? 'video/webm' : 'video/x-matroska';
+  if (head.length >= 377 && head[0] === 0x47 && head[188] === 0x47 && head[376] === 0x47) return 'video/mp2t';
+  return SUBTITLE_MIME[detectFormat(decodeText(head).text)] || null;
+}
+
+// per-file error for a sniffed type that is not in the allowed list
+function typeRejection(detectedType, types) {
+  const what = detectedType && detectedType !== 'unknown' ? `${detectedType} is` : 'unrecognised file type is';
+  return `${what} not accepted here (allowed: ${types.join(', ')})`;
+}
+
+function formatLimit(bytes) {
+  return bytes >= 1024 * 1024 ? `${Math.round(bytes / 1024 / 1024)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+// multer storage engine writing to dir; limits come from the request's upload state
+function diskEngine(dir) {
+  return {
+    _handleFile(req, file, cb) {
+      const state = req.uploadState;
+      const index = state.count++;
+      const tmp = path.join(dir, `${Date.now()}_${crypto.randomUUID()}`);
+      let out = null;
+      let head = Buffer.alloc(0);
+      let detectedType = null;
+      let size = 0;
+      let rejected = null;
+
+      const reject = reason => {
+        if (rejected) return;
+        rejected = reason;
+        if (out) {
+          out.destroy();
+          fs.unlink(tmp, () => {});
+        }
+        file.stream.resume(); // keep draining so the rest of the request still parses
+      };
+      const sniff = () => {
+        detectedType = sniffMime(head);
+        if (!detectedType || !state.types.includes(detectedType)) {
+          reject(typeRejection(detectedType, state.types));
+        }
+      };
+
+      if (index >= state.maxFiles) reject(`too many files (at most ${state.maxFiles} per request)`);
+      else out = fs.createWriteStream(tmp);
+
+      file.stream.on('data', chunk => {
+        size += chunk.length;
+        state.bytes += chunk.length;
+        if (rejected) return;
+        if (size > state.maxFileBytes) return reject(`file is larger than ${formatLimit(state.maxFileBytes)}`);
+        if (state.bytes > state.maxRequestBytes) return reject(`request is larger than ${formatLimit(state.maxRequestBytes)} in total`);
+        if (!detectedType && head.length < SNIFF_BYTES) {
+          head = Buffer.concat([head, chunk]);
+          if (head.length >= SNIFF_BYTES) sniff();
+          if (rejected) return;
+        }
+        if (!out.write(chunk)) {
+          file.stream.pause();
+          out.once('drain', () => file.stream.resume());
+        }
+      });
+      file.stream.on('error', err => {
+        if (out) out.destroy();
+        fs.unlink(tmp, () => {});
+        cb(err);
+      });
+      file.stream.on('end', () => {
+        if (!rejected && !detectedType) sniff();
+        if (!rejected && size === 0) reject('file is empty');
+        if (rejected) return cb(null, { index, size, rejected });
+        out.end(() => cb(null, { index, size, path: tmp, detectedType }));
+      });
+    },
+    _removeFile(req, file, cb) {
+      if (!file.path) return cb(null);
+      fs.unlink(file.path, () => cb(null));
+    }
+  };
+}
+
+// createUploads({ dir, maxFileBytes, maxFiles, maxRequestBytes }).array(field, { types, maxFiles })
+// gives the route middleware. Temp files not moved away by the handler are deleted once the response ends.
+function createUploads({ dir, maxFileBytes, maxFiles, maxRequestBytes }) {
+  fs.rmSync(dir, { recursive: true, force: true }); // leftovers from a previous run
+  fs.mkdirSync(dir, { recursive: true });
+  const parser = multer({ storage: diskEngine(dir), limits: { fieldSize: 1024 * 1024 } });
+
+  return {
+    dir,
+    array(field, { types = [...IMAGE_TYPES, ...VIDEO_TYPES], maxFiles: routeMaxFiles } = {}) {
+      const handler = parser.array(field);
+      return (req, res, next) => {
+        const declared = Number(req.headers['content-length'] || 0);
+        if (declared > maxRequestBytes) {
+          return res.status(413).json({ error: `Request is larger than ${formatLimit(maxRequestBytes)} in total` });
+        }
+        req.uploadState = { count: 0, bytes: 0, types, maxFiles: Math.min(maxFiles, routeMaxFiles || Infinity), maxFileBytes, maxRequestBytes };
+        res.on('close', () => {
+          for (const f of req.files || []) if (f.path && f.path.startsWith(dir)) fs.unlink(f.path, () => {});
+        });
+        handler(req, res, err => {
+          if (err) return res.status(400).json({ error: `Upload failed: ${err.message}` });
+          const all = (req.files || []).sort((a, b) => a.index - b.index);
+          req.rejectedFiles = all.filter(f => f.rejected).map(f => ({ index: f.index, name: f.originalname, size: f.size, error: f.rejected }));
+          req.files = all.filter(f => !f.rejected);
+          next();
+        });
+      };
+    }
+  };
+}
+
+// ---- resumable uploads ----
+// A simple chunk / offset / finalize protocol for flaky connections. Each upload is dir/<id>/ with meta.json
+// and the bytes received so far in `data`; the offset is always the size of `data`, so it survives restarts
+// and cut-off chunks. Chunks are only accepted at the current offset. Uploads belong to the session
+// (clientId) that created them and expire ttlMs after their last chunk. take() claims an upload until it is
+// released or unclaimed, so two finalize requests for the same upload cannot both get it.
+const UPLOAD_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function statusError(status, message, extra = {}) {
+  return Object.assign(new Error(message), { status }, extra);
+}
+
+function createResumableUploads({ dir, maxFileBytes, ttlMs }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const busy = new Set(); // uploads with a chunk in flight
+  const claimed = new Set(); // uploads taken by a finalize request
+  const uploadDir = id => path.join(dir, id);
+  const dataFile = id => path.join(uploadDir(id), 'data');
+
+  async function save(meta) {
+    const file = path.join(uploadDir(meta.id), 'meta.json');
+    await writeFile(`${file}.tmp`, JSON.stringify(meta, null, 2));
+    await rename(`${file}.tmp`, file);
+  }
+
+  // meta with the current offset; unknown ids and other sessions' uploads are both 404
+  async function load(id, clientId) {
+    if (!UPLOAD_ID_RE.test(String(id))) throw statusError(404, 'Upload not found');
+    let meta;
+    try {
+      meta = JSON.parse(await readFile(path.join(uploadDir(id), 'meta.json'), 'utf8'));
+      meta.offset = (await stat(dataFile(id))).size;
+    } catch (e) {
+      throw statusError(404, 'Upload not found');
+    }
+    if (meta.clientId !== clientId) throw statusError(404, 'Upload not found');
+    return meta;
+  }
+
+  function view(meta) {
+    return { id: meta.id, name: meta.name, size: meta.size, offset: meta.offset, complete: meta.offset === meta.size, detectedType: meta.detectedType || null, updatedAt: meta.updatedAt };
+  }
+
+  // sniff the type once enough bytes are in (or the upload is complete)
+  async function detect(meta) {
+    if (meta.detectedType || meta.offset < Math.min(SNIFF_BYTES, meta.size)) return;
+    const fd = await fs.promises.open(dataFile(meta.id), 'r');
+    try {
+      const { buffer, bytesRead } = await fd.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+      meta.detectedType = sniffMime(buffer.subarray(0, bytesRead)) || 'unknown';
+    } finally {
+      await fd.close();
+    }
+  }
+
+  return {
+    dir,
+
+    async create(clientId, { name, size }) {
+      size = Number(size);
+      if (!clientId) throw statusError(400, 'Missing session token (GET /session first)');
+      if (!Number.isInteger(size) || size <= 0) throw statusError(400, 'size must be the file size in bytes');
+      if (size > maxFileBytes) throw statusError(413, `file is larger than ${formatLimit(maxFileBytes)}`);
+      const now = new Date().toISOString();
+      const meta = { id: crypto.randomUUID(), clientId, name: path.basename(String(name || 'upload')), size, detectedType: null, createdAt: now, updatedAt: now };
+      await fs.promises.mkdir(uploadDir(meta.id), { recursive: true });
+      await writeFile(dataFile(meta.id), Buffer.alloc(0));
+      await save(meta);
+      return view({ ...meta, offset: 0 });
+    },
+
+    async status(id, clientId) {
+      return view(await load(id, clientId));
+    },
+
+    async list(clientId) {
+      const ids = (await readdir(dir).catch(() => [])).filter(id => UPLOAD_ID_RE.test(id));
+      const found = await Promise.all(ids.map(id => load(id, clientId).then(view, () => null)));
+      return found.filter(Boolean);
+    },
+
+    // append the request body at offset; whatever arrives before a disconnect is kept
+    async append(id, clientId, offset, body) {
+      if (busy.has(id)) throw statusError(409, 'Another chunk for this upload is still in progress');
+      if (claimed.has(id)) throw statusError(409, 'Upload is being finalized');
+      busy.add(id);
+      try {
+        const meta = await load(id, clientId);
+        if (Number(offset) !== meta.offset) throw statusError(409, `Upload is at offset ${meta.offset}`, { offset: meta.offset });
+        const fd = await fs.promises.open(dataFile(id), 'a');
+        let overflow = false;
+        try {
+          for await (const chunk of body) {
+            const room = meta.size - meta.offset;
+            if (chunk.length > room) overflow = true;
+            const part = overflow ? chunk.subarray(0, room) : chunk;
+            if (part.length) await fd.write(part);
+            meta.offset += part.length;
+            if (overflow) break;
+          }
+        } finally {
+          await fd.close();
+          meta.updatedAt = new Date().toISOString();
+          await detect(meta).catch(() => {});
+          await save(meta);
+        }
+        if (overflow) throw statusError(413, `Chunk runs past the declared size of ${meta.size} bytes`, { offset: meta.offset });
+        return view(meta);
+      } finally {
+        busy.delete(id);
+      }
+    },
+
+    // claim a complete upload and return it as a multer-like file ({ path, originalname, size, detectedType });
+    // call release() once it is moved, or unclaim() to leave it for a later finalize. 409 while another holds it.
+    async take(id, clientId) {
+      if (claimed.has(id)) throw statusError(409, 'Upload is already being finalized');
+      if (busy.has(id)) throw statusError(409, 'A chunk for this upload is still in progress');
+      claimed.add(id); // before any await, so a concurrent take sees it
+      try {
+        const meta = await load(id, clientId);
+        if (meta.offset !== meta.size) throw statusError(409, `Upload ${meta.name} is incomplete (${meta.offset} of ${meta.size} bytes)`, { offset: meta.offset });
+        await detect(meta);
+        return { uploadId: id, path: dataFile(id), originalname: meta.name, size: meta.size, detectedType: meta.detectedType };
+      } catch (err) {
+        claimed.delete(id);
+        throw err;
+      }
+    },
+
+    unclaim(id) {
+      claimed.delete(id);
+    },
+
+    async release(id) {
+      if (UPLOAD_ID_RE.test(String(id))) await fs.promises.rm(uploadDir(id), { recursive: true, force: true });
+      claimed.delete(id);
+    },
+
+    async remove(id, clientId) {
+      await load(id, clientId);
+      if (claimed.has(id)) throw statusError(409, 'Upload is being finalized');
+      await this.release(id);
+    },
+
+    // drop uploads untouched for ttlMs; returns how many went
+    async sweep() {
+      const cutoff = Date.now() - ttlMs;
+      let removed = 0;
+      for (const id of (await readdir(dir).catch(() => [])).filter(i => UPLOAD_ID_RE.test(i))) {
+        if (busy.has(id) || claimed.has(id)) continue;
+        const info = await stat(dataFile(id)).catch(() => null);
+        if (info && info.mtimeMs >= cutoff) continue;
+        await this.release(id);
+        removed++;
+      }
+      return removed;
+    }
+  };
+}
+
+module.exports = { createUploads, createResumableUploads, sniffMime, typeRejection, IMAGE_TYPES, VIDEO_TYPES, SUBTITLE_TYPES };
@@ -0,0 +1,148 @@
+'use strict';
+
+// Watch progress for TF-Stream: playback position per user and episode, kept in one JSON file.
+// A user is a session's client id (see auth.js); episodes are addressed like catalog routes:
+// { catalog, series, season, episode } with 0-based indexes. An episode counts as completed once the
+// position passes completeRatio of its duration (or when the client says so), and stops counting when a
+// later update starts it over. Updates carry the time they were made (`at`), so updates queued offline and
+// sent late never overwrite newer ones.
+// The file stays bounded although anyone can open a viewer session: users with no update for idleDays are
+// dropped (on load and on every save), and a user keeps at most maxEntriesPerUser entries, oldest dropped first.
+
+const fs = require('fs');
+const { nextEpisode } = require('./catalog');
+
+const DAY_MS = 24 * 3600 * 1000;
+
+const addressKey = a => `${a.catalog}|${a.series}|${a.season}|${a.episode}`;
+
+// catalog names cannot contain "|" (see isCatalogName)
+function parseKey(key) {
+  const [catalog, series, season, episode] = key.split('|');
+  return { catalog, series: Number(series), season: Number(season), episode: Number(episode) };
+}
+
+function createWatchProgress({ file, completeRatio = 0.9, idleDays = 180, maxEntriesPerUser = 500 }) {
+  const users = new Map(); // user -> Map(addressKey -> { position, duration, completed, updatedAt })
+  try {
+    for (const [user, entries] of Object.entries(JSON.parse(fs.readFileSync(file, 'utf8')))) {
+      users.set(user, new Map(Object.entries(entries)));
+    }
+  } catch (e) { /* nothing recorded yet */ }
+
+  // forget users whose latest update is older than idleDays (0 = keep everyone)
+  function pruneIdle() {
+    if (!(idleDays > 0)) return;
+    const cutoff = new Date(Date.now() - idleDays * DAY_MS).toISOString();
+    for (const [user, entries] of users) {
+      if (![...entries.values()].some(entry => entry.updatedAt >= cutoff)) users.delete(user);
+    }
+  }
+  pruneIdle();
+
+  let saveTimer = null;
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      pruneIdle();
+      const data = Object.fromEntries([...users].map(([user, entries]) => [user, Object.fromEntries(entries)]));
+      fs.promises.writeFile(file, JSON.stringify(data))
+        .catch(err => console.error('Could not save watch progress', err));
+    }, 1000);
+    saveTimer.unref();
+  }
+
+  const view = (key, entry) => ({ ...parseKey(key), ...entry });
+  const matches = (address, filter) => ['catalog', 'series', 'season', 'episode']
+    .every(field => filter[field] === undefined || filter[field] === null || filter[field] === address[field]);
+
+  return {
+    // store a position; returns the entry (unchanged, with stale: true, when `at` is older than what is stored)
+    record(user, address, { position, duration = null, completed, at = Date.now() }) {
+      if (!users.has(user)) users.set(user, new Map());
+      const entries = users.get(user);
+      const key = addressKey(address);
+      const previous = entries.get(key);
+      const updatedAt = new Date(at).toISOString();
+      if (previous && previous.updatedAt > updatedAt) return { ...view(key, previous), stale: true };
+      const length = duration || (previous && previous.duration) || null;
+      const entry = {
+        position,
+        duration: length,
+        completed: typeof completed === 'boolean' ? completed : !!(length && position >= length * completeRatio),
+        updatedAt
+      };
+      entries.set(key, entry);
+      if (maxEntriesPerUser > 0 && entries.size > maxEntriesPerUser) {
+        const oldest = [...entries].sort((a, b) => (a[1].updatedAt < b[1].updatedAt ? -1 : 1));
+        for (const [k] of oldest.slice(0, entries.size - maxEntriesPerUser)) entries.delete(k);
+      }
+      scheduleSave();
+      return view(key, entry);
+    },
+
+    // a user's entries, most recent first; filter on any of catalog / series / season / episode
+    entries(user, filter = {}) {
+      return [...(users.get(user) || [])]
+        .map(([key, entry]) => view(key, entry))
+        .filter(entry => matches(entry, filter))
+        .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+    },
+
+    remove(user, filter = {}) {
+      const entries = users.get(user);
+      if (!entries) return 0;
+      let removed = 0;
+      for (const key of [...entries.keys()]) {
+        if (matches(parseKey(key), filter)) { entries.delete(key); removed++; }
+      }
+      if (removed) scheduleSave();
+      return removed;
+    },
+
+    // one item per series the user watched, most recent first: the unfinished episode to resume, or the
+    // episode after the last one completed (next season included). Series watched to the end are left out,
+    // and so are entries whose indexes no longer exist in the catalog. loadCatalog(name) -> series array.
+    async continueWatching(user, loadCatalog, limit = 20) {
+      const latest = new Map(); // catalog|series -> most recent entry
+      for (const entry of this.entries(user)) {
+        const seriesKey = `${entry.catalog}|${entry.series}`;
+        if (!latest.has(seriesKey)) latest.set(seriesKey, entry);
+      }
+      const catalogs = new Map();
+      const items = [];
+      for (const entry of latest.values()) {
+        if (items.length >= limit) break;
+        if (!catalogs.has(entry.catalog)) catalogs.set(entry.catalog, await loadCatalog(entry.catalog).catch(() => null));
+        const series = (catalogs.get(entry.catalog) || [])[entry.series];
+        const episodes = series && series.Saisons && series.Saisons[entry.season] && series.Saisons[entry.season].episodes;
+        if (!episodes || !episodes[entry.episode]) continue;
+        let address = { season: entry.season, episode: entry.episode };
+        let reason = 'resume';
+        if (entry.completed) {
+          address = nextEpisode(series, entry.season, entry.episode);
+          reason = 'next';
+          if (!address) continue;
+        }
+        const target = { catalog: entry.catalog, series: entry.series, ...address };
+        const stored = reason === 'next' ? (users.get(user).get(addressKey(target)) || null) : entry;
+        const ep = series.Saisons[target.season].episodes[target.episode];
+        items.push({
+          ...target,
+          reason,
+          title: series.Texte || '',
+          thumb: series['Url Thumb'] || '',
+          description: ep.description || '',
+          video: ep.video || '',
+          position: stored && !stored.completed ? stored.position : 0,
+          duration: stored ? stored.duration : null,
+          lastWatchedAt: entry.updatedAt
+        });
+      }
+      return items;
+    }
+  };
+}
+
+module.exports = { createWatchProgress };
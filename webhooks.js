@@ -0,0 +1,151 @@
+'use strict';
+
+// Batch callbacks for headless clients: a compress / transcode request may carry a callbackUrl, and when the
+// batch finishes its `done` payload is POSTed there as JSON. Each request is signed with HMAC-SHA256:
+//   X-TF-Signature: t=<unix seconds>,v1=<hex HMAC of "<t>.<raw body>">
+// keyed with the request's callbackSecret, or WEBHOOK_SECRET. Receivers recompute it (see verifySignature)
+// and should reject stale timestamps. Network errors, timeouts, 408, 429 and 5xx answers are retried with
+// exponential backoff up to WEBHOOK_MAX_ATTEMPTS; any other answer ends the delivery. Every attempt is
+// recorded on the delivery record, which the caller keeps (and persists) with its job.
+// Callback hosts must resolve to public addresses (see outbound.js), checked when the request comes in and again
+// before every attempt, so a DNS change cannot turn a delivery towards this server's own network later on.
+// WEBHOOK_ALLOWED_HOSTS limits callbacks to the hosts listed there instead, which may then be internal ones.
+
+const crypto = require('crypto');
+const { checkOutboundUrl, hostList } = require('./outbound');
+
+const HISTORY_SIZE = 10; // attempts kept on a delivery record
+const RETRYABLE_STATUS = [408, 429];
+
+function statusError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function callbackConfigFromEnv(env = process.env) {
+  return {
+    secret: env.WEBHOOK_SECRET || '',
+    maxAttempts: Math.max(1, Number(env.WEBHOOK_MAX_ATTEMPTS || 6)),
+    retryBaseMs: Math.max(0, Number(env.WEBHOOK_RETRY_SECONDS ?? 5)) * 1000,
+    timeoutMs: Math.max(1, Number(env.WEBHOOK_TIMEOUT_SECONDS || 10)) * 1000,
+    allowedHosts: hostList(env.WEBHOOK_ALLOWED_HOSTS)
+  };
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// true when an X-TF-Signature header matches the raw body and is at most toleranceSeconds old
+function verifySignature(secret, header, body, toleranceSeconds = 300) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(p => p.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+  const expected = signPayload(secret, timestamp, body);
+  return expected.length === parts.v1.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v1));
+}
+
+function createCallbacks({ secret, maxAttempts, retryBaseMs, timeoutMs, allowedHosts = [] }) {
+  const timers = new Map(); // deliveryId -> retry timer
+
+  function retryable(status) {
+    return status === null || status >= 500 || RETRYABLE_STATUS.includes(status);
+  }
+
+  const checkUrl = url => checkOutboundUrl(url, { allowedHosts, setting: 'WEBHOOK_ALLOWED_HOSTS', label: 'callbackUrl' });
+
+  async function attempt(record, payload, { save, active }) {
+    timers.delete(record.deliveryId);
+    if (!active()) return;
+    const body = JSON.stringify({ ...payload, deliveryId: record.deliveryId });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    let status = null;
+    let error = null;
+    let refused = false;
+    try {
+      await checkUrl(record.url).catch(err => {
+        refused = !err.unresolved; // a host that does not resolve right now is retried like a network error
+        throw err;
+      });
+      const res = await fetch(record.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'tf-compressor-webhook/1',
+          'X-TF-Event': payload.event,
+          'X-TF-Delivery': record.deliveryId,
+          'X-TF-Signature': `t=${timestamp},v1=${signPayload(record.secret || secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      status = res.status;
+      await res.arrayBuffer().catch(() => {});
+      if (status < 200 || status >= 300) error = `HTTP ${status}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `No answer within ${timeoutMs / 1000}s` : (err.cause && err.cause.message) || err.message;
+    }
+
+    record.attempts++;
+    record.history = [...record.history, { at: new Date(started).toISOString(), status, error, ms: Date.now() - started }].slice(-HISTORY_SIZE);
+    record.lastError = error;
+    if (!error) {
+      record.status = 'delivered';
+      record.deliveredAt = new Date().toISOString();
+      record.nextAttemptAt = null;
+    } else if (refused || !retryable(status) || record.attempts >= maxAttempts) {
+      record.status = 'failed';
+      record.nextAttemptAt = null;
+      console.warn(`Callback ${record.deliveryId} to ${record.url} failed after ${record.attempts} attempt(s): ${error}`);
+    } else {
+      record.nextAttemptAt = new Date(Date.now() + retryBaseMs * 2 ** (record.attempts - 1)).toISOString();
+    }
+    await save();
+    if (record.status === 'pending') schedule(record, payload, { save, active });
+  }
+
+  function schedule(record, payload, hooks) {
+    if (timers.has(record.deliveryId)) return;
+    const delay = record.nextAttemptAt ? Math.max(0, Date.parse(record.nextAttemptAt) - Date.now()) : 0;
+    timers.set(record.deliveryId, setTimeout(() => {
+      attempt(record, payload, hooks).catch(err => console.error('Callback delivery error', record.deliveryId, err));
+    }, delay));
+  }
+
+  return {
+    // delivery record for a request's callbackUrl / callbackSecret, or null without one; rejects with a 400
+    async parse(body = {}) {
+      if (!body.callbackUrl) return null;
+      if (!body.callbackSecret && !secret) throw statusError(400, 'callbackUrl needs a callbackSecret (no WEBHOOK_SECRET is configured)');
+      const url = await checkUrl(body.callbackUrl);
+      return {
+        url: url.href,
+        secret: body.callbackSecret ? String(body.callbackSecret) : null,
+        deliveryId: crypto.randomUUID(),
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: null,
+        deliveredAt: null,
+        lastError: null,
+        history: []
+      };
+    },
+
+    // send (or keep retrying) a pending delivery. save() persists the record after each attempt; a delivery
+    // stops quietly once active() is false (its job was deleted)
+    deliver(record, payload, { save = async () => {}, active = () => true } = {}) {
+      if (!record || record.status !== 'pending') return;
+      schedule(record, payload, { save, active });
+    },
+
+    // the record without its secret, for job views
+    view(record) {
+      if (!record) return null;
+      const { secret: _secret, ...rest } = record;
+      return rest;
+    }
+  };
+}
+
+module.exports = { createCallbacks, callbackConfigFromEnv, signPayload, verifySignature };